@@ -0,0 +1,269 @@
+// Benchmark: reduction throughput with and without shared, memoized subtrees
+// Run with: node bench/substitution.js [seconds per measurement]
+//
+// "before" repeats the kernel's earlier substitution, which recomputed the
+// replacement's free variables at every abstraction and rebuilt every node it
+// passed; "after" is the kernel as it is now. Both take normal-order steps on
+// the same fixed-point examples, and both use the same strategy code.
+
+import {
+  parse,
+  Variable,
+  Abstraction,
+  Application,
+  findStrategyRedex,
+  freshName,
+  reduceAt as kernelReduceAt,
+  isRedex,
+  isEtaRedex,
+  redexKind,
+  step,
+  termSize,
+  prettyPrint,
+} from '../src/kernel.js';
+
+const SECONDS = Number(process.argv[2] ?? 2);
+
+const EXAMPLES = [
+  { name: 'Y g', expr: '(\\f.(\\x.f (x x)) (\\x.f (x x))) g', steps: 400 },
+  { name: 'Θ g', expr: '(\\x.\\f.f (x x f)) (\\x.\\f.f (x x f)) g', steps: 400 },
+  { name: 'Z g', expr: '(\\f.(\\x.f (\\v.x x v)) (\\x.f (\\v.x x v))) g', steps: 400 },
+  {
+    // Y FACT 3 with Church numerals, reduced to its normal form
+    name: 'Y fact 3',
+    expr: `(\\f.(\\x.f (x x)) (\\x.f (x x)))
+      (\\fact.\\n.(\\n.n (\\x.\\a.\\b.b) (\\a.\\b.a)) n
+        (\\f.\\x.f x)
+        ((\\m.\\n.\\f.m (n f)) n (fact ((\\n.\\f.\\x.n (\\g.\\h.h (g f)) (\\u.x) (\\u.u)) n))))
+      (\\f.\\x.f (f (f x)))`,
+    steps: Infinity
+  },
+];
+
+// ============================================================================
+// Baseline: the kernel's substitution before memoization
+// ============================================================================
+
+function run(call) {
+  const pending = [call];
+  let result;
+  while (true) {
+    const { value, done } = pending[pending.length - 1].next(result);
+    if (done) {
+      pending.pop();
+      if (pending.length === 0) return value;
+      result = value;
+    } else {
+      pending.push(value);
+      result = undefined;
+    }
+  }
+}
+
+function withOriginOf(node, original) {
+  node.origin = original.origin;
+  return node;
+}
+
+function withSourceOf(node, original) {
+  node.span = original.span;
+  node.origin = original.origin;
+  return node;
+}
+
+function freeVariables(expr) {
+  function* collect(e) {
+    switch (e.type) {
+      case 'variable':
+        return new Set([e.name]);
+      case 'abstraction':
+        const bodyFree = yield collect(e.body);
+        bodyFree.delete(e.param);
+        return bodyFree;
+      case 'application':
+        const funcFree = yield collect(e.func);
+        const argFree = yield collect(e.arg);
+        return new Set([...funcFree, ...argFree]);
+    }
+  }
+  return run(collect(expr));
+}
+
+function* substituteIn(expr, varName, replacement, markAsSubstituted, sourceId) {
+  switch (expr.type) {
+    case 'variable':
+      if (expr.name === varName) {
+        return replacement.clone(markAsSubstituted, sourceId);
+      }
+      return expr;
+
+    case 'abstraction':
+      if (expr.param === varName) {
+        return expr;
+      }
+      const replFree = freeVariables(replacement);
+      if (replFree.has(expr.param)) {
+        const allFree = new Set([...replFree, ...freeVariables(expr.body)]);
+        allFree.add(varName);
+        const newParam = freshName(expr.param, allFree);
+        const renamedBody = yield substituteIn(expr.body, expr.param, new Variable(newParam), false, null);
+        return withOriginOf(new Abstraction(
+          newParam,
+          yield substituteIn(renamedBody, varName, replacement, markAsSubstituted, sourceId),
+          expr.fromSubstitution,
+          expr.sourceId,
+          expr.id
+        ), expr);
+      }
+      return withOriginOf(new Abstraction(
+        expr.param,
+        yield substituteIn(expr.body, varName, replacement, markAsSubstituted, sourceId),
+        expr.fromSubstitution,
+        expr.sourceId,
+        expr.id
+      ), expr);
+
+    case 'application':
+      return withOriginOf(new Application(
+        yield substituteIn(expr.func, varName, replacement, markAsSubstituted, sourceId),
+        yield substituteIn(expr.arg, varName, replacement, markAsSubstituted, sourceId),
+        expr.id,
+        expr.fromSubstitution,
+        expr.sourceId
+      ), expr);
+  }
+}
+
+function numberRedexes(expr, counter = { val: 1 }, options = {}) {
+  function* number(e) {
+    switch (e.type) {
+      case 'variable':
+        return e;
+      case 'abstraction': {
+        const id = options.eta && isEtaRedex(e) ? counter.val++ : null;
+        return withSourceOf(new Abstraction(e.param, yield number(e.body), e.fromSubstitution, e.sourceId, id), e);
+      }
+      case 'application':
+        const id = isRedex(e) ? counter.val++ : null;
+        return withSourceOf(new Application(yield number(e.func), yield number(e.arg), id, e.fromSubstitution, e.sourceId), e);
+    }
+  }
+  return run(number(expr));
+}
+
+function clearSubstitutionMarks(expr) {
+  function* clear(e) {
+    switch (e.type) {
+      case 'variable':
+        return withSourceOf(new Variable(e.name, false, null), e);
+      case 'abstraction':
+        return withSourceOf(new Abstraction(e.param, yield clear(e.body), false, null, e.id), e);
+      case 'application':
+        return withSourceOf(new Application(yield clear(e.func), yield clear(e.arg), e.id, false, null), e);
+    }
+  }
+  return run(clear(expr));
+}
+
+function reduceAt(expr, targetId) {
+  function* reduce(e) {
+    switch (e.type) {
+      case 'variable':
+        return e;
+      case 'abstraction':
+        if (e.id === targetId && isEtaRedex(e)) {
+          return e.body.func;
+        }
+        return withOriginOf(new Abstraction(e.param, yield reduce(e.body), e.fromSubstitution, e.sourceId, e.id), e);
+      case 'application':
+        if (e.id === targetId && isRedex(e)) {
+          return run(substituteIn(e.func.body, e.func.param, e.arg, true, targetId));
+        }
+        return withOriginOf(new Application(yield reduce(e.func), yield reduce(e.arg), e.id, e.fromSubstitution, e.sourceId), e);
+    }
+  }
+  return run(reduce(expr));
+}
+
+// step() as the kernel defines it, on top of the baseline functions
+function baselineStep(expr, strategy = 'normal', options = {}) {
+  const numbered = numberRedexes(clearSubstitutionMarks(expr), { val: 1 }, options);
+  const redex = findStrategyRedex(numbered, strategy);
+  if (redex === null) {
+    return null;
+  }
+  return {
+    expr: numberRedexes(reduceAt(numbered, redex.id), { val: 1 }, options),
+    reducedId: redex.id,
+    kind: redexKind(redex)
+  };
+}
+
+// ============================================================================
+// Measurement
+// ============================================================================
+
+// Time fn(input) over the inputs, with fresh inputs for every pass so that
+// nothing cached in one pass helps the next. Returns calls per second.
+function throughput(makeInputs, fn) {
+  let calls = 0;
+  let elapsed = 0;
+  while (elapsed < SECONDS * 1000) {
+    const inputs = makeInputs();
+    const started = performance.now();
+    for (const input of inputs) {
+      fn(input);
+    }
+    elapsed += performance.now() - started;
+    calls += inputs.length;
+  }
+  return calls / (elapsed / 1000);
+}
+
+const columns = (...cells) => cells.map((cell, i) => i === 0 ? cell.padEnd(10) : cell.padStart(9)).join(' ');
+const rate = value => value.toFixed(0);
+const speedup = (before, after) => `${(after / before).toFixed(2)}x`;
+
+console.log(`Normal-order reductions per second, ${SECONDS}s per measurement`);
+console.log('reduceAt: contracting the chosen redex; step: the whole step() including renumbering\n');
+console.log(columns('example', 'steps', 'size', 'reduceAt', 'before', 'speedup', 'step', 'before', 'speedup'));
+
+for (const { name, expr, steps } of EXAMPLES) {
+  // The terms along the normal-order path, and the redex reduced in each
+  const path = [];
+  let current = parse(expr);
+  while (path.length < steps) {
+    const next = step(current);
+    if (next === null) break;
+    path.push({ source: prettyPrint(current), id: next.reducedId });
+    current = next.expr;
+  }
+
+  // Both versions must agree on every step
+  for (const { source, id } of path) {
+    const numbered = numberRedexes(parse(source));
+    if (prettyPrint(reduceAt(numbered, id)) !== prettyPrint(kernelReduceAt(numbered, id))) {
+      console.error(`${name}: the two versions disagree on ${source}`);
+      process.exit(1);
+    }
+  }
+
+  const numberedPath = () => path.map(({ source, id }) => ({ expr: numberRedexes(parse(source)), id }));
+  const parsedPath = () => path.map(({ source }) => parse(source));
+  const reduceBefore = throughput(numberedPath, ({ expr, id }) => reduceAt(expr, id));
+  const reduceAfter = throughput(numberedPath, ({ expr, id }) => kernelReduceAt(expr, id));
+  const stepBefore = throughput(parsedPath, term => baselineStep(term));
+  const stepAfter = throughput(parsedPath, term => step(term));
+
+  console.log(columns(
+    name,
+    String(path.length),
+    String(termSize(current)),
+    rate(reduceAfter),
+    rate(reduceBefore),
+    speedup(reduceBefore, reduceAfter),
+    rate(stepAfter),
+    rate(stepBefore),
+    speedup(stepBefore, stepAfter)
+  ));
+}
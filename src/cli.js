@@ -5,14 +5,49 @@
 
 import chalk from 'chalk';
 import * as readline from 'readline';
+import * as path from 'path';
+import { readFileSync, writeFileSync, existsSync, statSync, accessSync, constants } from 'fs';
 import {
   parse,
+  parseWithDiagnostics,
+  parseProgram,
+  expandDefinitions,
+  formatSyntaxError,
+  LambdaSyntaxError,
   numberRedexes,
   clearSubstitutionMarks,
-  reduceAt,
   getRedexCount,
+  needsParens,
+  prettyPrint,
+  childPositions,
+  etaExpand,
+  describeChurchValue,
+  selectRedex,
+  getStrategy,
+  normalize,
+  exploreReductionGraph,
+  reductionGraphToDot,
+  compareWithNormalOrder,
+  ReductionSession,
+  STRATEGIES,
+  TERMINATION,
   EXAMPLES
 } from './kernel.js';
+import { inferType, typeToString, TYPE_ERRORS } from './types.js';
+import {
+  COMBINATORS,
+  toSKI,
+  combinatorsToLambda,
+  isCombinatorTerm,
+  numberCombinatorRedexes,
+  reduceCombinatorAt,
+  getCombinatorRedexes,
+  selectCombinatorRedex,
+  normalizeCombinators,
+} from './combinators.js';
+import { collectThunks, compareWithCallByName } from './need.js';
+import { serializeSession, deserializeSession } from './serialize.js';
+import { exportTranscript } from './transcript.js';
 
 // ============================================================================
 // Rainbow Colors for Terminal
@@ -38,6 +73,15 @@ const RAINBOW_COLORS = RAINBOW_COLORS_WITH_RGB
 // Use dark red background for substituted elements
 const SUBSTITUTION_STYLE = chalk.bgRgb(100, 0, 0);
 
+// Eta redexes and eta steps are marked in magenta so they stand apart from beta
+const ETA_STYLE = chalk.magentaBright;
+
+// Shared call-by-need arguments print as their label, e.g. t1
+const THUNK_STYLE = chalk.yellowBright;
+
+// Binders renamed by the last step to avoid capture (alpha conversion)
+const RENAME_STYLE = chalk.underline.greenBright;
+
 function getColorForDepth(depth) {
   return RAINBOW_COLORS[depth % RAINBOW_COLORS.length];
 }
@@ -47,7 +91,25 @@ function getColorForDepth(depth) {
 // ============================================================================
 
 // Internal render that returns both display string, plain string, and ID positions
-function renderInternal(expr, depth = 0) {
+// In nameless mode, bound variables print as de Bruijn indices (0 = nearest lambda)
+// and lambdas drop their parameter; `bound` holds the enclosing parameter names.
+// Parentheses follow the kernel's prettyPrint layout: `position` is where the
+// term sits and only the parentheses the parser needs are drawn.
+function renderInternal(expr, depth = 0, nameless = false, bound = [], position = 'top') {
+  if (needsParens(expr, position)) {
+    // Always use rainbow color for parens - never red, even for substituted terms
+    const color = getColorForDepth(depth);
+    const inner = renderTerm(expr, depth, nameless, bound, 'top');
+    return {
+      display: color('(') + inner.display + color(')'),
+      plain: '(' + inner.plain + ')',
+      ids: inner.ids.map(id => ({ ...id, pos: id.pos + 1 })),
+    };
+  }
+  return renderTerm(expr, depth, nameless, bound, position);
+}
+
+function renderTerm(expr, depth, nameless, bound, position) {
   const applySubstitutionStyle = (text, isSubstituted) => {
     if (isSubstituted) {
       return SUBSTITUTION_STYLE(text);
@@ -57,51 +119,70 @@ function renderInternal(expr, depth = 0) {
 
   switch (expr.type) {
     case 'variable': {
-      const text = expr.name;
+      const index = nameless ? bound.lastIndexOf(expr.name) : -1;
+      const text = index === -1 ? expr.name : String(bound.length - 1 - index);
       const display = applySubstitutionStyle(text, expr.fromSubstitution);
       return { display, plain: text, ids: [] };
     }
 
+    case 'thunk':
+      return { display: THUNK_STYLE(expr.label), plain: expr.label, ids: [] };
+
     case 'abstraction': {
-      const lambdaText = 'λ';
-      const paramText = expr.param;
-      const dotText = '.';
+      // Directly nested lambdas collapse into λx y z.body (not in nameless mode,
+      // where there are no parameter names to list)
+      const lambdas = [expr];
+      while (!nameless && lambdas[lambdas.length - 1].body.type === 'abstraction') {
+        lambdas.push(lambdas[lambdas.length - 1].body);
+      }
+      const innermost = lambdas[lambdas.length - 1];
+
+      let display = applySubstitutionStyle('λ', expr.fromSubstitution);
+      let plain = 'λ';
+      const ids = [];
+
+      lambdas.forEach((lambda, i) => {
+        const separator = i === 0 ? '' : ' ';
+        const paramText = nameless ? '' : lambda.param;
+
+        // Numbered eta redex: its id sits under the lambda (or its parameter when collapsed)
+        if (lambda.id !== null) {
+          ids.push({ id: lambda.id, pos: i === 0 ? 0 : plain.length + separator.length, color: ETA_STYLE, kind: 'eta' });
+        }
 
-      const lambdaDisplay = applySubstitutionStyle(lambdaText, expr.fromSubstitution);
-      const paramDisplay = applySubstitutionStyle(paramText, expr.fromSubstitution);
-      const dotDisplay = applySubstitutionStyle(dotText, expr.fromSubstitution);
+        const styledParam = lambda.renaming !== null && paramText !== '' ? RENAME_STYLE(paramText) : paramText;
+        display += applySubstitutionStyle(separator, lambda.fromSubstitution) + applySubstitutionStyle(styledParam, lambda.fromSubstitution);
+        plain += separator + paramText;
+      });
 
-      const body = renderInternal(expr.body, depth);
+      display += applySubstitutionStyle('.', innermost.fromSubstitution);
+      plain += '.';
 
-      const display = lambdaDisplay + paramDisplay + dotDisplay + body.display;
-      const plain = lambdaText + paramText + dotText + body.plain;
+      const newBound = [...bound, ...lambdas.map(lambda => lambda.param)];
+      const body = renderInternal(innermost.body, depth, nameless, newBound, 'top');
 
       // Shift body's ids positions
-      const offset = lambdaText.length + paramText.length + dotText.length;
-      const ids = body.ids.map(id => ({ ...id, pos: id.pos + offset }));
+      const offset = plain.length;
+      ids.push(...body.ids.map(id => ({ ...id, pos: id.pos + offset })));
 
-      return { display, plain, ids };
+      return { display: display + body.display, plain: plain + body.plain, ids };
     }
 
     case 'application': {
       const color = getColorForDepth(depth);
+      const children = childPositions(position);
 
-      const funcResult = renderInternal(expr.func, depth + 1);
-      const argResult = renderInternal(expr.arg, depth + 1);
+      const funcResult = renderInternal(expr.func, depth + 1, nameless, bound, children.func);
+      const argResult = renderInternal(expr.arg, depth + 1, nameless, bound, children.arg);
 
-      // Always use rainbow color for parens - never red, even for substituted applications
-      const openParen = color('(');
-      const closeParen = color(')');
-
-      const display = openParen + funcResult.display + ' ' + argResult.display + closeParen;
-      const plain = '(' + funcResult.plain + ' ' + argResult.plain + ')';
+      const display = funcResult.display + ' ' + argResult.display;
+      const plain = funcResult.plain + ' ' + argResult.plain;
 
       // Collect ids with adjusted positions
-      const funcOffset = 1; // '('
-      const argOffset = 1 + funcResult.plain.length + 1; // '(' + func + ' '
+      const argOffset = funcResult.plain.length + 1; // func + ' '
 
       let ids = [
-        ...funcResult.ids.map(id => ({ ...id, pos: id.pos + funcOffset })),
+        ...funcResult.ids,
         ...argResult.ids.map(id => ({ ...id, pos: id.pos + argOffset })),
       ];
 
@@ -115,8 +196,12 @@ function renderInternal(expr, depth = 0) {
   }
 }
 
-export function render(expr, depth = 0, showIds = true) {
-  const result = renderInternal(expr, depth);
+/**
+ * Render an expression with rainbow parentheses and a redex ID line.
+ * Options: { nameless } prints de Bruijn indices instead of variable names.
+ */
+export function render(expr, depth = 0, showIds = true, { nameless = false } = {}) {
+  const result = renderInternal(expr, depth, nameless);
 
   // Build the ID line below the expression
   if (showIds && result.ids.length > 0) {
@@ -127,8 +212,8 @@ export function render(expr, depth = 0, showIds = true) {
     let idLine = '';
     let currentPos = 0;
 
-    for (const { id, pos, color } of sortedIds) {
-      const idStr = `[${id}]`;
+    for (const { id, pos, color, kind } of sortedIds) {
+      const idStr = kind === 'eta' ? `[η${id}]` : `[${id}]`;
       if (pos > currentPos) {
         idLine += ' '.repeat(pos - currentPos);
         currentPos = pos;
@@ -143,10 +228,225 @@ export function render(expr, depth = 0, showIds = true) {
   return result.display;
 }
 
+// Show which redex each reduction strategy would pick next
+function printStrategyPicks(expr) {
+  console.log(chalk.cyan('\nNext redex by strategy:'));
+  for (const strategy of Object.values(STRATEGIES)) {
+    const id = selectRedex(expr, strategy);
+    const pick = id === null ? chalk.gray('none') : chalk.green(`[${id}]`);
+    console.log(`  ${strategy.label.padEnd(18)} ${pick}  ${chalk.gray(strategy.description)}`);
+  }
+  console.log();
+}
+
+// Explore all reduction paths from expr and print or save the graph as DOT
+function exportReductionGraph(expr, file) {
+  const graph = exploreReductionGraph(clearSubstitutionMarks(expr), { eta: reductionOptions.eta });
+  const normalForms = graph.nodes.filter(node => node.redexCount === 0);
+  console.log(chalk.cyan(`\nReduction graph: ${graph.nodes.length} term(s), ${graph.edges.length} step(s), ${normalForms.length} normal form(s)`));
+  if (!graph.complete) {
+    console.log(chalk.yellow('  Not fully explored - the depth or size limit was reached.'));
+  }
+  for (const node of normalForms) {
+    console.log(chalk.gray(`  normal form after ${node.depth} step(s): `) + prettyPrint(node.expr));
+  }
+
+  const dot = reductionGraphToDot(graph);
+  if (file) {
+    writeFileSync(file, dot);
+    console.log(chalk.green(`Wrote ${file}`) + chalk.gray(` (render with: dot -Tsvg ${file} -o graph.svg)\n`));
+  } else {
+    console.log('\n' + dot);
+  }
+}
+
+const SEARCH_FAILURES = {
+  [TERMINATION.CYCLE]: 'no normal form - every reachable term was explored',
+  [TERMINATION.FUEL_EXHAUSTED]: 'gave up - too many terms to explore',
+  [TERMINATION.SIZE_LIMIT]: 'gave up - the terms grew past the size limit',
+};
+
+// Answer "could this be done in fewer steps?" for the current expression
+function printOptimalPath(expr) {
+  const { shortest, normalOrder, saved } = compareWithNormalOrder(clearSubstitutionMarks(expr), { eta: reductionOptions.eta });
+  if (shortest.path === null) {
+    console.log(chalk.red(`\nShortest path search: ${SEARCH_FAILURES[shortest.reason]} (${shortest.explored} term(s) explored).\n`));
+    return;
+  }
+
+  const ids = shortest.path.map(id => `[${id}]`).join(' ');
+  console.log(chalk.cyan(`\nShortest path to normal form: ${shortest.path.length} step(s) ${ids}`) + chalk.gray(` (searched ${shortest.explored} term(s))`));
+  if (normalOrder.reason !== TERMINATION.NORMAL_FORM) {
+    console.log(chalk.yellow(`Normal order: ${TERMINATION_MESSAGES[normalOrder.reason]}`));
+  } else if (saved > 0) {
+    console.log(chalk.yellow(`Normal order: ${normalOrder.steps.length - 1} step(s) - the shortest path saves ${saved}.`));
+  } else {
+    console.log(chalk.green(`Normal order: ${normalOrder.steps.length - 1} step(s) - already optimal.`));
+  }
+
+  shortest.steps.slice(1).forEach((step, i) => {
+    console.log('\n' + chalk.yellow(`Step ${i + 1}, reducing [${step.reducedId}]:`));
+    console.log(render(step.expr, 0, false, displayOptions));
+  });
+  console.log(chalk.gray('\nEnter the redex numbers above in order to follow this path.\n'));
+}
+
+// Render a term with shared thunks: the term, then one `where` line per thunk
+function renderShared(expr) {
+  const lines = [render(expr, 0, false, displayOptions)];
+  for (const thunk of collectThunks(expr)) {
+    lines.push(chalk.gray('  where ') + THUNK_STYLE(thunk.label) + chalk.gray(' = ') + render(thunk.expr, 0, false, displayOptions));
+  }
+  return lines.join('\n');
+}
+
+// Evaluate the current expression lazily and contrast it with call-by-name,
+// which copies each argument instead of sharing it
+function printLazyEvaluation(expr) {
+  const { need, name, saved } = compareWithCallByName(clearSubstitutionMarks(expr), { maxSteps: 100 });
+
+  need.steps.slice(1).forEach((step, i) => {
+    const notes = [];
+    if (step.updated) notes.push(`updated ${step.updated}`);
+    if (step.created) notes.push(`shared the argument as ${step.created}`);
+    const note = notes.length > 0 ? chalk.gray(` (${notes.join(', ')})`) : '';
+    console.log('\n' + chalk.yellow(`Lazy step ${i + 1}:`) + note);
+    console.log(renderShared(step.expr));
+  });
+
+  if (need.reason !== TERMINATION.NORMAL_FORM) {
+    console.log(chalk.red(`\nCall-by-need: ${TERMINATION_MESSAGES[need.reason]}\n`));
+    return;
+  }
+  console.log(chalk.cyan(`\nCall-by-need: ${need.steps.length - 1} step(s) to weak head normal form.`));
+  if (name.reason !== TERMINATION.NORMAL_FORM) {
+    console.log(chalk.yellow(`Call-by-name: ${TERMINATION_MESSAGES[name.reason]}`));
+  } else {
+    const comparison = saved > 0 ? `sharing saves ${saved}` : 'same number of steps';
+    console.log(chalk.gray(`Call-by-name (copying arguments): ${name.steps.length - 1} step(s) - ${comparison}.`));
+    console.log(chalk.gray('Call-by-name result: ') + prettyPrint(name.expr));
+  }
+  console.log(chalk.gray('Current expression unchanged.\n'));
+}
+
 // ============================================================================
 // Interactive REPL
 // ============================================================================
 
+// Display settings toggled from the REPL
+const displayOptions = { nameless: false };
+
+// Reduction settings toggled from the REPL (passed to numberRedexes).
+// With combinators on, the current expression is a combinator term and is
+// rewritten with the S/K/I/B/C rules instead of beta reduction.
+const reductionOptions = { eta: false, combinators: false };
+
+// Number redexes using the current reduction settings
+function numberCurrent(expr) {
+  if (reductionOptions.combinators) {
+    return numberCombinatorRedexes(expr);
+  }
+  return numberRedexes(expr, { val: 1 }, reductionOptions);
+}
+
+function currentRedexCount(expr) {
+  return reductionOptions.combinators ? getCombinatorRedexes(expr).length : getRedexCount(expr);
+}
+
+// Switch between lambda calculus and combinatory logic, printing the term
+// in both calculi. Returns the converted expression, numbered.
+function switchCalculus(expr, { toCombinators, optimize = false }) {
+  const plain = clearSubstitutionMarks(expr);
+  let converted;
+  if (toCombinators) {
+    // A term that is already made of combinators is stepped as it is
+    converted = isCombinatorTerm(plain) ? plain : toSKI(plain, { optimize });
+  } else {
+    converted = combinatorsToLambda(plain);
+  }
+  reductionOptions.combinators = toCombinators;
+
+  const [lambda, combinators] = toCombinators ? [plain, converted] : [converted, plain];
+  console.log('\n' + chalk.cyan('λ:   ') + prettyPrint(lambda));
+  console.log(chalk.cyan('SKI: ') + prettyPrint(combinators));
+  console.log(chalk.gray(`Now reducing in ${toCombinators ? 'combinatory logic' : 'lambda calculus'}.`));
+
+  const numbered = numberCurrent(converted);
+  console.log('\n' + render(numbered, 0, true, displayOptions) + '\n');
+  return numbered;
+}
+
+// Print what a combinator normal form means as a lambda term
+function printLambdaReading(expr) {
+  const result = normalize(combinatorsToLambda(clearSubstitutionMarks(expr)), { maxSteps: 200 });
+  if (result.reason === TERMINATION.NORMAL_FORM) {
+    console.log(chalk.cyan(`As a lambda term: ${prettyPrint(result.expr)}`));
+    printValue(result.expr);
+  }
+}
+
+// Explain the binders a beta step renamed so the argument's free variables stay free
+function printAlphaRenames(renames) {
+  for (const { from, to, captured, variable } of renames) {
+    console.log(RENAME_STYLE('α') + chalk.gray(`: renamed λ${from} to λ${to} so the free ${captured} in the argument for ${variable} is not captured`));
+  }
+  if (renames.length > 0) console.log();
+}
+
+// Announce the end of a reduction with the normal form's value. With no
+// steps to go back to, exit; otherwise the session goes on.
+async function finishAtNormalForm(expr, rl, canUndo = false) {
+  console.log(chalk.yellow('Normal form reached!'));
+  if (reductionOptions.combinators) {
+    printLambdaReading(expr);
+  } else {
+    printValue(expr);
+  }
+  if (canUndo) {
+    console.log(chalk.gray('undo (u)  |  branch (b N)  |  history  |  reset (r)  |  exit\n'));
+    return;
+  }
+  console.log(chalk.gray('Press any key to exit...'));
+  await waitForKeyAndExit(rl);
+}
+
+function printReducePrompt(redexCount) {
+  console.log(chalk.gray(`${redexCount} redex(es) available.`));
+  console.log(chalk.green(`Reduce: [1-${redexCount}]`) + chalk.gray('  |  next (n)  |  auto (a)  |  undo (u)  |  strategies (s)  |  reset (r)  |  exit\n'));
+}
+
+// How a step was made, e.g. [2], [η1] or eta-expanded
+function describeStep(step) {
+  switch (step.kind) {
+    case 'start': return 'start';
+    case 'beta': return `[${step.reducedId}]`;
+    case 'eta': return `[η${step.reducedId}]`;
+    case 'combinator': return `[${step.reducedId}] ${step.rule}`;
+    default: return step.kind;
+  }
+}
+
+// The active branch, one line per step, with the other branches and the bookmarks
+function printHistory(session) {
+  const names = new Map();
+  for (const { name, step } of session.bookmarks) {
+    names.set(step, [...(names.get(step) ?? []), name]);
+  }
+  console.log(chalk.cyan('\nHistory of this branch:'));
+  for (const step of session.steps) {
+    const term = prettyPrint(clearSubstitutionMarks(step.expr));
+    const shown = term.length > 60 ? term.slice(0, 59) + '…' : term;
+    const here = step === session.current ? chalk.yellow(' ◀') : '';
+    const branches = step.children.length > 1 ? chalk.gray(` (${step.children.length} branches)`) : '';
+    const marks = names.has(step) ? chalk.green(` ★ ${names.get(step).join(', ')}`) : '';
+    console.log(`  ${String(step.stepNum).padStart(3)}  ${describeStep(step).padEnd(16)} ${shown}${here}${branches}${marks}`);
+  }
+  if (session.canRedo) {
+    console.log(chalk.gray(`  (redo goes on to step ${session.current.activeChild.stepNum})`));
+  }
+  console.log();
+}
+
 function printBanner() {
   console.log(chalk.cyan(`
 ╔═══════════════════════════════════════════════════════════╗
@@ -177,13 +477,329 @@ function printHelp() {
   console.log('  Variables: x, y, z, foo, etc.');
   console.log('  Lambda:    λx.body  or  \\x.body');
   console.log('  Apply:     (f x) or f x');
+  console.log('  Literals:  0, 1, 2, ... (Church numerals), true, false (Church booleans)');
+  console.log('\nProgram files (node src/cli.js file.lam):');
+  console.log('  -- comment        NAME = term        import "other.lam"');
+  console.log('  A final expression is the main term; definitions can be used in custom input.');
+  console.log('\nSaved sessions (node src/cli.js [file.lam] [--load in.json] [--save out.json]):');
+  console.log('  --load reopens a saved reduction; --save keeps the file up to date as you reduce.');
+  console.log('  --export out.tex|out.md|out.html keeps a LaTeX, Markdown or HTML transcript of the current branch.');
   console.log('\nCommands:');
   console.log('  Enter a number to reduce that redex');
+  console.log('  n, next [s]   - reduce the redex strategy s picks (default: normal)');
+  console.log('  a, auto [s]   - reduce with strategy s until it stops (step, size and cycle limits apply)');
+  console.log(`  s, strategies - show which redex each strategy picks`);
+  console.log('  d, debruijn   - toggle nameless display (de Bruijn indices, 0 = nearest λ)');
+  console.log('  e, eta        - toggle eta redexes λx.f x -> f (shown as [ηN])');
+  console.log('  x, expand     - eta-expand the whole expression: M -> λx.M x');
+  console.log('  o, optimal    - find the fewest steps to normal form and compare with normal order');
+  console.log('  lazy          - evaluate call-by-need: arguments become shared thunks (t1, t2, ...)');
+  console.log('  g, graph [f]  - explore every redex choice; write the graph to f as Graphviz DOT (default: print it)');
+  console.log('  k, ski [opt]  - compile to S/K/I combinators and reduce those (opt: also B, C)');
+  console.log('  l, lambda     - turn combinators back into lambda terms');
+  console.log('  u, undo       - go back one step; redo - go forward again');
+  console.log('  b, branch N   - go back to step N; reducing another redex there starts a new branch');
+  console.log('  history       - list the steps of the current branch, with branch points and bookmarks');
+  console.log('  m, mark NAME  - bookmark the current step; j, jump [NAME] - go to a bookmark (or list them)');
+  console.log('  save [f]      - save the session, with every branch and bookmark, as JSON to f (default: the --save file)');
+  console.log('  export [f]    - write the current branch as a transcript to f: .tex, .md or .html (default: the --export file)');
+  console.log('  :type [term]  - show the principal type of term (default: the current expression)');
+  console.log(`                  strategies: ${Object.keys(STRATEGIES).join(', ')}`);
   console.log('  exit, q, quit - exit the program');
   console.log('  r, reset      - choose new expression');
   console.log('  h, help       - show this help\n');
 }
 
+// Show the Church value a normal form encodes, if it encodes one
+function printValue(expr) {
+  const value = describeChurchValue(expr);
+  if (value !== null) {
+    console.log(chalk.green(`Value: ${value}`));
+  }
+}
+
+// Print one syntax error with its range underlined in the source line
+function printSyntaxError(source, error) {
+  const [line, marker] = formatSyntaxError(source, error).split('\n');
+  const where = error.file ? `${path.relative(process.cwd(), error.file)}:${error.line}:${error.column}: ` : '';
+  console.log(chalk.red(`\n  ${where}${error.message} [${error.code}]`));
+  console.log(`    ${line}`);
+  console.log(`    ${chalk.redBright(marker)}`);
+  if (error.hint) {
+    console.log(chalk.gray(`  hint: ${error.hint}`));
+  }
+}
+
+// :type [term] / :t [term]
+const TYPE_COMMAND = /^:t(ype)?(\s|$)/;
+
+// Print the principal type of a term, or why it has none
+function printType(expr) {
+  const result = inferType(expr);
+  if (result.ok) {
+    console.log(chalk.cyan(`\n  ${prettyPrint(expr)}`) + chalk.white(` : ${typeToString(result.type)}\n`));
+    return;
+  }
+  console.log(chalk.red(`\nNo type: ${result.error.message}`));
+  console.log(chalk.gray(`  while typing ${prettyPrint(result.error.expr)}`));
+  if (result.error.code === TYPE_ERRORS.INFINITE_TYPE) {
+    console.log(chalk.gray('  Self-application needs a type equal to a function of itself (as in Omega and Y).'));
+  }
+  console.log();
+}
+
+// Type the given term, or the current expression when none is given
+function runTypeCommand(input, currentExpr, program) {
+  const source = input.replace(TYPE_COMMAND, '').trim();
+  if (source === '') {
+    if (currentExpr === null) {
+      console.log(chalk.red('Usage: :type <term>\n'));
+    } else {
+      printType(currentExpr);
+    }
+    return;
+  }
+  try {
+    const expr = parse(source, { literals: true });
+    printType(program === null ? expr : expandDefinitions(expr, program.definitions));
+  } catch (e) {
+    if (!(e instanceof LambdaSyntaxError)) throw e;
+    printSyntaxErrors(source);
+  }
+}
+
+// Report every syntax error in the input
+function printSyntaxErrors(source) {
+  const { errors } = parseWithDiagnostics(source, { literals: true });
+  console.log(chalk.red(`${errors.length} parse error(s):`));
+  for (const error of errors) {
+    printSyntaxError(source, error);
+  }
+  console.log();
+}
+
+// ============================================================================
+// Program Files
+// ============================================================================
+
+// Load a program file; imports resolve relative to the importing file.
+// Returns null (after reporting the error) if the program is invalid.
+function loadProgramFile(fileName) {
+  const sources = new Map();
+  const read = (file) => {
+    const source = readFileSync(file, 'utf8');
+    sources.set(file, source);
+    return source;
+  };
+  const loader = (importPath, importingFile) => {
+    const file = path.resolve(path.dirname(importingFile), importPath);
+    return { file, source: read(file) };
+  };
+
+  const file = path.resolve(fileName);
+  try {
+    return parseProgram(read(file), { file, loader, literals: true });
+  } catch (e) {
+    if (e instanceof LambdaSyntaxError) {
+      printSyntaxError(sources.get(e.file) ?? '', e);
+    } else {
+      console.log(chalk.red(`Cannot read ${fileName}: ${e.message}`));
+    }
+    console.log();
+    return null;
+  }
+}
+
+function printProgramSummary(program) {
+  const fileCount = program.imports.length + 1;
+  const names = [...program.definitions.keys()];
+  console.log(chalk.cyan(`Loaded ${path.relative(process.cwd(), program.file)}: ${names.length} definition(s) from ${fileCount} file(s)`));
+  if (names.length > 0) {
+    console.log(chalk.gray(`  ${names.join(', ')}`));
+  }
+  if (program.main !== null) {
+    console.log(chalk.cyan(`Main: ${prettyPrint(program.main)}`));
+  } else {
+    console.log(chalk.yellow('No main expression - choose an example or enter your own (definitions can be used).'));
+  }
+}
+
+// ============================================================================
+// Saved Sessions
+// ============================================================================
+
+const FILE_OPTIONS = { '--load': 'loadFile', '--save': 'saveFile', '--export': 'exportFile' };
+
+// Command line: [program.lam] [--load session.json] [--save session.json] [--export transcript.tex]
+function parseArguments(args) {
+  const parsed = { programFile: null, loadFile: null, saveFile: null, exportFile: null };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg in FILE_OPTIONS) {
+      const file = args[++i];
+      if (file === undefined) {
+        throw new Error(`${arg} needs a file name`);
+      }
+      if (arg === '--export') {
+        transcriptFormat(file);
+      }
+      parsed[FILE_OPTIONS[arg]] = file;
+    } else if (parsed.programFile === null && !arg.startsWith('--')) {
+      parsed.programFile = arg;
+    } else {
+      throw new Error(`Unexpected argument '${arg}'`);
+    }
+  }
+  return parsed;
+}
+
+// Steps in the whole history, and its branches (steps nothing was done after)
+function countHistory(session) {
+  let steps = 0;
+  let branches = 0;
+  const pending = [session.root];
+  while (pending.length > 0) {
+    const step = pending.pop();
+    steps++;
+    if (step.children.length === 0) branches++;
+    pending.push(...step.children);
+  }
+  return { steps, branches };
+}
+
+function saveSession(session, file) {
+  writeFileSync(file, serializeSession(session, { savedAt: new Date().toISOString() }));
+}
+
+// Why a file cannot be written, or null if it can (checked at startup, so a
+// bad --save or --export path stops the REPL before any work is done)
+function unwritableReason(file) {
+  try {
+    if (existsSync(file)) {
+      if (statSync(file).isDirectory()) {
+        return 'it is a directory';
+      }
+      accessSync(file, constants.W_OK);
+    } else {
+      accessSync(path.dirname(path.resolve(file)), constants.W_OK);
+    }
+    return null;
+  } catch (e) {
+    return e.code === 'ENOENT' ? 'its directory does not exist' : e.message;
+  }
+}
+
+// Keeps the file of --save or --export in step with the session: it is written
+// when its contents change, and a failed write is reported once and turns the
+// option off. contents(session) gives [key, text]; the key leaves out what
+// changes on every write, like the time saved.
+function fileFollower(option, file, contents) {
+  let written = null;
+  return {
+    get file() {
+      return file;
+    },
+    update(session) {
+      if (file === null) {
+        return;
+      }
+      try {
+        const [key, text] = contents(session);
+        if (key === written) {
+          return;
+        }
+        writeFileSync(file, text);
+        written = key;
+      } catch (e) {
+        console.log(chalk.red(`Cannot write ${file}: ${e.message}`) + chalk.gray(` (${option} is now off)\n`));
+        file = null;
+      }
+    }
+  };
+}
+
+// Transcript formats by file extension
+const TRANSCRIPT_EXTENSIONS = { '.tex': 'latex', '.md': 'markdown', '.html': 'html', '.htm': 'html' };
+
+function transcriptFormat(file) {
+  const format = TRANSCRIPT_EXTENSIONS[path.extname(file).toLowerCase()];
+  if (format === undefined) {
+    throw new Error(`Cannot tell the transcript format of ${file} (use .tex, .md or .html)`);
+  }
+  return format;
+}
+
+// Write the current branch as a transcript; the format follows the file's extension
+function exportSessionTranscript(session, file) {
+  writeFileSync(file, exportTranscript(session.steps, transcriptFormat(file)));
+}
+
+// Read a saved session into the REPL's settings. Returns null (after
+// reporting the error) if the file cannot be read or is not a session.
+function loadSession(file) {
+  try {
+    return deserializeSession(readFileSync(file, 'utf8'), { options: reductionOptions }).session;
+  } catch (e) {
+    console.log(chalk.red(`Cannot load ${file}: ${e.message}\n`));
+    return null;
+  }
+}
+
+// Wait for any keypress then exit
+async function waitForKeyAndExit(rl) {
+  process.stdin.setRawMode(true);
+  process.stdin.resume();
+  await new Promise((resolve) => {
+    process.stdin.once('data', resolve);
+  });
+  console.log('Goodbye!');
+  rl.close();
+  process.exit(0);
+}
+
+// Combinator terms have a single built-in strategy
+const COMBINATOR_STRATEGY = { label: 'Leftmost-outermost' };
+
+const TERMINATION_MESSAGES = {
+  [TERMINATION.NORMAL_FORM]: 'no redex left for this strategy',
+  [TERMINATION.FUEL_EXHAUSTED]: 'step limit reached - the term may not terminate',
+  [TERMINATION.SIZE_LIMIT]: 'term grew past the size limit - it is probably blowing up',
+  [TERMINATION.CYCLE]: 'cycle detected - the term repeats forever',
+};
+
+function printNormalizeResult(result, strategy) {
+  const stepCount = result.steps.length - 1;
+  console.log('\n' + chalk.yellow(`${strategy.label}: ${stepCount} step(s)`) + '\n');
+  console.log(render(result.expr, 0, true, displayOptions) + '\n');
+
+  const message = TERMINATION_MESSAGES[result.reason];
+  const color = result.reason === TERMINATION.NORMAL_FORM ? chalk.green : chalk.red;
+  console.log(color(`Stopped: ${message}`));
+  if (result.reason === TERMINATION.CYCLE) {
+    console.log(chalk.gray(`Step ${stepCount} is the same term as step ${result.cycleStart} (up to renaming).`));
+  }
+  console.log();
+}
+
+// Show a freshly loaded expression and how to reduce it; returns a session starting with it
+async function beginReduction(expr, rl) {
+  const session = new ReductionSession(expr, reductionOptions);
+  const numbered = session.root.expr;
+  console.log('\n' + render(numbered, 0, true, displayOptions) + '\n');
+
+  const redexCount = currentRedexCount(numbered);
+  if (redexCount === 0) {
+    console.log(chalk.yellow('No redexes found - expression is in normal form.'));
+    printValue(numbered);
+    console.log(chalk.gray('Press any key to exit...'));
+
+    await waitForKeyAndExit(rl);
+  } else {
+    printReducePrompt(redexCount);
+  }
+  return session;
+}
+
 async function main() {
   const rl = readline.createInterface({
     input: process.stdin,
@@ -197,10 +813,101 @@ async function main() {
   };
 
   printBanner();
-  printExampleMenu();
 
+  // The reduction history; currentExpr is its current step without substitution marks
+  let session = null;
   let currentExpr = null;
 
+  // Take up the session's current step: its calculus, its numbering and its term
+  const syncCurrent = () => {
+    reductionOptions.combinators = session.current.combinators === true;
+    session.replaceCurrent(numberCurrent(session.current.expr));
+    currentExpr = clearSubstitutionMarks(session.current.expr);
+  };
+
+  // After moving around the history: show where we are, with the step's
+  // substitutions highlighted as when it was made
+  const showCurrent = (title) => {
+    syncCurrent();
+    console.log('\n' + chalk.yellow(title) + '\n');
+    console.log(render(session.current.expr, 0, true, displayOptions) + '\n');
+    printAlphaRenames(session.current.linkingInfo?.alphaRenames ?? []);
+    const count = currentRedexCount(currentExpr);
+    if (count === 0) {
+      console.log(chalk.gray('Normal form. undo (u)  |  branch (b N)  |  history  |  reset (r)  |  exit\n'));
+    } else {
+      printReducePrompt(count);
+    }
+  };
+
+  // Record a step that did not come from reducing a lambda redex
+  const addStep = (expr, fields) => {
+    session.addStep(expr, { combinators: reductionOptions.combinators, ...fields });
+    currentExpr = clearSubstitutionMarks(expr);
+  };
+
+  let args;
+  try {
+    args = parseArguments(process.argv.slice(2));
+  } catch (e) {
+    console.log(chalk.red(`${e.message}\n`) + chalk.gray('Usage: node src/cli.js [file.lam] [--load session.json] [--save session.json] [--export transcript.tex|.md|.html]'));
+    rl.close();
+    process.exitCode = 1;
+    return;
+  }
+  const { programFile, loadFile, saveFile, exportFile } = args;
+  for (const [option, file] of [['--save', saveFile], ['--export', exportFile]]) {
+    const problem = file && unwritableReason(file);
+    if (problem) {
+      console.log(chalk.red(`Cannot write ${file} (${option}): ${problem}\n`));
+      rl.close();
+      process.exitCode = 1;
+      return;
+    }
+  }
+  const savedFile = fileFollower('--save', saveFile, session => [
+    serializeSession(session),
+    serializeSession(session, { savedAt: new Date().toISOString() })
+  ]);
+  const exportedFile = fileFollower('--export', exportFile, session => {
+    const text = exportTranscript(session.steps, transcriptFormat(exportFile));
+    return [text, text];
+  });
+
+  // Optional program file: node src/cli.js file.lam
+  let program = null;
+  if (programFile) {
+    program = loadProgramFile(programFile);
+    if (program === null) {
+      rl.close();
+      process.exitCode = 1;
+      return;
+    }
+    printProgramSummary(program);
+    if (program.expr !== null && !loadFile) {
+      session = await beginReduction(program.expr, rl);
+      syncCurrent();
+    }
+  }
+
+  // A saved session takes the place of the program's main term
+  if (loadFile) {
+    session = loadSession(loadFile);
+    if (session === null) {
+      rl.close();
+      process.exitCode = 1;
+      return;
+    }
+    const { branches } = countHistory(session);
+    console.log(chalk.cyan(`Loaded ${loadFile}: ${session.current.stepNum} step(s) on this branch`) +
+      chalk.gray(branches > 1 ? `, ${branches} branches (see history)` : ''));
+    showCurrent(`Step ${session.current.stepNum}:`);
+  }
+
+  if (currentExpr === null) {
+    printExampleMenu();
+  }
+
   while (true) {
     try {
       if (currentExpr === null) {
@@ -215,6 +922,10 @@ async function main() {
           printHelp();
           continue;
         }
+        if (TYPE_COMMAND.test(trimmed)) {
+          runTypeCommand(trimmed, null, program);
+          continue;
+        }
         if (trimmed === '') continue;
 
         const num = parseInt(trimmed, 10);
@@ -242,40 +953,38 @@ async function main() {
           }
 
           try {
-            currentExpr = parse(exprString);
-            currentExpr = numberRedexes(currentExpr);
-            console.log('\n' + render(currentExpr) + '\n');
-
-            const redexCount = getRedexCount(currentExpr);
-            if (redexCount === 0) {
-              console.log(chalk.yellow('No redexes found - expression is in normal form.'));
-              console.log(chalk.gray('Press any key to exit...'));
-
-              // Wait for any keypress then exit
-              process.stdin.setRawMode(true);
-              process.stdin.resume();
-              await new Promise((resolve) => {
-                process.stdin.once('data', resolve);
-              });
-              console.log('Goodbye!');
-              rl.close();
-              process.exit(0);
-            } else {
-              console.log(chalk.gray(`${redexCount} redex(es) available.`));
-              console.log(chalk.green(`Reduce: [1-${redexCount}]`) + chalk.gray('  |  reset (r)  |  exit\n'));
+            let expr = parse(exprString, { literals: true });
+            if (program !== null) {
+              expr = expandDefinitions(expr, program.definitions);
             }
+            session = await beginReduction(expr, rl);
+            syncCurrent();
           } catch (e) {
-            console.log(chalk.red(`Parse error: ${e.message}\n`));
+            if (e instanceof LambdaSyntaxError) {
+              printSyntaxErrors(exprString);
+            } else {
+              console.log(chalk.red(`Parse error: ${e.message}\n`));
+            }
           }
         } else {
           console.log(chalk.red(`Please enter a number between 0 and ${EXAMPLES.length}\n`));
         }
       } else {
-        const redexCount = getRedexCount(currentExpr);
+        // --save and --export keep their files in step with the session
+        savedFile.update(session);
+        exportedFile.update(session);
+
+        const redexCount = currentRedexCount(currentExpr);
         const input = await prompt(chalk.green('> '));
         const trimmed = input.trim();
 
         if (trimmed === 'q' || trimmed === 'quit' || trimmed === 'exit') {
+          if (savedFile.file) {
+            console.log(chalk.gray(`Session saved to ${savedFile.file}.`));
+          }
+          if (exportedFile.file) {
+            console.log(chalk.gray(`Transcript written to ${exportedFile.file}.`));
+          }
           console.log('Goodbye!');
           break;
         }
@@ -283,51 +992,219 @@ async function main() {
           printHelp();
           continue;
         }
+        if (TYPE_COMMAND.test(trimmed)) {
+          runTypeCommand(trimmed, currentExpr, program);
+          continue;
+        }
         if (trimmed === 'r' || trimmed === 'reset') {
+          session = null;
           currentExpr = null;
+          reductionOptions.combinators = false;
           console.log();
           printExampleMenu();
           continue;
         }
         if (trimmed === '') {
-          console.log('\n' + render(currentExpr) + '\n');
+          console.log('\n' + render(currentExpr, 0, true, displayOptions) + '\n');
           continue;
         }
 
-        const num = parseInt(trimmed, 10);
+        if (trimmed === 'd' || trimmed === 'debruijn') {
+          displayOptions.nameless = !displayOptions.nameless;
+          console.log(chalk.gray(`Nameless (de Bruijn) display ${displayOptions.nameless ? 'on' : 'off'}.`));
+          console.log('\n' + render(currentExpr, 0, true, displayOptions) + '\n');
+          continue;
+        }
+        if (trimmed === 'e' || trimmed === 'eta') {
+          reductionOptions.eta = !reductionOptions.eta;
+          syncCurrent();
+          console.log(chalk.gray(`Eta reduction ${reductionOptions.eta ? 'on' : 'off'}.`));
+          console.log('\n' + render(currentExpr, 0, true, displayOptions) + '\n');
+          continue;
+        }
+        const [command, option] = trimmed.split(/\s+/);
+        const argument = trimmed.slice(command.length).trim();
+        if (trimmed === 'u' || trimmed === 'undo') {
+          if (session.undo() === null) {
+            console.log(chalk.yellow('Nothing to undo - this is the start.\n'));
+          } else {
+            showCurrent(`Back to step ${session.current.stepNum}:`);
+          }
+          continue;
+        }
+        if (trimmed === 'redo') {
+          if (session.redo() === null) {
+            console.log(chalk.yellow('Nothing to redo.\n'));
+          } else {
+            showCurrent(`Step ${session.current.stepNum} again (${describeStep(session.current)}):`);
+          }
+          continue;
+        }
+        if (command === 'b' || command === 'branch') {
+          const stepNum = Number(argument);
+          if (argument === '' || !Number.isInteger(stepNum) || stepNum < 0 || stepNum > session.current.stepNum) {
+            console.log(chalk.red(`Please give a step number between 0 and ${session.current.stepNum} (see history)\n`));
+            continue;
+          }
+          session.branchFrom(stepNum);
+          showCurrent(`Back to step ${stepNum} - reduce another redex to start a new branch:`);
+          continue;
+        }
+        if (trimmed === 'history') {
+          printHistory(session);
+          continue;
+        }
+        if (command === 'm' || command === 'mark') {
+          if (argument === '') {
+            console.log(chalk.red('Please name the bookmark, e.g. mark before Y\n'));
+            continue;
+          }
+          session.bookmark(argument);
+          console.log(chalk.green(`Bookmarked step ${session.current.stepNum} as '${argument}'.\n`));
+          continue;
+        }
+        if (command === 'j' || command === 'jump') {
+          const { bookmarks } = session;
+          if (argument === '') {
+            console.log(bookmarks.length === 0
+              ? chalk.yellow('No bookmarks yet - add one with mark NAME.\n')
+              : chalk.cyan('Bookmarks: ') + bookmarks.map(({ name, step }) => `${name} (step ${step.stepNum})`).join(', ') + '\n');
+            continue;
+          }
+          if (!bookmarks.some(({ name }) => name === argument)) {
+            console.log(chalk.red(`No bookmark named '${argument}'.\n`));
+            continue;
+          }
+          session.goToBookmark(argument);
+          showCurrent(`Step ${session.current.stepNum} ('${argument}'):`);
+          continue;
+        }
+        if (command === 'save') {
+          const file = argument || saveFile;
+          if (!file) {
+            console.log(chalk.red('Please give a file name, e.g. save session.json\n'));
+            continue;
+          }
+          try {
+            saveSession(session, file);
+          } catch (e) {
+            console.log(chalk.red(`Cannot write ${file}: ${e.message}\n`));
+            continue;
+          }
+          console.log(chalk.green(`Saved ${countHistory(session).steps} step(s) to ${file}`) + chalk.gray(` (reopen with: node src/cli.js --load ${file})\n`));
+          continue;
+        }
+        if (command === 'export') {
+          const file = argument || exportFile;
+          if (!file) {
+            console.log(chalk.red('Please give a file name, e.g. export steps.tex\n'));
+            continue;
+          }
+          try {
+            exportSessionTranscript(session, file);
+          } catch (e) {
+            console.log(chalk.red(`${e.message}\n`));
+            continue;
+          }
+          console.log(chalk.green(`Wrote ${session.current.stepNum + 1} step(s) to ${file}\n`));
+          continue;
+        }
+        if (command === 'k' || command === 'ski') {
+          addStep(switchCalculus(currentExpr, { toCombinators: true, optimize: option === 'opt' }), { kind: 'to-combinators' });
+          continue;
+        }
+        if (trimmed === 'l' || trimmed === 'lambda') {
+          addStep(switchCalculus(currentExpr, { toCombinators: false }), { kind: 'to-lambda' });
+          continue;
+        }
+        if (reductionOptions.combinators && ['e', 'eta', 'x', 'expand', 's', 'strategies', 'g', 'graph', 'o', 'optimal', 'lazy'].includes(command)) {
+          console.log(chalk.yellow('Not available for combinators - they only reduce leftmost-outermost (use l to go back to lambda terms).\n'));
+          continue;
+        }
+        if (trimmed === 'x' || trimmed === 'expand') {
+          addStep(numberCurrent(etaExpand(currentExpr)), { kind: 'eta-expand' });
+          console.log('\n' + ETA_STYLE('After eta-expanding:') + '\n');
+          console.log(render(currentExpr, 0, true, displayOptions) + '\n');
+          continue;
+        }
+        if (trimmed === 's' || trimmed === 'strategies') {
+          printStrategyPicks(currentExpr);
+          continue;
+        }
+        if (trimmed === 'o' || trimmed === 'optimal') {
+          printOptimalPath(currentExpr);
+          continue;
+        }
+        if (trimmed === 'lazy') {
+          printLazyEvaluation(currentExpr);
+          continue;
+        }
+        if (command === 'g' || command === 'graph') {
+          exportReductionGraph(currentExpr, option);
+          continue;
+        }
+
+        let num;
+        const strategyName = option;
+        if (command === 'a' || command === 'auto') {
+          const strategy = reductionOptions.combinators ? COMBINATOR_STRATEGY : getStrategy(strategyName || 'normal');
+          const result = reductionOptions.combinators
+            ? normalizeCombinators(clearSubstitutionMarks(currentExpr))
+            : normalize(clearSubstitutionMarks(currentExpr), { strategy, ...reductionOptions });
+          printNormalizeResult(result, strategy);
+
+          // The whole run is one step of the history
+          addStep(numberCurrent(clearSubstitutionMarks(result.expr)), { kind: `auto (${result.steps.length - 1} steps)` });
+          const remaining = currentRedexCount(currentExpr);
+          if (remaining === 0) {
+            await finishAtNormalForm(currentExpr, rl, true);
+          } else {
+            printReducePrompt(remaining);
+          }
+          continue;
+        }
+        if (command === 'n' || command === 'next') {
+          const strategy = reductionOptions.combinators ? COMBINATOR_STRATEGY : getStrategy(strategyName || 'normal');
+          num = reductionOptions.combinators ? selectCombinatorRedex(currentExpr) : selectRedex(currentExpr, strategy);
+          if (num === null) {
+            console.log(chalk.yellow(`${strategy.label} has no redex to reduce here.\n`));
+            continue;
+          }
+          console.log(chalk.gray(`${strategy.label} picks redex [${num}]`));
+        } else {
+          num = parseInt(trimmed, 10);
+        }
+
         if (isNaN(num) || num < 1 || num > redexCount) {
           console.log(chalk.red(`Please enter a number between 1 and ${redexCount}\n`));
           continue;
         }
 
         // Perform reduction
-        currentExpr = reduceAt(currentExpr, num);
-        console.log('\n' + chalk.yellow(`After reducing redex [${num}]:`) + '\n');
+        let step;
+        if (reductionOptions.combinators) {
+          const { kind } = getCombinatorRedexes(currentExpr).find(redex => redex.id === num);
+          addStep(numberCurrent(reduceCombinatorAt(currentExpr, num)), { kind: 'combinator', reducedId: num, rule: COMBINATORS[kind].rule });
+          step = session.current;
+          console.log('\n' + chalk.yellow(`After reducing redex [${num}]`) + chalk.gray(` (${step.rule}):`) + '\n');
+        } else {
+          step = session.reduce(num);
+          console.log('\n' + (step.kind === 'eta'
+            ? ETA_STYLE(`After eta-reducing redex [η${num}]:`)
+            : chalk.yellow(`After reducing redex [${num}]:`)) + '\n');
+        }
 
-        // Show result with substitution highlighting
-        currentExpr = numberRedexes(currentExpr);
-        console.log(render(currentExpr) + '\n');
+        // Show result with substitution highlighting; the next step starts
+        // from it without marks (the numbering stays valid)
+        console.log(render(step.expr, 0, true, displayOptions) + '\n');
+        printAlphaRenames(step.linkingInfo?.alphaRenames ?? []);
+        currentExpr = clearSubstitutionMarks(step.expr);
 
-        const newRedexCount = getRedexCount(currentExpr);
+        const newRedexCount = currentRedexCount(currentExpr);
         if (newRedexCount === 0) {
-          console.log(chalk.yellow('Normal form reached!'));
-          console.log(chalk.gray('Press any key to exit...'));
-
-          // Wait for any keypress then exit
-          process.stdin.setRawMode(true);
-          process.stdin.resume();
-          await new Promise((resolve) => {
-            process.stdin.once('data', resolve);
-          });
-          console.log('Goodbye!');
-          rl.close();
-          process.exit(0);
+          await finishAtNormalForm(currentExpr, rl, true);
         } else {
-          console.log(chalk.gray(`${newRedexCount} redex(es) available.`));
-          console.log(chalk.green(`Reduce: [1-${newRedexCount}]`) + chalk.gray('  |  reset (r)  |  exit\n'));
-          // Clear substitution marks for next iteration
-          currentExpr = clearSubstitutionMarks(currentExpr);
-          currentExpr = numberRedexes(currentExpr);
+          printReducePrompt(newRedexCount);
         }
       }
     } catch (e) {
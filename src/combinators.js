@@ -0,0 +1,315 @@
+// ============================================================================
+// Combinatory Logic - Bracket Abstraction and S/K/I Rewriting
+// ============================================================================
+//
+// Combinator terms reuse the kernel's AST: a combinator is a Variable named
+// S, K, I, B or C. Everything that renders or compares lambda terms works on
+// combinator terms unchanged; only the reduction rules differ.
+
+import {
+  Variable,
+  Abstraction,
+  Application,
+  parse,
+  freeVariables,
+  freshName,
+  substitute,
+  toDeBruijn,
+  deBruijnToString,
+  termSize,
+  TERMINATION,
+  run,
+} from './kernel.js';
+
+const app = (func, arg, sourceId = null) => new Application(func, arg, null, false, sourceId);
+
+/**
+ * Rewrite rules. A combinator applied to exactly `arity` arguments is a redex;
+ * `contract` builds the result from those arguments.
+ */
+export const COMBINATORS = {
+  S: { arity: 3, rule: 'S x y z → x z (y z)', lambda: 'λx.λy.λz.x z (y z)', contract: ([x, y, z], id) => app(app(x, z, id), app(y, z.clone(true, id), id), id) },
+  K: { arity: 2, rule: 'K x y → x', lambda: 'λx.λy.x', contract: ([x]) => x },
+  I: { arity: 1, rule: 'I x → x', lambda: 'λx.x', contract: ([x]) => x },
+  B: { arity: 3, rule: 'B x y z → x (y z)', lambda: 'λx.λy.λz.x (y z)', contract: ([x, y, z], id) => app(x, app(y, z, id), id) },
+  C: { arity: 3, rule: 'C x y z → x z y', lambda: 'λx.λy.λz.x z y', contract: ([x, y, z], id) => app(app(x, z, id), y, id) },
+};
+
+export function isCombinator(expr) {
+  return expr.type === 'variable' && Object.hasOwn(COMBINATORS, expr.name);
+}
+
+/**
+ * Check if an expression is a pure combinator term: built from variables
+ * and applications only, with no lambda left.
+ */
+export function isCombinatorTerm(expr) {
+  const pending = [expr];
+  while (pending.length > 0) {
+    const e = pending.pop();
+    if (e.type === 'abstraction') {
+      return false;
+    }
+    if (e.type === 'application') {
+      pending.push(e.arg, e.func);
+    }
+  }
+  return true;
+}
+
+// Split an application spine: f a b c -> { head: f, args: [a, b, c] }
+function spine(expr) {
+  const args = [];
+  while (expr.type === 'application') {
+    args.unshift(expr.arg);
+    expr = expr.func;
+  }
+  return { head: expr, args };
+}
+
+/**
+ * Check if an expression is a combinator redex: a combinator applied to
+ * exactly as many arguments as its rule consumes. Longer spines contain the
+ * redex as their function part.
+ */
+export function isCombinatorRedex(expr) {
+  if (expr.type !== 'application') return false;
+  const { head, args } = spine(expr);
+  return isCombinator(head) && COMBINATORS[head.name].arity === args.length;
+}
+
+// ============================================================================
+// Bracket Abstraction
+// ============================================================================
+
+// Rename binders that would be confused with combinators once the lambdas
+// are compiled away: in λS.S K the bound S is not the combinator.
+// Like the kernel's traversals, the functions in this module are generators
+// driven by run(), so terms nested deeper than the call stack still compile.
+function* avoidCombinatorNames(expr, reserved) {
+  switch (expr.type) {
+    case 'variable':
+      return expr;
+    case 'abstraction': {
+      let { param, body } = expr;
+      if (reserved.has(param)) {
+        const renamed = freshName(param.toLowerCase(), new Set([...reserved, ...freeVariables(body)]));
+        body = substitute(body, param, new Variable(renamed), false);
+        param = renamed;
+      }
+      return new Abstraction(param, yield avoidCombinatorNames(body, reserved));
+    }
+    case 'application':
+      return new Application(yield avoidCombinatorNames(expr.func, reserved), yield avoidCombinatorNames(expr.arg, reserved));
+  }
+}
+
+// [x] term: a combinator term that behaves like λx.term
+function* abstractVariable(name, term, optimize) {
+  if (!freeVariables(term).has(name)) {
+    return app(new Variable('K'), term);
+  }
+  if (term.type === 'variable') {
+    return new Variable('I');
+  }
+  const { func, arg } = term;
+  if (optimize && !freeVariables(func).has(name)) {
+    if (arg.type === 'variable' && arg.name === name) {
+      return func; // [x] f x = f
+    }
+    return app(app(new Variable('B'), func), yield abstractVariable(name, arg, optimize));
+  }
+  if (optimize && !freeVariables(arg).has(name)) {
+    return app(app(new Variable('C'), yield abstractVariable(name, func, optimize)), arg);
+  }
+  return app(
+    app(new Variable('S'), yield abstractVariable(name, func, optimize)),
+    yield abstractVariable(name, arg, optimize)
+  );
+}
+
+/**
+ * Compile a lambda term to combinators by bracket abstraction, innermost
+ * lambda first.
+ *
+ * Without options only S, K and I are used. With { optimize: true } B and C
+ * replace S where only one side mentions the variable, and [x] f x becomes f;
+ * the result is shorter but only equal up to eta.
+ *
+ * Throws if a free variable is named like a combinator, since the rewriting
+ * engine would mistake it for one.
+ */
+export function toSKI(expr, { optimize = false } = {}) {
+  const reserved = new Set(Object.keys(COMBINATORS));
+  for (const name of freeVariables(expr)) {
+    if (reserved.has(name)) {
+      throw new Error(`Free variable ${name} clashes with the ${name} combinator`);
+    }
+  }
+
+  function* compile(e) {
+    switch (e.type) {
+      case 'variable':
+        return new Variable(e.name);
+      case 'abstraction':
+        return yield abstractVariable(e.param, yield compile(e.body), optimize);
+      case 'application':
+        return app(yield compile(e.func), yield compile(e.arg));
+    }
+  }
+  return run(compile(run(avoidCombinatorNames(expr, reserved))));
+}
+
+/**
+ * Replace every combinator with its lambda definition, e.g. to normalize the
+ * result of a combinator computation with beta reduction.
+ */
+export function combinatorsToLambda(expr) {
+  const definitions = new Map();
+  function definition(name) {
+    if (!definitions.has(name)) {
+      definitions.set(name, parse(COMBINATORS[name].lambda));
+    }
+    return definitions.get(name);
+  }
+
+  function* convert(e) {
+    switch (e.type) {
+      case 'variable': {
+        if (!isCombinator(e)) return e;
+        const lambda = definition(e.name).clone();
+        lambda.origin = e.name;
+        return lambda;
+      }
+      case 'abstraction':
+        return new Abstraction(e.param, yield convert(e.body));
+      case 'application':
+        return new Application(yield convert(e.func), yield convert(e.arg));
+    }
+  }
+  return run(convert(expr));
+}
+
+// ============================================================================
+// Rewriting
+// ============================================================================
+//
+// The functions below mirror the kernel's numberRedexes / reduceAt /
+// getRedexes / normalize so a UI can step through combinator terms the same
+// way it steps through lambda terms. Abstractions inside a combinator term
+// are opaque: the engine neither numbers nor reduces anything under them.
+
+/**
+ * Assign sequential IDs to combinator redexes in pre-order, so the smallest
+ * ID is the leftmost-outermost redex.
+ */
+export function numberCombinatorRedexes(expr, counter = { val: 1 }) {
+  function* number(e) {
+    if (e.type !== 'application') {
+      return e;
+    }
+    const id = isCombinatorRedex(e) ? counter.val++ : null;
+    const numbered = new Application(
+      yield number(e.func),
+      yield number(e.arg),
+      id,
+      e.fromSubstitution,
+      e.sourceId
+    );
+    numbered.origin = e.origin;
+    return numbered;
+  }
+  return run(number(expr));
+}
+
+/**
+ * Contract the combinator redex numbered targetId. Arguments moved by the
+ * rule are marked as substituted, with targetId as their source.
+ */
+export function reduceCombinatorAt(expr, targetId) {
+  function* reduce(e) {
+    if (e.type !== 'application') {
+      return e;
+    }
+    if (e.id === targetId && isCombinatorRedex(e)) {
+      const { head, args } = spine(e);
+      const moved = args.map(arg => arg.clone(true, targetId));
+      return COMBINATORS[head.name].contract(moved, targetId);
+    }
+    const rebuilt = new Application(
+      yield reduce(e.func),
+      yield reduce(e.arg),
+      e.id,
+      e.fromSubstitution,
+      e.sourceId
+    );
+    rebuilt.origin = e.origin;
+    return rebuilt;
+  }
+  return run(reduce(expr));
+}
+
+/**
+ * List the numbered combinator redexes as { id, expr, kind }, where kind is
+ * the combinator's name.
+ */
+export function getCombinatorRedexes(expr) {
+  const redexes = [];
+  const pending = [expr];
+  while (pending.length > 0) {
+    const e = pending.pop();
+    if (e.type !== 'application') continue;
+    if (e.id !== null && isCombinatorRedex(e)) {
+      redexes.push({ id: e.id, expr: e, kind: spine(e).head.name });
+    }
+    pending.push(e.arg, e.func);
+  }
+  return redexes;
+}
+
+/**
+ * ID of the leftmost-outermost combinator redex of a numbered term, or null.
+ */
+export function selectCombinatorRedex(expr) {
+  const [first] = getCombinatorRedexes(expr);
+  return first ? first.id : null;
+}
+
+/**
+ * Rewrite leftmost-outermost until no combinator redex is left. Takes the
+ * same limits and returns the same shape as the kernel's normalize().
+ */
+export function normalizeCombinators(expr, { maxSteps = 1000, maxSize = 10000 } = {}) {
+  let current = numberCombinatorRedexes(expr);
+  const steps = [{ expr: current, reducedId: null }];
+  const seen = new Map([[deBruijnToString(toDeBruijn(current)), 0]]);
+
+  const finish = (reason, cycleStart = null) => ({ expr: current, steps, reason, cycleStart });
+
+  if (termSize(current) > maxSize) {
+    return finish(TERMINATION.SIZE_LIMIT);
+  }
+
+  while (true) {
+    const id = selectCombinatorRedex(current);
+    if (id === null) {
+      return finish(TERMINATION.NORMAL_FORM);
+    }
+    if (steps.length - 1 >= maxSteps) {
+      return finish(TERMINATION.FUEL_EXHAUSTED);
+    }
+
+    current = numberCombinatorRedexes(reduceCombinatorAt(current, id));
+    steps.push({ expr: current, reducedId: id });
+
+    if (termSize(current) > maxSize) {
+      return finish(TERMINATION.SIZE_LIMIT);
+    }
+
+    const key = deBruijnToString(toDeBruijn(current));
+    if (seen.has(key)) {
+      return finish(TERMINATION.CYCLE, seen.get(key));
+    }
+    seen.set(key, steps.length - 1);
+  }
+}
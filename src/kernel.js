@@ -6,60 +6,177 @@
 // AST Node Types
 // ============================================================================
 
-export class Variable {
+// Common base of the node classes. It holds the node's termInfo() cache (see
+// Cached Term Information) in a private field, which comparisons, JSON and
+// console output all leave out.
+let cachedTermInfo;
+let cacheTermInfo;
+
+class Term {
+  #info = null;
+
+  static {
+    cachedTermInfo = (node) => node.#info;
+    cacheTermInfo = (node, info) => {
+      node.#info = info;
+    };
+  }
+}
+
+export class Variable extends Term {
   constructor(name, fromSubstitution = false, sourceId = null) {
+    super();
     this.type = 'variable';
     this.name = name;
     this.fromSubstitution = fromSubstitution;
     this.sourceId = sourceId; // Track which redex this came from
+    this.span = null; // { start, end } offsets when parsed from source
+    this.origin = null; // Name of the program definition this node came from
   }
 
   clone(fromSubstitution = false, sourceId = null) {
-    return new Variable(
+    return withOriginOf(new Variable(
       this.name,
       fromSubstitution || this.fromSubstitution,
       sourceId !== null ? sourceId : this.sourceId
-    );
+    ), this);
   }
 }
 
-export class Abstraction {
-  constructor(param, body, fromSubstitution = false, sourceId = null) {
+export class Abstraction extends Term {
+  constructor(param, body, fromSubstitution = false, sourceId = null, id = null, renaming = null) {
+    super();
     this.type = 'abstraction';
     this.param = param;
     this.body = body;
     this.fromSubstitution = fromSubstitution;
     this.sourceId = sourceId;
+    this.id = id; // Redex ID if this is a numbered eta redex
+    this.renaming = renaming; // { from, to, captured, variable, sourceId } if substitution renamed this binder
+    this.span = null;
+    this.origin = null;
   }
 
   clone(fromSubstitution = false, sourceId = null) {
-    return new Abstraction(
-      this.param,
-      this.body.clone(fromSubstitution, sourceId),
-      fromSubstitution || this.fromSubstitution,
-      sourceId !== null ? sourceId : this.sourceId
-    );
+    return run(cloneTerm(this, fromSubstitution, sourceId));
   }
 }
 
-export class Application {
+export class Application extends Term {
   constructor(func, arg, id = null, fromSubstitution = false, sourceId = null) {
+    super();
     this.type = 'application';
     this.func = func;
     this.arg = arg;
     this.id = id;
     this.fromSubstitution = fromSubstitution;
     this.sourceId = sourceId;
+    this.span = null;
+    this.origin = null;
   }
 
   clone(fromSubstitution = false, sourceId = null) {
-    return new Application(
-      this.func.clone(fromSubstitution, sourceId),
-      this.arg.clone(fromSubstitution, sourceId),
-      this.id,
-      fromSubstitution || this.fromSubstitution,
-      sourceId !== null ? sourceId : this.sourceId
-    );
+    return run(cloneTerm(this, fromSubstitution, sourceId));
+  }
+}
+
+/**
+ * A shared, updatable argument created by call-by-need evaluation (see
+ * need.js). Every occurrence of the argument is this one node, so
+ * evaluating it once updates all of its uses.
+ *
+ * Thunks only appear in terms built by need.js. Their contents never mention
+ * variables bound around them, so substitution passes over them unchanged.
+ */
+export class Thunk extends Term {
+  constructor(expr, label) {
+    super();
+    this.type = 'thunk';
+    this.expr = expr;
+    this.label = label; // Name the renderers show in place of the shared term, e.g. 't1'
+    this.fromSubstitution = false;
+    this.sourceId = null;
+    this.span = null;
+    this.origin = null;
+  }
+
+  // Substitution shares the thunk instead of copying it
+  clone() {
+    return this;
+  }
+}
+
+// Rebuilt nodes keep the definition they came from. Spans are only carried
+// over when the rebuilt subtree still matches its source text.
+function withOriginOf(node, original) {
+  node.origin = original.origin;
+  return node;
+}
+
+function withSourceOf(node, original) {
+  node.span = original.span;
+  node.origin = original.origin;
+  return node;
+}
+
+// Copy a subtree for clone(); variables and thunks clone themselves
+function* cloneTerm(expr, fromSubstitution, sourceId) {
+  switch (expr.type) {
+    case 'abstraction':
+      return withOriginOf(new Abstraction(
+        expr.param,
+        yield cloneTerm(expr.body, fromSubstitution, sourceId),
+        fromSubstitution || expr.fromSubstitution,
+        sourceId !== null ? sourceId : expr.sourceId,
+        expr.id,
+        expr.renaming
+      ), expr);
+    case 'application':
+      return withOriginOf(new Application(
+        yield cloneTerm(expr.func, fromSubstitution, sourceId),
+        yield cloneTerm(expr.arg, fromSubstitution, sourceId),
+        expr.id,
+        fromSubstitution || expr.fromSubstitution,
+        sourceId !== null ? sourceId : expr.sourceId
+      ), expr);
+    default:
+      return expr.clone(fromSubstitution, sourceId);
+  }
+}
+
+// ============================================================================
+// Stack-Safe Recursion
+// ============================================================================
+//
+// Terms can nest far deeper than the JS call stack allows: a Church numeral
+// for 100000 is that many applications deep. Traversals that build a result
+// are written as generators that `yield` each recursive call instead of
+// making it, and run() keeps the pending calls on an explicit stack, sending
+// each result back in:
+//
+//   function* size(e) {
+//     return e.type === 'abstraction' ? 1 + (yield size(e.body)) : 1;
+//   }
+//   run(size(expr));
+//
+// Searches that only visit nodes keep a plain array of nodes to visit instead.
+// run is exported so the other modules' traversals can be written the same way.
+
+export function run(call) {
+  const pending = [call];
+  let result;
+  while (true) {
+    const { value, done } = pending[pending.length - 1].next(result);
+    if (done) {
+      pending.pop();
+      if (pending.length === 0) {
+        return value;
+      }
+      result = value;
+    } else {
+      pending.push(value);
+      result = undefined;
+    }
   }
 }
 
@@ -72,30 +189,95 @@ const isWhitespace = (char) => /\s/.test(char);
 const isLambdaStart = (char) => char === 'λ' || char === '\\';
 const isVariableStart = (char) => /[a-zA-Z]/.test(char);
 const isVariableChar = (char) => /[a-zA-Z0-9_']/.test(char);
-const isAtomStart = (char) => char === '(' || isLambdaStart(char) || isVariableStart(char);
+const isDigit = (char) => /[0-9]/.test(char);
+
+// Name given to the placeholder nodes that stand in for unparseable input
+// when the parser recovers from an error
+export const ERROR_PLACEHOLDER = '?';
+
+/**
+ * A parse error with a machine-readable description of what went wrong.
+ *
+ * code     - stable identifier, e.g. 'UNCLOSED_PAREN' (see SYNTAX_ERROR_CODES)
+ * offset   - start offset of the offending range in the input
+ * end      - end offset (exclusive); equals offset for a missing token
+ * line, column - 1-based position of offset
+ * expected - tokens that would have been accepted, e.g. ["')'"]
+ * hint     - a suggestion for fixing the input
+ * file     - the program file the error is in (parseProgram only), else null
+ */
+export class LambdaSyntaxError extends Error {
+  constructor(code, message, { source = '', offset = 0, end = offset, expected = [], hint = null, file = null } = {}) {
+    super(`${message} at position ${offset}`);
+    this.name = 'LambdaSyntaxError';
+    this.code = code;
+    this.file = file;
+    this.offset = offset;
+    this.end = end;
+    this.expected = expected;
+    this.hint = hint;
+
+    const before = source.slice(0, offset).split('\n');
+    this.line = before.length;
+    this.column = before[before.length - 1].length + 1;
+  }
+}
+
+export const SYNTAX_ERROR_CODES = {
+  EXPECTED_VARIABLE: 'EXPECTED_VARIABLE',
+  EXPECTED_DOT: 'EXPECTED_DOT',
+  UNCLOSED_PAREN: 'UNCLOSED_PAREN',
+  UNEXPECTED_CHARACTER: 'UNEXPECTED_CHARACTER',
+  UNEXPECTED_END: 'UNEXPECTED_END',
+  INVALID_NUMBER: 'INVALID_NUMBER',
+  // Program structure (parseProgram)
+  INVALID_IMPORT: 'INVALID_IMPORT',
+  IMPORT_FAILED: 'IMPORT_FAILED',
+  DUPLICATE_DEFINITION: 'DUPLICATE_DEFINITION',
+  RECURSIVE_DEFINITION: 'RECURSIVE_DEFINITION',
+  MAIN_NOT_LAST: 'MAIN_NOT_LAST',
+};
 
 /**
  * Parses lambda calculus expressions.
  *
  * Grammar:
  *   expr     = atom+                    (left-associative application)
- *   atom     = variable | '(' expr ')' | lambda
- *   lambda   = ('λ' | '\') variable '.' expr
+ *   atom     = variable | '(' expr ')' | lambda | literal
+ *   lambda   = ('λ' | '\') variable+ '.' expr
  *   variable = [a-zA-Z][a-zA-Z0-9_']*
+ *   literal  = [0-9]+ | 'true' | 'false'  (only with { literals: true })
+ *
+ * With literals enabled, numbers desugar to Church numerals and
+ * true/false to Church booleans. Every node built from the source
+ * carries span = { start, end } offsets into the input.
+ *
+ * With { recover: true } errors are collected in `errors` instead of
+ * thrown, and the parser carries on past them so that one pass reports
+ * every problem; unparseable input becomes ERROR_PLACEHOLDER variables.
  */
 class Parser {
-  constructor(input) {
-    this.source = input.trim();
-    this.position = 0;
+  constructor(input, { literals = false, recover = false, start = 0, end = input.length } = {}) {
+    this.source = input;
+    this.position = start;
+    this.end = end; // Parse only source[start, end); offsets stay relative to the whole input
+    this.literals = literals;
+    this.recover = recover;
+    this.errors = [];
+  }
+
+  isAtomStart(char) {
+    return char === '(' || isLambdaStart(char) || isVariableStart(char) ||
+      (this.literals && isDigit(char));
   }
 
   // Character access
   currentChar() {
-    return this.source[this.position];
+    return this.hasMore() ? this.source[this.position] : undefined;
   }
 
   hasMore() {
-    return this.position < this.source.length;
+    return this.position < this.end;
   }
 
   advance() {
@@ -111,11 +293,46 @@ class Parser {
     }
   }
 
-  // Error reporting
-  error(message) {
-    const context = this.source.slice(Math.max(0, this.position - 10), this.position + 10);
-    const pointer = ' '.repeat(Math.min(10, this.position)) + '^';
-    return new Error(`${message} at position ${this.position}\n  ${context}\n  ${pointer}`);
+  // Error reporting: throw, or record the error when recovering
+  error(code, message, details = {}) {
+    const offset = details.offset ?? this.position;
+    const error = new LambdaSyntaxError(code, message, {
+      source: this.source,
+      offset,
+      end: details.end ?? offset,
+      expected: details.expected,
+      hint: details.hint,
+    });
+    if (!this.recover) {
+      throw error;
+    }
+    this.errors.push(error);
+    return error;
+  }
+
+  // Report the current character (or the end of input) as unexpected
+  unexpected(expected, hint) {
+    if (!this.hasMore()) {
+      this.error(SYNTAX_ERROR_CODES.UNEXPECTED_END, 'Unexpected end of input', { expected, hint });
+      return;
+    }
+    const char = this.currentChar();
+    this.error(SYNTAX_ERROR_CODES.UNEXPECTED_CHARACTER, `Unexpected character '${char}'`, {
+      end: this.position + 1,
+      expected,
+      hint,
+    });
+  }
+
+  // Attach source offsets to a freshly built node
+  spanned(node, start) {
+    node.span = { start, end: this.position };
+    return node;
+  }
+
+  // Stand-in for input that could not be parsed (recovery mode only)
+  placeholder() {
+    return this.spanned(new Variable(ERROR_PLACEHOLDER), this.position);
   }
 
   // Parse a variable name (one or more identifier characters)
@@ -129,26 +346,49 @@ class Parser {
     const name = this.source.slice(startPosition, this.position);
 
     if (name.length === 0) {
-      throw this.error('Expected variable name');
+      this.error(SYNTAX_ERROR_CODES.EXPECTED_VARIABLE, 'Expected variable name', {
+        end: this.hasMore() ? this.position + 1 : this.position,
+        expected: ['variable'],
+        hint: 'Variable names start with a letter, e.g. x or f1',
+      });
+      return ERROR_PLACEHOLDER;
     }
 
     return name;
   }
 
-  // Parse an atom: variable, parenthesized expression, or lambda
-  parseAtom() {
+  // Parse an atom: variable, parenthesized expression, or lambda.
+  // parseAtom and parseExpr are generators driven by run(), so nesting depth
+  // is not limited by the call stack.
+  *parseAtom() {
     this.skipWhitespace();
 
+    const startPosition = this.position;
     const char = this.currentChar();
 
     // Parenthesized expression
     if (char === '(') {
       this.advance(); // consume '('
-      const innerExpr = this.parseExpr();
+      let innerExpr = yield this.parseExpr();
       this.skipWhitespace();
 
+      // Recovery: skip stray characters up to the closing paren
+      while (this.hasMore() && this.currentChar() !== ')') {
+        this.unexpected(["')'", 'variable', "'('", "'λ'"], null);
+        this.advance();
+        this.skipWhitespace();
+        if (this.hasMore() && this.isAtomStart(this.currentChar())) {
+          innerExpr = this.spanned(new Application(innerExpr, yield this.parseExpr()), innerExpr.span.start);
+          this.skipWhitespace();
+        }
+      }
+
       if (this.currentChar() !== ')') {
-        throw this.error("Expected ')'");
+        this.error(SYNTAX_ERROR_CODES.UNCLOSED_PAREN, "Expected ')'", {
+          expected: ["')'"],
+          hint: `Add ')' to close the '(' at position ${startPosition}`,
+        });
+        return innerExpr;
       }
       this.advance(); // consume ')'
 
@@ -160,272 +400,1673 @@ class Parser {
       this.advance(); // consume 'λ' or '\'
       this.skipWhitespace();
 
-      const parameterName = this.parseVariableName();
-      this.skipWhitespace();
-
-      if (this.currentChar() !== '.') {
-        throw this.error("Expected '.' after lambda parameter");
+      // One or more parameters: \x y z.body is sugar for \x.\y.\z.body
+      const parameters = [];
+      do {
+        parameters.push({ start: this.position, name: this.parseVariableName() });
+        this.skipWhitespace();
+      } while (this.hasMore() && isVariableStart(this.currentChar()));
+
+      const hasDot = this.currentChar() === '.';
+      if (hasDot) {
+        this.advance(); // consume '.'
+      } else {
+        this.error(SYNTAX_ERROR_CODES.EXPECTED_DOT, "Expected '.' after lambda parameter", {
+          end: this.hasMore() ? this.position + 1 : this.position,
+          expected: ["'.'", 'variable'],
+          hint: 'A lambda is written \\x.body or λx.body',
+        });
       }
-      this.advance(); // consume '.'
 
-      const body = this.parseExpr();
+      // A missing dot is usually a missing body too, as in (\x) y: one error is enough
+      const hasBody = this.hasMore() && this.isAtomStart(this.currentChar());
+      const body = hasDot || hasBody ? (yield this.parseExpr()) : this.placeholder();
+
+      // Inner lambdas of the sugared form span from their parameter to the end
+      return parameters.reduceRight((inner, { name, start }, i) =>
+        this.spanned(new Abstraction(name, inner), i === 0 ? startPosition : start), body);
+    }
 
-      return new Abstraction(parameterName, body);
+    // Church numeral literal
+    if (this.literals && isDigit(char)) {
+      while (this.hasMore() && isDigit(this.currentChar())) {
+        this.advance();
+      }
+      const digits = this.source.slice(startPosition, this.position);
+      if (this.hasMore() && isVariableChar(this.currentChar())) {
+        while (this.hasMore() && isVariableChar(this.currentChar())) {
+          this.advance();
+        }
+        this.error(SYNTAX_ERROR_CODES.INVALID_NUMBER, 'Expected a number literal', {
+          offset: startPosition,
+          end: this.position,
+          expected: ['number'],
+          hint: 'Variable names cannot start with a digit',
+        });
+      }
+      if (Number(digits) > MAX_NUMERAL) {
+        this.error(SYNTAX_ERROR_CODES.INVALID_NUMBER, `Number literal ${digits} is too large`, {
+          offset: startPosition,
+          end: this.position,
+          hint: `Literals go up to ${MAX_NUMERAL}; build larger numbers with arithmetic, e.g. (\\m n f.m (n f)) 1000 1000`,
+        });
+      }
+      return this.spanned(churchNumeral(Number(digits)), startPosition);
     }
 
     // Variable
-    if (isVariableStart(char)) {
+    if (this.hasMore() && isVariableStart(char)) {
       const name = this.parseVariableName();
-      return new Variable(name);
+      if (this.literals && (name === 'true' || name === 'false')) {
+        return this.spanned(churchBoolean(name === 'true'), startPosition);
+      }
+      return this.spanned(new Variable(name), startPosition);
+    }
+
+    this.unexpected(['variable', "'('", "'λ'"], "Expected a term such as x, (f x) or \\x.x");
+
+    // Recovery: skip the offending character and try the next atom
+    if (!this.hasMore()) {
+      return this.placeholder();
+    }
+    this.advance();
+    this.skipWhitespace();
+    return this.hasMore() && this.isAtomStart(this.currentChar())
+      ? (yield this.parseAtom())
+      : this.placeholder();
+  }
+
+  // Parse an expression: one or more atoms combined via left-associative application
+  *parseExpr() {
+    this.skipWhitespace();
+
+    const startPosition = this.position;
+    let result = yield this.parseAtom();
+
+    // Collect additional atoms and combine via left-associative application
+    while (true) {
+      this.skipWhitespace();
+
+      const char = this.currentChar();
+      const canContinue = this.hasMore() && char !== ')' && this.isAtomStart(char);
+
+      if (!canContinue) {
+        break;
+      }
+
+      const nextAtom = yield this.parseAtom();
+      result = this.spanned(new Application(result, nextAtom), startPosition);
+    }
+
+    return result;
+  }
+
+  // Main entry point
+  parse() {
+    let result = run(this.parseExpr());
+    this.skipWhitespace();
+
+    // Recovery: report and skip stray characters, then keep applying whatever follows
+    while (this.hasMore()) {
+      const isCloseParen = this.currentChar() === ')';
+      this.error(SYNTAX_ERROR_CODES.UNEXPECTED_CHARACTER, isCloseParen
+        ? "Unexpected ')'"
+        : 'Unexpected character (expected end of input)', {
+        end: this.position + 1,
+        expected: ['end of input'],
+        hint: isCloseParen ? "Remove the ')' or add a matching '('" : null,
+      });
+      this.advance();
+      this.skipWhitespace();
+      if (this.hasMore() && this.isAtomStart(this.currentChar())) {
+        const start = result.span ? result.span.start : 0;
+        result = this.spanned(new Application(result, run(this.parseExpr())), start);
+        this.skipWhitespace();
+      }
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Parse a lambda term. Throws a LambdaSyntaxError on the first problem.
+ * Options: { literals } enables Church numeral and boolean literals.
+ */
+export function parse(input, options = {}) {
+  const parser = new Parser(input, { ...options, recover: false });
+  return parser.parse();
+}
+
+/**
+ * Parse a lambda term, recovering from errors so every problem is reported.
+ * Returns { expr, errors }: expr is the best-effort AST (with ERROR_PLACEHOLDER
+ * variables where input was unusable) and errors the LambdaSyntaxErrors in
+ * source order. errors is empty when the input is valid.
+ */
+export function parseWithDiagnostics(input, options = {}) {
+  const parser = new Parser(input, { ...options, recover: true });
+  const expr = parser.parse();
+  return { expr, errors: parser.errors };
+}
+
+/**
+ * Underline an error's range in its source line:
+ *   (λx x) y
+ *       ^
+ * Returns the source line and the marker line joined by a newline.
+ */
+export function formatSyntaxError(source, error) {
+  const lines = source.split('\n');
+  const line = lines[error.line - 1] ?? '';
+  const width = Math.max(1, Math.min(error.end - error.offset, line.length - error.column + 1));
+  return `${line}\n${' '.repeat(error.column - 1)}${'^'.repeat(width)}`;
+}
+
+// ============================================================================
+// Programs: Comments, Definitions and Imports
+// ============================================================================
+
+/*
+ * A program is a sequence of statements, one per line:
+ *
+ *   -- comments run to the end of the line
+ *   import "church.lam"
+ *   TWO = \f x.f (f x)
+ *   PLUS = \m n f x.m f (n f x)
+ *   PLUS TWO TWO                 -- optional main expression, last
+ *
+ * Indented lines continue the statement above, so long terms can be split.
+ */
+
+const DEFINITION_PATTERN = /^([a-zA-Z][a-zA-Z0-9_']*)\s*=/;
+const IMPORT_PATTERN = /^import\s+"([^"\n]*)"\s*$/;
+
+// Split a program into statement ranges. Comments are blanked out rather
+// than removed so that offsets into the returned text match the source.
+function splitStatements(source) {
+  const text = source.replace(/--[^\n]*/g, (comment) => ' '.repeat(comment.length));
+  const statements = [];
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    if (line.trim() !== '') {
+      const continues = statements.length > 0 && isWhitespace(line[0]);
+      if (continues) {
+        statements[statements.length - 1].end = offset + line.length;
+      } else {
+        statements.push({ start: offset, end: offset + line.length });
+      }
+    }
+    offset += line.length + 1;
+  }
+
+  return { text, statements };
+}
+
+/**
+ * Parse a program file. Imports are read through options.loader:
+ *   loader(importPath, importingFile) -> { file, source }
+ * where `file` identifies the loaded file (e.g. a resolved path). Each file
+ * is loaded once, so import cycles are harmless; the main expression of an
+ * imported file is ignored.
+ *
+ * Returns { file, definitions, imports, main, expr }:
+ *   definitions - Map of name -> { name, expr, file, span } in load order
+ *   imports     - files loaded through the loader
+ *   main        - the main expression as written (null if there is none)
+ *   expr        - main with every definition expanded (see expandDefinitions)
+ *
+ * Options: { file = '<main>', loader, literals }. Throws LambdaSyntaxError,
+ * with `file` set, on the first problem.
+ */
+export function parseProgram(source, { file = '<main>', loader = null, literals = false } = {}) {
+  const definitions = new Map();
+  const imports = [];
+  const loaded = new Set([file]);
+
+  const fail = (code, message, fileName, fileSource, offset, end, hint = null) => {
+    throw new LambdaSyntaxError(code, message, { source: fileSource, offset, end, hint, file: fileName });
+  };
+
+  function load(fileName, fileSource) {
+    const { text, statements } = splitStatements(fileSource);
+    let main = null;
+
+    statements.forEach(({ start, end }) => {
+      const statement = text.slice(start, end).trim();
+      const statementStart = start + text.slice(start, end).search(/\S/);
+
+      if (main !== null) {
+        fail(SYNTAX_ERROR_CODES.MAIN_NOT_LAST, 'The main expression must be the last statement',
+          fileName, fileSource, main.span.start, main.span.end,
+          'Move the expression to the end of the file, or name it with NAME = term');
+      }
+
+      // import "path"
+      if (/^import(\s|"|$)/.test(statement)) {
+        const match = statement.match(IMPORT_PATTERN);
+        if (!match) {
+          fail(SYNTAX_ERROR_CODES.INVALID_IMPORT, 'Expected import "file"',
+            fileName, fileSource, statementStart, statementStart + statement.length,
+            'Write the path in double quotes, e.g. import "church.lam"');
+        }
+        const pathEnd = statementStart + statement.lastIndexOf('"');
+        const pathStart = pathEnd - match[1].length;
+        if (!loader) {
+          fail(SYNTAX_ERROR_CODES.IMPORT_FAILED, `Cannot import "${match[1]}": no loader configured`,
+            fileName, fileSource, pathStart, pathEnd);
+        }
+
+        let imported;
+        try {
+          imported = loader(match[1], fileName);
+        } catch (e) {
+          fail(SYNTAX_ERROR_CODES.IMPORT_FAILED, `Cannot import "${match[1]}": ${e.message}`,
+            fileName, fileSource, pathStart, pathEnd);
+        }
+        if (typeof imported?.file !== 'string' || typeof imported.source !== 'string') {
+          fail(SYNTAX_ERROR_CODES.IMPORT_FAILED, `Cannot import "${match[1]}": the loader returned ${imported === undefined ? 'nothing' : JSON.stringify(imported)}, not { file, source }`,
+            fileName, fileSource, pathStart, pathEnd);
+        }
+        if (!loaded.has(imported.file)) {
+          loaded.add(imported.file);
+          imports.push(imported.file);
+          load(imported.file, imported.source);
+        }
+        return;
+      }
+
+      // NAME = term
+      const definition = statement.match(DEFINITION_PATTERN);
+      if (definition) {
+        const name = definition[1];
+        const nameSpan = { start: statementStart, end: statementStart + name.length };
+        if (definitions.has(name)) {
+          const previous = definitions.get(name);
+          const where = previous.file === fileName ? '' : ` in ${previous.file}`;
+          fail(SYNTAX_ERROR_CODES.DUPLICATE_DEFINITION, `'${name}' is already defined${where}`,
+            fileName, fileSource, nameSpan.start, nameSpan.end, 'Each name can be defined only once');
+        }
+        const termStart = statementStart + definition[0].length;
+        const expr = parseTerm(fileName, text, termStart, end);
+        definitions.set(name, { name, expr, file: fileName, span: nameSpan });
+        return;
+      }
+
+      // Anything else is the main expression
+      main = parseTerm(fileName, text, start, end);
+    });
+
+    return main;
+  }
+
+  function parseTerm(fileName, text, start, end) {
+    try {
+      return new Parser(text, { literals, start, end }).parse();
+    } catch (e) {
+      if (e instanceof LambdaSyntaxError) {
+        e.file = fileName;
+      }
+      throw e;
+    }
+  }
+
+  const main = load(file, source);
+  const expr = main === null ? null : expandDefinitions(main, definitions);
+
+  return { file, definitions, imports, main, expr };
+}
+
+/**
+ * Replace every free occurrence of a defined name with its definition,
+ * recursively, giving a term with no references to the program. Each node
+ * copied from a definition gets origin = that definition's name (the
+ * innermost one for nested definitions); nodes of `expr` itself keep theirs.
+ * `definitions` maps names to { expr } as returned by parseProgram.
+ * Throws LambdaSyntaxError (RECURSIVE_DEFINITION) for definitions that
+ * refer to themselves, directly or indirectly.
+ */
+export function expandDefinitions(expr, definitions) {
+  const expanded = new Map();
+
+  function expandDefinition(name, chain) {
+    if (expanded.has(name)) {
+      return expanded.get(name);
+    }
+    const definition = definitions.get(name);
+    if (chain.includes(name)) {
+      const cycle = [...chain.slice(chain.indexOf(name)), name].join(' -> ');
+      throw new LambdaSyntaxError(SYNTAX_ERROR_CODES.RECURSIVE_DEFINITION, `Recursive definition ${cycle}`, {
+        offset: definition.span ? definition.span.start : 0,
+        end: definition.span ? definition.span.end : 0,
+        file: definition.file ?? null,
+        hint: 'Definitions cannot refer to themselves; use a fixed-point combinator such as Y',
+      });
+    }
+    const term = run(tagOrigin(inline(definition.expr, [...chain, name]), name));
+    expanded.set(name, term);
+    return term;
+  }
+
+  function inline(term, chain) {
+    let result = term;
+    for (const name of freeVariables(term)) {
+      if (definitions.has(name)) {
+        result = substitute(result, name, expandDefinition(name, chain), false);
+      }
+    }
+    return result;
+  }
+
+  return inline(expr, []);
+}
+
+// Copy a term, marking nodes that have no origin yet as coming from `origin`
+function* tagOrigin(expr, origin) {
+  let node;
+  switch (expr.type) {
+    case 'variable':
+      node = new Variable(expr.name, expr.fromSubstitution, expr.sourceId);
+      break;
+    case 'abstraction':
+      node = new Abstraction(expr.param, yield tagOrigin(expr.body, origin), expr.fromSubstitution, expr.sourceId, expr.id, expr.renaming);
+      break;
+    case 'application':
+      node = new Application(yield tagOrigin(expr.func, origin), yield tagOrigin(expr.arg, origin), expr.id, expr.fromSubstitution, expr.sourceId);
+      break;
+  }
+  withSourceOf(node, expr);
+  node.origin = expr.origin ?? origin;
+  return node;
+}
+
+// ============================================================================
+// Church Encodings
+// ============================================================================
+
+/**
+ * Largest number literal the parser accepts. A numeral has one node per unit,
+ * so a longer run of digits would exhaust memory rather than fail cleanly.
+ */
+export const MAX_NUMERAL = 100000;
+
+/**
+ * Build the Church numeral for n: λf.λx.f (f (... (f x))).
+ */
+export function churchNumeral(n) {
+  let body = new Variable('x');
+  for (let i = 0; i < n; i++) {
+    body = new Application(new Variable('f'), body);
+  }
+  return new Abstraction('f', new Abstraction('x', body));
+}
+
+/**
+ * Build a Church boolean: TRUE = λx.λy.x, FALSE = λx.λy.y.
+ */
+export function churchBoolean(value) {
+  return new Abstraction('x', new Abstraction('y', new Variable(value ? 'x' : 'y')));
+}
+
+/**
+ * Read back a Church numeral. Returns the number, or null if expr is not
+ * of the form λf.λx.f (... (f x)) (up to renaming).
+ */
+export function decodeChurchNumeral(expr) {
+  const term = toDeBruijn(expr);
+  if (term.type !== 'lambda' || term.body.type !== 'lambda') {
+    return null;
+  }
+  let count = 0;
+  let current = term.body.body;
+  while (current.type === 'apply' && current.func.type === 'index' && current.func.index === 1) {
+    count++;
+    current = current.arg;
+  }
+  return current.type === 'index' && current.index === 0 ? count : null;
+}
+
+/**
+ * Read back a Church boolean. Returns true, false, or null if expr is
+ * neither λx.λy.x nor λx.λy.y (up to renaming).
+ */
+export function decodeChurchBoolean(expr) {
+  const term = toDeBruijn(expr);
+  if (term.type !== 'lambda' || term.body.type !== 'lambda' || term.body.body.type !== 'index') {
+    return null;
+  }
+  return term.body.body.index === 1;
+}
+
+/**
+ * Read back a Church pair λf.f a b (f not free in a or b).
+ * Returns { first, second } or null.
+ */
+export function decodePair(expr) {
+  if (expr.type !== 'abstraction') return null;
+  const body = expr.body;
+  if (body.type !== 'application' || body.func.type !== 'application') return null;
+  const selector = body.func.func;
+  if (selector.type !== 'variable' || selector.name !== expr.param) return null;
+
+  const first = body.func.arg;
+  const second = body.arg;
+  if (variableAppearsIn(first, expr.param) || variableAppearsIn(second, expr.param)) {
+    return null;
+  }
+  return { first, second };
+}
+
+/**
+ * Describe the value a normal form encodes, for display next to it.
+ * Recognises numerals, booleans, pairs and an open numeral body s (s (... z))
+ * with free s and z, applied at least twice. Returns null when nothing matches.
+ * Note λf.λx.x is both 0 and false, so it is described as "0 / false".
+ */
+export function describeChurchValue(expr) {
+  const number = decodeChurchNumeral(expr);
+  const bool = decodeChurchBoolean(expr);
+  if (number !== null && bool !== null) {
+    return `${number} / ${bool}`;
+  }
+  if (number !== null) return String(number);
+  if (bool !== null) return String(bool);
+
+  const pair = decodePair(expr);
+  if (pair) {
+    const show = (e) => describeChurchValue(e) ?? toPlainString(e);
+    return `pair(${show(pair.first)}, ${show(pair.second)})`;
+  }
+
+  // s (s (... z)) - a numeral already applied to free variables
+  // (a single application f x is too common to be worth describing)
+  if (expr.type !== 'application' || expr.func.type !== 'variable') return null;
+  const successor = expr.func.name;
+  let count = 0;
+  let current = expr;
+  while (current.type === 'application' && current.func.type === 'variable' && current.func.name === successor) {
+    count++;
+    current = current.arg;
+  }
+  if (count > 1 && current.type === 'variable' && current.name !== successor) {
+    return `${count} (${successor} applied ${count} times to ${current.name})`;
+  }
+
+  return null;
+}
+
+// ============================================================================
+// Cached Term Information
+// ============================================================================
+//
+// Nodes are never changed once built (except a thunk's contents), so facts
+// about a subtree can be computed once and kept. For each node we cache the
+// variables free in it, the parameter names bound inside it and its size.
+// Thunk contents are left out: they can change, and substitution never looks
+// inside them. When a node adds nothing to a child's set, it reuses the
+// child's Set instead of copying it.
+
+const NO_NAMES = new Set();
+
+// a ∪ b, reusing a or b when one contains the other
+function unionOf(a, b) {
+  const [larger, smaller] = a.size >= b.size ? [a, b] : [b, a];
+  for (const name of smaller) {
+    if (!larger.has(name)) {
+      return new Set([...larger, ...smaller]);
     }
+  }
+  return larger;
+}
+
+function intersects(a, b) {
+  const [larger, smaller] = a.size >= b.size ? [a, b] : [b, a];
+  for (const name of smaller) {
+    if (larger.has(name)) return true;
+  }
+  return false;
+}
+
+// { free, binders, size, thunks } for expr; the Sets are shared, never modify them
+function termInfo(expr) {
+  const cached = cachedTermInfo(expr);
+  if (cached) return cached;
+
+  // Post-order over the nodes not yet cached
+  const stack = [expr];
+  while (stack.length > 0) {
+    const e = stack[stack.length - 1];
+    let info = null;
+    switch (e.type) {
+      case 'variable':
+        info = { free: new Set([e.name]), binders: NO_NAMES, size: 1, thunks: false };
+        break;
+      case 'thunk':
+        info = { free: NO_NAMES, binders: NO_NAMES, size: 1, thunks: true };
+        break;
+      case 'abstraction': {
+        const body = cachedTermInfo(e.body);
+        if (!body) {
+          stack.push(e.body);
+          continue;
+        }
+        let free = body.free;
+        if (free.has(e.param)) {
+          free = new Set(free);
+          free.delete(e.param);
+        }
+        info = {
+          free,
+          binders: body.binders.has(e.param) ? body.binders : new Set([...body.binders, e.param]),
+          size: body.size + 1,
+          thunks: body.thunks
+        };
+        break;
+      }
+      case 'application': {
+        const func = cachedTermInfo(e.func);
+        const arg = cachedTermInfo(e.arg);
+        if (!func || !arg) {
+          if (!arg) stack.push(e.arg);
+          if (!func) stack.push(e.func);
+          continue;
+        }
+        info = {
+          free: unionOf(func.free, arg.free),
+          binders: unionOf(func.binders, arg.binders),
+          size: func.size + arg.size + 1,
+          thunks: func.thunks || arg.thunks
+        };
+        break;
+      }
+    }
+    cacheTermInfo(e, info);
+    stack.pop();
+  }
+  return cachedTermInfo(expr);
+}
+
+// ============================================================================
+// Beta Reduction
+// ============================================================================
+
+export function freeVariables(expr) {
+  if (!termInfo(expr).thunks) {
+    return new Set(termInfo(expr).free);
+  }
+  // Thunk contents are not cached: collect through them every time
+  function* collect(e) {
+    if (!termInfo(e).thunks) {
+      return new Set(termInfo(e).free);
+    }
+    switch (e.type) {
+      case 'thunk':
+        return yield collect(e.expr);
+      case 'abstraction':
+        const bodyFree = yield collect(e.body);
+        bodyFree.delete(e.param);
+        return bodyFree;
+      case 'application':
+        const funcFree = yield collect(e.func);
+        const argFree = yield collect(e.arg);
+        return new Set([...funcFree, ...argFree]);
+    }
+  }
+  return run(collect(expr));
+}
+
+export function freshName(name, avoid) {
+  let fresh = name;
+  while (avoid.has(fresh)) {
+    fresh += "'";
+  }
+  return fresh;
+}
+
+/**
+ * Capture-avoiding substitution expr[varName := replacement]. Each copy of
+ * the replacement is marked with markAsSubstituted and sourceId. Subtrees
+ * the substitution leaves alone (varName is not free in them and no binder
+ * inside needs renaming) are shared with expr rather than copied.
+ *
+ * A binder that would capture a free variable of the replacement is renamed
+ * (alpha conversion), and the new abstraction records it in its renaming:
+ * { from, to, captured, variable, sourceId }, where captured is the free
+ * variable that would have been captured, variable is varName and sourceId
+ * the redex the substitution belongs to.
+ */
+export function substitute(expr, varName, replacement, markAsSubstituted = true, sourceId = null) {
+  const replFree = freeVariables(replacement);
+  return run(substituteIn(expr, varName, replacement, replFree, markAsSubstituted, sourceId, sourceId));
+}
+
+// renamedBy is the sourceId renamings are recorded with; it stays the same
+// when a renamed binder's body is itself substituted into
+function* substituteIn(expr, varName, replacement, replFree, markAsSubstituted, sourceId, renamedBy) {
+  const { free, binders } = termInfo(expr);
+  if (!free.has(varName) && !intersects(binders, replFree)) {
+    return expr;
+  }
+
+  switch (expr.type) {
+    case 'variable':
+      return replacement.clone(markAsSubstituted, sourceId);
+
+    case 'abstraction':
+      if (expr.param === varName) {
+        return expr;
+      }
+      if (replFree.has(expr.param)) {
+        const allFree = new Set([...replFree, ...freeVariables(expr.body)]);
+        allFree.add(varName);
+        const newParam = freshName(expr.param, allFree);
+        const renamedBody = yield substituteIn(expr.body, expr.param, new Variable(newParam), new Set([newParam]), false, null, renamedBy);
+        return withOriginOf(new Abstraction(
+          newParam,
+          yield substituteIn(renamedBody, varName, replacement, replFree, markAsSubstituted, sourceId, renamedBy),
+          expr.fromSubstitution,
+          expr.sourceId,
+          expr.id,
+          { from: expr.param, to: newParam, captured: expr.param, variable: varName, sourceId: renamedBy }
+        ), expr);
+      }
+      return withOriginOf(new Abstraction(
+        expr.param,
+        yield substituteIn(expr.body, varName, replacement, replFree, markAsSubstituted, sourceId, renamedBy),
+        expr.fromSubstitution,
+        expr.sourceId,
+        expr.id,
+        expr.renaming
+      ), expr);
+
+    case 'application':
+      return withOriginOf(new Application(
+        yield substituteIn(expr.func, varName, replacement, replFree, markAsSubstituted, sourceId, renamedBy),
+        yield substituteIn(expr.arg, varName, replacement, replFree, markAsSubstituted, sourceId, renamedBy),
+        expr.id,
+        expr.fromSubstitution,
+        expr.sourceId
+      ), expr);
+  }
+}
+
+export function isRedex(expr) {
+  return expr.type === 'application' && expr.func.type === 'abstraction';
+}
+
+/**
+ * Check if an expression is an eta redex: λx.f x where x is not free in f.
+ */
+export function isEtaRedex(expr) {
+  return expr.type === 'abstraction' &&
+    expr.body.type === 'application' &&
+    expr.body.arg.type === 'variable' &&
+    expr.body.arg.name === expr.param &&
+    !variableAppearsIn(expr.body.func, expr.param);
+}
+
+/**
+ * Get the kind of a numbered redex node: 'beta' for applications, 'eta' for abstractions.
+ */
+export function redexKind(expr) {
+  return expr.type === 'abstraction' ? 'eta' : 'beta';
+}
+
+/**
+ * Assign sequential IDs to redexes in pre-order.
+ * Beta redexes are always numbered; eta redexes only with options.eta.
+ */
+export function numberRedexes(expr, counter = { val: 1 }, options = {}) {
+  function* number(e) {
+    switch (e.type) {
+      case 'variable':
+        return e;
+      case 'abstraction': {
+        const id = options.eta && isEtaRedex(e) ? counter.val++ : null;
+        const body = yield number(e.body);
+        if (id === e.id && body === e.body) return e;
+        return withSourceOf(new Abstraction(e.param, body, e.fromSubstitution, e.sourceId, id, e.renaming), e);
+      }
+      case 'application': {
+        const id = isRedex(e) ? counter.val++ : null;
+        const func = yield number(e.func);
+        const arg = yield number(e.arg);
+        if (id === e.id && func === e.func && arg === e.arg) return e;
+        return withSourceOf(new Application(func, arg, id, e.fromSubstitution, e.sourceId), e);
+      }
+    }
+  }
+  return run(number(expr));
+}
+
+export function clearSubstitutionMarks(expr) {
+  function* clear(e) {
+    // Renamed binders are marks of their step too
+    const marked = e.fromSubstitution || e.sourceId !== null || (e.type === 'abstraction' && e.renaming !== null);
+    switch (e.type) {
+      case 'variable':
+        return marked ? withSourceOf(new Variable(e.name, false, null), e) : e;
+      case 'thunk':
+        return e;
+      case 'abstraction': {
+        const body = yield clear(e.body);
+        if (!marked && body === e.body) return e;
+        return withSourceOf(new Abstraction(e.param, body, false, null, e.id), e);
+      }
+      case 'application': {
+        const func = yield clear(e.func);
+        const arg = yield clear(e.arg);
+        if (!marked && func === e.func && arg === e.arg) return e;
+        return withSourceOf(new Application(func, arg, e.id, false, null), e);
+      }
+    }
+  }
+  return run(clear(expr));
+}
+
+export function reduceAt(expr, targetId) {
+  // Post-order with explicit stacks: `work` holds (node, childrenDone) pairs,
+  // `done` the finished subterms. A node is only rebuilt when one of its
+  // children changed, so everything off the path to the redex is shared.
+  const work = [expr, false];
+  const done = [];
+  while (work.length > 0) {
+    const childrenDone = work.pop();
+    const e = work.pop();
+    if (childrenDone) {
+      if (e.type === 'abstraction') {
+        const body = done.pop();
+        done.push(body === e.body ? e : withOriginOf(new Abstraction(e.param, body, e.fromSubstitution, e.sourceId, e.id, e.renaming), e));
+      } else {
+        const arg = done.pop();
+        const func = done.pop();
+        done.push(func === e.func && arg === e.arg ? e : withOriginOf(new Application(func, arg, e.id, e.fromSubstitution, e.sourceId), e));
+      }
+    } else if (e.type === 'abstraction') {
+      if (e.id === targetId && isEtaRedex(e)) {
+        // Eta reduction: λx.f x -> f
+        done.push(e.body.func);
+      } else {
+        work.push(e, true, e.body, false);
+      }
+    } else if (e.type === 'application') {
+      if (e.id === targetId && isRedex(e)) {
+        const lambda = e.func;
+        done.push(substitute(lambda.body, lambda.param, e.arg, true, targetId));
+      } else {
+        work.push(e, true, e.arg, false, e.func, false);
+      }
+    } else {
+      done.push(e);
+    }
+  }
+  return done[0];
+}
+
+/**
+ * Reduce one redex of a numbered expression and get everything a UI shows
+ * for the new step, without the separate clear / number / reduce / number /
+ * count passes.
+ *
+ * expr must be numbered (by numberRedexes or an earlier performStep); marks
+ * left from an earlier step are cleared. The result is numbered with the
+ * same options, and keeps the marks of this step only. Numbering is
+ * incremental in effect: nodes whose IDs and marks do not change, such as
+ * everything before the redex, are shared with expr.
+ *
+ * @param {Object} expr - Numbered expression
+ * @param {number} redexId - Redex to reduce
+ * @param {Object} options - Numbering options, as for numberRedexes ({ eta })
+ * @returns {Object|null} null if expr has no redex redexId, otherwise
+ *   { expr, redexes, linkingInfo, discardedArg, stats }:
+ *   redexes - the redexes of the new expr, as getRedexes returns them
+ *   linkingInfo - as getFullLinkingInfo(expr, result, redexId) returns it
+ *   discardedArg - the argument of a beta redex whose parameter is unused, else null
+ *   stats - { size, redexCount } of the new expr
+ */
+export function performStep(expr, redexId, options = {}) {
+  const path = findRedexPath(expr, redexId);
+  if (path === null) {
+    return null;
+  }
+  const redex = path.pop().node;
+  const kind = redexKind(redex);
+  const wasUsed = kind === 'eta' || isArgumentUsed(redex);
+  const parameterUses = getParameterUses(redex);
+  const contracted = kind === 'eta'
+    ? redex.body.func
+    : substitute(
+      clearSubstitutionMarks(redex.func.body),
+      redex.func.param,
+      clearSubstitutionMarks(redex.arg),
+      true,
+      redexId
+    );
+
+  // Put the contracted redex in place, rebuilding the nodes above it
+  let reduced = contracted;
+  while (path.length > 0) {
+    const { node: e, side } = path.pop();
+    reduced = withOriginOf(e.type === 'abstraction'
+      ? new Abstraction(e.param, reduced, e.fromSubstitution, e.sourceId, e.id, e.renaming)
+      : new Application(side === 'func' ? reduced : e.func, side === 'arg' ? reduced : e.arg, e.id, e.fromSubstitution, e.sourceId), e);
+  }
+
+  // One walk that numbers redexes, clears old marks and collects the new
+  // substitutions and renamed binders. A frame goes back on the stack under
+  // its children and is rebuilt once they are done. `fresh` is set inside the
+  // contracted beta redex, whose marks are the ones this step made.
+  const counter = { val: 1 };
+  const redexes = [];
+  const substitutedNodes = [];
+  const alphaRenames = [];
+  const results = [];
+  let size = 0;
+  const frame = (e, fresh, inCopy) => ({ e, fresh, inCopy, visited: false, id: null, redexIndex: -1, copyIndex: -1, renameIndex: -1 });
+  const stack = [frame(reduced, false, false)];
+
+  while (stack.length > 0) {
+    const top = stack.pop();
+
+    if (!top.visited) {
+      const e = top.e;
+      if (e === contracted) {
+        top.fresh = kind === 'beta';
+      }
+      size++;
+      // The outermost node of each copy of the argument
+      const startsCopy = top.fresh && e.fromSubstitution && !top.inCopy;
+      if (startsCopy) {
+        top.copyIndex = substitutedNodes.push(e) - 1;
+      }
+      const inCopy = top.inCopy || startsCopy;
+
+      if (e.type === 'abstraction') {
+        if (options.eta && isEtaRedex(e)) {
+          top.id = counter.val++;
+          top.redexIndex = redexes.push({ id: top.id, expr: e, kind: 'eta' }) - 1;
+        }
+        if (top.fresh && e.renaming !== null) {
+          top.renameIndex = alphaRenames.push(alphaRename(e)) - 1;
+        }
+        top.visited = true;
+        stack.push(top, frame(e.body, top.fresh, inCopy));
+        continue;
+      }
+      if (e.type === 'application') {
+        if (isRedex(e)) {
+          top.id = counter.val++;
+          top.redexIndex = redexes.push({ id: top.id, expr: e, kind: 'beta' }) - 1;
+        }
+        top.visited = true;
+        stack.push(top, frame(e.arg, top.fresh, inCopy), frame(e.func, top.fresh, inCopy));
+        continue;
+      }
+    }
+
+    // All children are done: rebuild the node if anything below or on it changed
+    const e = top.e;
+    const clear = !top.fresh && (e.fromSubstitution || e.sourceId !== null || (e.type === 'abstraction' && e.renaming !== null));
+    const fromSubstitution = clear ? false : e.fromSubstitution;
+    const sourceId = clear ? null : e.sourceId;
+    let node = e;
+    if (e.type === 'variable') {
+      if (clear) node = withSourceOf(new Variable(e.name, false, null), e);
+    } else if (e.type === 'abstraction') {
+      const body = results.pop();
+      if (body !== e.body) {
+        node = withOriginOf(new Abstraction(e.param, body, fromSubstitution, sourceId, top.id, clear ? null : e.renaming), e);
+      } else if (clear || top.id !== e.id) {
+        node = withSourceOf(new Abstraction(e.param, body, fromSubstitution, sourceId, top.id, clear ? null : e.renaming), e);
+      }
+    } else if (e.type === 'application') {
+      const arg = results.pop();
+      const func = results.pop();
+      if (func !== e.func || arg !== e.arg) {
+        node = withOriginOf(new Application(func, arg, top.id, fromSubstitution, sourceId), e);
+      } else if (clear || top.id !== e.id) {
+        node = withSourceOf(new Application(func, arg, top.id, fromSubstitution, sourceId), e);
+      }
+    }
+    if (top.redexIndex !== -1) redexes[top.redexIndex].expr = node;
+    if (top.copyIndex !== -1) substitutedNodes[top.copyIndex] = node;
+    if (top.renameIndex !== -1) alphaRenames[top.renameIndex].binder = node;
+    results.push(node);
+  }
+
+  return {
+    expr: results[0],
+    redexes,
+    linkingInfo: {
+      kind,
+      sourceArg: kind === 'beta' ? redex.arg : null,
+      parameterUses,
+      substitutedNodes,
+      sourceId: redexId,
+      hasSubstitutions: substitutedNodes.length > 0,
+      wasUsed,
+      alphaRenames
+    },
+    discardedArg: wasUsed ? null : redex.arg,
+    stats: { size, redexCount: redexes.length }
+  };
+}
+
+// The redex getRedex(expr, redexId) finds, with the nodes above it: a list of
+// { node, side } from the root down, side being the child ('func', 'arg' or
+// 'body') the path continues into. The redex itself is last. Null if absent.
+function findRedexPath(expr, redexId) {
+  const stack = [{ node: expr, side: null, parent: null }];
+  while (stack.length > 0) {
+    const entry = stack.pop();
+    const e = entry.node;
+    if (e.id === redexId && (e.type === 'abstraction' ? isEtaRedex(e) : isRedex(e))) {
+      const path = [];
+      for (let at = entry; at !== null; at = at.parent) {
+        path.push(at);
+      }
+      path.reverse();
+      // Each entry records how it was reached; shift that onto its parent
+      return path.map((at, i) => ({ node: at.node, side: i + 1 < path.length ? path[i + 1].side : null }));
+    }
+    if (e.type === 'abstraction') {
+      stack.push({ node: e.body, side: 'body', parent: entry });
+    } else if (e.type === 'application') {
+      stack.push({ node: e.arg, side: 'arg', parent: entry }, { node: e.func, side: 'func', parent: entry });
+    }
+  }
+  return null;
+}
+
+/**
+ * Eta-expand an expression: f becomes λx.f x, with x chosen fresh for f.
+ */
+export function etaExpand(expr, paramName = 'x') {
+  const param = freshName(paramName, freeVariables(expr));
+  return new Abstraction(param, new Application(expr, new Variable(param)));
+}
+
+/**
+ * Eta-expand the subterm `target` (a node of expr, compared by identity).
+ * Returns a new expression (unnumbered); expr is returned unchanged if
+ * target does not occur in it.
+ */
+export function etaExpandAt(expr, target, paramName = 'x') {
+  function* expand(e) {
+    if (e === target) {
+      return etaExpand(e, paramName);
+    }
+    switch (e.type) {
+      case 'variable':
+        return e;
+      case 'abstraction': {
+        const body = yield expand(e.body);
+        if (body === e.body) return e;
+        return new Abstraction(e.param, body, e.fromSubstitution, e.sourceId, null, e.renaming);
+      }
+      case 'application': {
+        const func = yield expand(e.func);
+        const arg = yield expand(e.arg);
+        if (func === e.func && arg === e.arg) return e;
+        return new Application(func, arg, e.id, e.fromSubstitution, e.sourceId);
+      }
+    }
+  }
+  return run(expand(expr));
+}
+
+// Visit every node in pre-order (function before argument) with an explicit stack
+function forEachNode(expr, visit) {
+  const stack = [expr];
+  while (stack.length > 0) {
+    const e = stack.pop();
+    visit(e);
+    if (e.type === 'abstraction') {
+      stack.push(e.body);
+    } else if (e.type === 'application') {
+      stack.push(e.arg, e.func);
+    }
+  }
+}
+
+export function getRedexCount(expr) {
+  let count = 0;
+  forEachNode(expr, e => {
+    if (e.type === 'abstraction' ? e.id !== null && isEtaRedex(e) : isRedex(e)) count++;
+  });
+  return count;
+}
+
+export function getRedexes(expr) {
+  const redexes = [];
+  forEachNode(expr, e => {
+    if (e.type === 'abstraction' && e.id !== null && isEtaRedex(e)) {
+      redexes.push({ id: e.id, expr: e, kind: 'eta' });
+    } else if (isRedex(e)) {
+      redexes.push({ id: e.id, expr: e, kind: 'beta' });
+    }
+  });
+  return redexes;
+}
+
+export function toPlainString(expr) {
+  function* print(e) {
+    switch (e.type) {
+      case 'variable':
+        return e.name;
+      case 'thunk':
+        return e.label;
+      case 'abstraction':
+        return `λ${e.param}.${yield print(e.body)}`;
+      case 'application': {
+        // Wrap abstractions in parens to ensure correct round-tripping.
+        // Without this, `(λx.x) y` stringifies to `(λx.x y)` which parses as `λx.(x y)`.
+        const funcNeedsParens = e.func.type === 'abstraction';
+        const argNeedsParens = e.arg.type === 'abstraction';
+        const funcStr = funcNeedsParens ? `(${yield print(e.func)})` : yield print(e.func);
+        const argStr = argNeedsParens ? `(${yield print(e.arg)})` : yield print(e.arg);
+        return `(${funcStr} ${argStr})`;
+      }
+    }
+  }
+  return run(print(expr));
+}
+
+// ============================================================================
+// Pretty Printing
+// ============================================================================
+
+// Layout positions: 'top' (nothing follows the term), 'func' (left side of an
+// application), 'arg' (an argument with more input after it) and 'last-arg'
+// (an argument that ends its enclosing term).
+
+/**
+ * Whether a term needs parentheses at the given layout position. Application
+ * is left-associative and a lambda body extends as far right as possible, so
+ * applications need them only as arguments and lambdas only when followed.
+ */
+export function needsParens(expr, position) {
+  switch (expr.type) {
+    case 'abstraction':
+      return position === 'func' || position === 'arg';
+    case 'application':
+      return position === 'arg' || position === 'last-arg';
+    default:
+      return false;
+  }
+}
+
+/**
+ * Layout positions of an application's children. `position` is where the
+ * application itself sits, after any parentheses have been added.
+ */
+export function childPositions(position) {
+  return { func: 'func', arg: position === 'func' ? 'arg' : 'last-arg' };
+}
+
+/**
+ * Collect the parameters of directly nested lambdas: λx.λy.λz.b -> { params: [x, y, z], body: b }.
+ */
+export function collectParams(expr) {
+  const params = [];
+  let body = expr;
+  while (body.type === 'abstraction') {
+    params.push(body.param);
+    body = body.body;
+  }
+  return { params, body };
+}
+
+/**
+ * Print an expression with only the parentheses the parser needs.
+ * Options: { lambda: 'λ' | '\\', collapse } - collapse prints λx.λy.b as λx y.b.
+ * The output always parses back to the same AST.
+ */
+export function prettyPrint(expr, { lambda = 'λ', collapse = true } = {}) {
+  function* layout(term, position) {
+    if (needsParens(term, position)) {
+      return `(${yield layoutTerm(term, 'top')})`;
+    }
+    return yield layoutTerm(term, position);
+  }
+
+  function* layoutTerm(term, position) {
+    switch (term.type) {
+      case 'variable':
+        return term.name;
+      case 'thunk':
+        return term.label;
+      case 'abstraction': {
+        if (!collapse) {
+          return `${lambda}${term.param}.${yield layout(term.body, 'top')}`;
+        }
+        const { params, body } = collectParams(term);
+        return `${lambda}${params.join(' ')}.${yield layout(body, 'top')}`;
+      }
+      case 'application': {
+        const children = childPositions(position);
+        return `${yield layout(term.func, children.func)} ${yield layout(term.arg, children.arg)}`;
+      }
+    }
+  }
+
+  return run(layout(expr, 'top'));
+}
+
+// ============================================================================
+// Reduction Strategies
+// ============================================================================
+
+/**
+ * Built-in evaluation orders. Each strategy is described by three switches:
+ *   underLambda     - whether redexes inside a lambda body may be chosen
+ *   reduceArguments - whether redexes inside an argument may be chosen
+ *   innermost       - whether inner redexes are preferred over the outer one
+ * Within those constraints the leftmost candidate always wins.
+ */
+export const STRATEGIES = {
+  normal: {
+    name: 'normal',
+    label: 'Normal order',
+    description: 'Leftmost-outermost redex first, reducing under lambdas',
+    underLambda: true,
+    reduceArguments: true,
+    innermost: false
+  },
+  applicative: {
+    name: 'applicative',
+    label: 'Applicative order',
+    description: 'Leftmost-innermost redex first, reducing under lambdas',
+    underLambda: true,
+    reduceArguments: true,
+    innermost: true
+  },
+  cbn: {
+    name: 'cbn',
+    label: 'Call-by-name',
+    description: 'Leftmost-outermost, never under lambdas or inside arguments',
+    underLambda: false,
+    reduceArguments: false,
+    innermost: false
+  },
+  cbv: {
+    name: 'cbv',
+    label: 'Call-by-value',
+    description: 'Arguments are reduced before the call, never under lambdas',
+    underLambda: false,
+    reduceArguments: true,
+    innermost: true
+  },
+  head: {
+    name: 'head',
+    label: 'Head reduction',
+    description: 'Only the head redex, reducing under lambdas',
+    underLambda: true,
+    reduceArguments: false,
+    innermost: false
+  }
+};
+
+/**
+ * Resolve a strategy given by name (e.g. 'cbv') or as a descriptor object.
+ * Throws if the name is unknown.
+ */
+export function getStrategy(strategy = 'normal') {
+  if (typeof strategy === 'object' && strategy !== null) {
+    return strategy;
+  }
+  const resolved = STRATEGIES[strategy];
+  if (!resolved) {
+    const known = Object.keys(STRATEGIES).join(', ');
+    throw new Error(`Unknown reduction strategy '${strategy}' (expected one of: ${known})`);
+  }
+  return resolved;
+}
+
+/**
+ * Find the redex node the given strategy would contract next.
+ * Numbered eta redexes are candidates too; they count as lambdas, so weak
+ * strategies never pick them.
+ * Returns the redex node, or null if the strategy has nothing to reduce.
+ */
+export function findStrategyRedex(expr, strategy = 'normal') {
+  const { underLambda, reduceArguments, innermost } = getStrategy(strategy);
+
+  function* find(e) {
+    switch (e.type) {
+      case 'variable':
+        return null;
+      case 'abstraction': {
+        if (!underLambda) return null;
+        const isEta = e.id !== null && isEtaRedex(e);
+        if (!innermost && isEta) {
+          return e;
+        }
+        const inBody = yield find(e.body);
+        if (inBody) return inBody;
+        return isEta ? e : null;
+      }
+      case 'application': {
+        if (!innermost && isRedex(e)) {
+          return e;
+        }
+        const inFunc = yield find(e.func);
+        if (inFunc) return inFunc;
+        if (reduceArguments) {
+          const inArg = yield find(e.arg);
+          if (inArg) return inArg;
+        }
+        return isRedex(e) ? e : null;
+      }
+    }
+  }
+
+  return run(find(expr));
+}
+
+/**
+ * Get the ID of the redex the given strategy would reduce next.
+ * The expression must already be numbered with numberRedexes.
+ * Returns null if the expression is in normal form for that strategy.
+ */
+export function selectRedex(expr, strategy = 'normal') {
+  const redex = findStrategyRedex(expr, strategy);
+  return redex ? redex.id : null;
+}
+
+/**
+ * Perform one reduction step using a strategy.
+ * Clears old substitution marks, picks the redex and reduces it.
+ * Options are passed to numberRedexes (e.g. { eta: true }).
+ * Returns { expr, reducedId, kind } with the result numbered, or null if
+ * the strategy finds no redex.
+ */
+export function step(expr, strategy = 'normal', options = {}) {
+  const numbered = numberRedexes(expr, { val: 1 }, options);
+  const redex = findStrategyRedex(numbered, strategy);
+  if (redex === null) {
+    return null;
+  }
+  return {
+    expr: performStep(numbered, redex.id, options).expr,
+    reducedId: redex.id,
+    kind: redexKind(redex)
+  };
+}
+
+// ============================================================================
+// Alpha-Equivalence and de Bruijn Indices
+// ============================================================================
+
+/**
+ * Convert an expression to nameless (de Bruijn) form.
+ *
+ * Nameless terms use their own node types:
+ *   { type: 'index', index }        bound variable, 0 = nearest enclosing lambda
+ *   { type: 'free', name }          free variable, keeps its name
+ *   { type: 'lambda', body, hint }  abstraction, hint is the original parameter name
+ *   { type: 'apply', func, arg }    application
+ */
+export function toDeBruijn(expr) {
+  function* convert(e, bound) {
+    switch (e.type) {
+      case 'variable': {
+        const position = bound.lastIndexOf(e.name);
+        if (position === -1) {
+          return { type: 'free', name: e.name };
+        }
+        return { type: 'index', index: bound.length - 1 - position };
+      }
+      case 'abstraction':
+        bound.push(e.param);
+        const body = yield convert(e.body, bound);
+        bound.pop();
+        return { type: 'lambda', body, hint: e.param };
+      case 'application':
+        return { type: 'apply', func: yield convert(e.func, bound), arg: yield convert(e.arg, bound) };
+    }
+  }
+  return run(convert(expr, []));
+}
+
+/**
+ * Convert a nameless term back to a named expression.
+ *
+ * Binder names come from namingHint when given (an array indexed by lambda
+ * depth, e.g. ['x', 'y', 'z']), otherwise from the lambda's stored hint.
+ * Names are primed as needed so that no free variable is captured and no
+ * binder shadows an enclosing one.
+ */
+export function fromDeBruijn(term, namingHint = null) {
+  const freeNames = new Set();
+  const unvisited = [term];
+  while (unvisited.length > 0) {
+    const t = unvisited.pop();
+    switch (t.type) {
+      case 'free': freeNames.add(t.name); break;
+      case 'lambda': unvisited.push(t.body); break;
+      case 'apply': unvisited.push(t.arg, t.func); break;
+    }
+  }
+
+  function* convert(t, scope) {
+    switch (t.type) {
+      case 'index': {
+        if (t.index >= scope.length) {
+          throw new Error(`Unbound de Bruijn index ${t.index}`);
+        }
+        return new Variable(scope[scope.length - 1 - t.index]);
+      }
+      case 'free':
+        return new Variable(t.name);
+      case 'lambda': {
+        const depth = scope.length;
+        const preferred = (namingHint && namingHint[depth % namingHint.length]) || t.hint || 'x';
+        const param = freshName(preferred, new Set([...freeNames, ...scope]));
+        scope.push(param);
+        const body = yield convert(t.body, scope);
+        scope.pop();
+        return new Abstraction(param, body);
+      }
+      case 'apply':
+        return new Application(yield convert(t.func, scope), yield convert(t.arg, scope));
+    }
+  }
+  return run(convert(term, []));
+}
+
+/**
+ * Render a nameless term, e.g. λ.λ.(1 0) for λx.λy.x y.
+ * Alpha-equivalent expressions produce identical strings.
+ */
+export function deBruijnToString(term) {
+  function* print(t) {
+    switch (t.type) {
+      case 'index':
+        return String(t.index);
+      case 'free':
+        return t.name;
+      case 'lambda':
+        return `λ.${yield print(t.body)}`;
+      case 'apply': {
+        const funcStr = t.func.type === 'lambda' ? `(${yield print(t.func)})` : yield print(t.func);
+        const argStr = t.arg.type === 'lambda' ? `(${yield print(t.arg)})` : yield print(t.arg);
+        return `(${funcStr} ${argStr})`;
+      }
+    }
+  }
+  return run(print(term));
+}
+
+/**
+ * Check whether two expressions are equal up to renaming of bound variables.
+ */
+export function alphaEquivalent(a, b) {
+  return deBruijnToString(toDeBruijn(a)) === deBruijnToString(toDeBruijn(b));
+}
 
-    throw this.error(`Unexpected character '${char}'`);
-  }
+// ============================================================================
+// Normalization
+// ============================================================================
 
-  // Parse an expression: one or more atoms combined via left-associative application
-  parseExpr() {
-    this.skipWhitespace();
+/**
+ * Reasons normalize() can stop for.
+ */
+export const TERMINATION = {
+  NORMAL_FORM: 'normal-form',       // the strategy found no redex
+  FUEL_EXHAUSTED: 'fuel-exhausted', // maxSteps reductions were performed
+  SIZE_LIMIT: 'size-limit',         // the term grew beyond maxSize nodes
+  CYCLE: 'cycle'                    // an alpha-equivalent term was seen before
+};
 
-    let result = this.parseAtom();
+/**
+ * Count the AST nodes in an expression. A thunk counts as one node (see sharedSize in need.js).
+ */
+export function termSize(expr) {
+  return termInfo(expr).size;
+}
 
-    // Collect additional atoms and combine via left-associative application
-    while (true) {
-      this.skipWhitespace();
+/**
+ * Reduce an expression repeatedly with a strategy until it stops.
+ *
+ * Stops on the first of: no redex left, maxSteps reductions, a term larger
+ * than maxSize nodes, or a term alpha-equivalent to an earlier step.
+ *
+ * @param {Object} expr - Expression to normalize
+ * @param {Object} options - { strategy = 'normal', maxSteps = 1000, maxSize = 10000, eta = false }
+ * @returns {Object} { expr, steps, reason, cycleStart }
+ *   steps is an array of { expr, reducedId } suitable for buildLinkingChain,
+ *   starting with the input. cycleStart is the index of the step that was
+ *   repeated when reason is TERMINATION.CYCLE, otherwise null.
+ */
+export function normalize(expr, { strategy = 'normal', maxSteps = 1000, maxSize = 10000, eta = false } = {}) {
+  const resolved = getStrategy(strategy);
+  const numbering = { eta };
+  let current = numberRedexes(expr, { val: 1 }, numbering);
+  const steps = [{ expr: current, reducedId: null }];
+  const seen = new Map([[deBruijnToString(toDeBruijn(current)), 0]]);
 
-      const char = this.currentChar();
-      const canContinue = this.hasMore() && char !== ')' && isAtomStart(char);
+  const finish = (reason, cycleStart = null) => ({ expr: current, steps, reason, cycleStart });
 
-      if (!canContinue) {
-        break;
-      }
+  if (termSize(current) > maxSize) {
+    return finish(TERMINATION.SIZE_LIMIT);
+  }
 
-      const nextAtom = this.parseAtom();
-      result = new Application(result, nextAtom);
+  while (true) {
+    if (selectRedex(current, resolved) === null) {
+      return finish(TERMINATION.NORMAL_FORM);
+    }
+    if (steps.length - 1 >= maxSteps) {
+      return finish(TERMINATION.FUEL_EXHAUSTED);
     }
 
-    return result;
-  }
-
-  // Main entry point
-  parse() {
-    const result = this.parseExpr();
-    this.skipWhitespace();
+    const next = step(current, resolved, numbering);
+    current = next.expr;
+    steps.push({ expr: current, reducedId: next.reducedId });
 
-    if (this.hasMore()) {
-      throw this.error('Unexpected character (expected end of input)');
+    if (termSize(current) > maxSize) {
+      return finish(TERMINATION.SIZE_LIMIT);
     }
 
-    return result;
+    const key = deBruijnToString(toDeBruijn(current));
+    if (seen.has(key)) {
+      return finish(TERMINATION.CYCLE, seen.get(key));
+    }
+    seen.set(key, steps.length - 1);
   }
 }
 
-export function parse(input) {
-  const parser = new Parser(input);
-  return parser.parse();
-}
-
 // ============================================================================
-// Beta Reduction
+// Reduction Graphs
 // ============================================================================
 
-export function freeVariables(expr) {
-  switch (expr.type) {
-    case 'variable':
-      return new Set([expr.name]);
-    case 'abstraction':
-      const bodyFree = freeVariables(expr.body);
-      bodyFree.delete(expr.param);
-      return bodyFree;
-    case 'application':
-      const funcFree = freeVariables(expr.func);
-      const argFree = freeVariables(expr.arg);
-      return new Set([...funcFree, ...argFree]);
-  }
-}
-
-export function freshName(name, avoid) {
-  let fresh = name;
-  while (avoid.has(fresh)) {
-    fresh += "'";
+// Breadth-first search over redex choices, merging alpha-equivalent terms.
+// Nodes are added in order of depth, so the first node satisfying isGoal is
+// one closest to the input; the search stops there. Terms larger than
+// maxSize are kept but not expanded.
+function searchReductions(expr, { maxDepth, maxNodes, maxSize = Infinity, eta }, isGoal = null) {
+  const numbering = { eta };
+  const nodes = [];
+  const edges = [];
+  const byKey = new Map();
+  let complete = true;
+  let goal = null;
+
+  function addNode(term, depth, parent, via) {
+    const numbered = numberRedexes(clearSubstitutionMarks(term), { val: 1 }, numbering);
+    const key = deBruijnToString(toDeBruijn(numbered));
+    if (byKey.has(key)) {
+      return byKey.get(key);
+    }
+    if (nodes.length >= maxNodes) {
+      complete = false;
+      return null;
+    }
+    const node = {
+      id: nodes.length,
+      expr: numbered,
+      key,
+      depth,
+      redexCount: getRedexCount(numbered),
+      expanded: false,
+      parent,
+      via
+    };
+    nodes.push(node);
+    byKey.set(key, node);
+    if (goal === null && isGoal && isGoal(node)) {
+      goal = node;
+    }
+    return node;
   }
-  return fresh;
-}
-
-export function substitute(expr, varName, replacement, markAsSubstituted = true, sourceId = null) {
-  switch (expr.type) {
-    case 'variable':
-      if (expr.name === varName) {
-        return replacement.clone(markAsSubstituted, sourceId);
-      }
-      return expr;
 
-    case 'abstraction':
-      if (expr.param === varName) {
-        return expr;
-      }
-      const replFree = freeVariables(replacement);
-      if (replFree.has(expr.param)) {
-        const allFree = new Set([...replFree, ...freeVariables(expr.body)]);
-        allFree.add(varName);
-        const newParam = freshName(expr.param, allFree);
-        const renamedBody = substitute(expr.body, expr.param, new Variable(newParam), false, null);
-        return new Abstraction(
-          newParam,
-          substitute(renamedBody, varName, replacement, markAsSubstituted, sourceId),
-          expr.fromSubstitution,
-          expr.sourceId
-        );
+  addNode(expr, 0, null, null);
+  for (let i = 0; i < nodes.length && goal === null; i++) {
+    const node = nodes[i];
+    if (node.redexCount === 0) continue;
+    if (node.depth >= maxDepth || termSize(node.expr) > maxSize) {
+      complete = false;
+      continue;
+    }
+    node.expanded = true;
+    for (const redex of getRedexes(node.expr)) {
+      const target = addNode(reduceAt(node.expr, redex.id), node.depth + 1, node.id, redex.id);
+      if (target !== null) {
+        edges.push({ from: node.id, to: target.id, redexId: redex.id, kind: redex.kind });
       }
-      return new Abstraction(
-        expr.param,
-        substitute(expr.body, varName, replacement, markAsSubstituted, sourceId),
-        expr.fromSubstitution,
-        expr.sourceId
-      );
-
-    case 'application':
-      return new Application(
-        substitute(expr.func, varName, replacement, markAsSubstituted, sourceId),
-        substitute(expr.arg, varName, replacement, markAsSubstituted, sourceId),
-        expr.id,
-        expr.fromSubstitution,
-        expr.sourceId
-      );
+    }
   }
+
+  return { nodes, edges, complete, goal };
 }
 
-export function isRedex(expr) {
-  return expr.type === 'application' && expr.func.type === 'abstraction';
+/**
+ * Explore every redex choice breadth-first, merging alpha-equivalent terms.
+ *
+ * Node 0 is the input. Each node is { id, expr, key, depth, redexCount,
+ * expanded, parent, via }: expr is numbered with the given options, key is
+ * its de Bruijn string, depth its distance from the input, and parent/via
+ * the node and redex ID it was first reached from (so following parents
+ * gives a shortest path back to the input, see reductionPath). Nodes deeper
+ * than maxDepth or past maxNodes are not expanded.
+ *
+ * Each edge is { from, to, redexId, kind }: reducing redex redexId of node
+ * `from` gives node `to`.
+ *
+ * @param {Object} expr - Expression to explore
+ * @param {Object} options - { maxDepth = 10, maxNodes = 200, eta = false }
+ * @returns {Object} { nodes, edges, complete } where complete is false if
+ *   some reachable term was left out or left unexpanded
+ */
+export function exploreReductionGraph(expr, { maxDepth = 10, maxNodes = 200, eta = false } = {}) {
+  const { nodes, edges, complete } = searchReductions(expr, { maxDepth, maxNodes, eta });
+  return { nodes, edges, complete };
 }
 
-export function numberRedexes(expr, counter = { val: 1 }) {
-  switch (expr.type) {
-    case 'variable':
-      return expr;
-    case 'abstraction':
-      return new Abstraction(
-        expr.param,
-        numberRedexes(expr.body, counter),
-        expr.fromSubstitution,
-        expr.sourceId
-      );
-    case 'application':
-      let id = null;
-      if (isRedex(expr)) {
-        id = counter.val++;
-      }
-      return new Application(
-        numberRedexes(expr.func, counter),
-        numberRedexes(expr.arg, counter),
-        id,
-        expr.fromSubstitution,
-        expr.sourceId
-      );
+/**
+ * The redex IDs leading from node 0 of a reduction graph to node nodeId,
+ * following parent links (a shortest path).
+ */
+export function reductionPath(graph, nodeId) {
+  const path = [];
+  for (let node = graph.nodes[nodeId]; node.parent !== null; node = graph.nodes[node.parent]) {
+    path.unshift(node.via);
   }
+  return path;
 }
 
-export function clearSubstitutionMarks(expr) {
-  switch (expr.type) {
-    case 'variable':
-      return new Variable(expr.name, false, null);
-    case 'abstraction':
-      return new Abstraction(expr.param, clearSubstitutionMarks(expr.body), false, null);
-    case 'application':
-      return new Application(
-        clearSubstitutionMarks(expr.func),
-        clearSubstitutionMarks(expr.arg),
-        expr.id,
-        false,
-        null
-      );
+/**
+ * Search for the fewest reduction steps from expr to a normal form.
+ *
+ * Breadth-first over every redex choice, skipping terms alpha-equivalent to
+ * one already seen. The search gives up after visiting maxNodes terms, and
+ * does not expand terms larger than maxSize nodes.
+ *
+ * @param {Object} expr - Expression to normalize
+ * @param {Object} options - { maxNodes = 5000, maxSize = 10000, eta = false }
+ * @returns {Object} { path, steps, reason, explored }
+ *   path is the list of redex IDs to pass to reduceAt (renumbering after each
+ *   step), or null if no normal form was found. steps replays it in the shape
+ *   normalize() returns. reason is TERMINATION.NORMAL_FORM when found,
+ *   TERMINATION.CYCLE when every reachable term was explored without finding
+ *   one, and TERMINATION.FUEL_EXHAUSTED or TERMINATION.SIZE_LIMIT when a
+ *   limit cut the search short. explored is the number of distinct terms seen.
+ */
+export function shortestNormalization(expr, { maxNodes = 5000, maxSize = 10000, eta = false } = {}) {
+  const search = searchReductions(expr, { maxDepth: Infinity, maxNodes, maxSize, eta }, node => node.redexCount === 0);
+  const explored = search.nodes.length;
+
+  if (search.goal === null) {
+    let reason = TERMINATION.CYCLE;
+    if (search.nodes.length >= maxNodes) {
+      reason = TERMINATION.FUEL_EXHAUSTED;
+    } else if (!search.complete) {
+      reason = TERMINATION.SIZE_LIMIT;
+    }
+    return { path: null, steps: null, reason, explored };
   }
-}
 
-export function reduceAt(expr, targetId) {
-  switch (expr.type) {
-    case 'variable':
-      return expr;
-    case 'abstraction':
-      return new Abstraction(
-        expr.param,
-        reduceAt(expr.body, targetId),
-        expr.fromSubstitution,
-        expr.sourceId
-      );
-    case 'application':
-      if (expr.id === targetId && isRedex(expr)) {
-        const lambda = expr.func;
-        const result = substitute(lambda.body, lambda.param, expr.arg, true, targetId);
-        return result;
-      }
-      return new Application(
-        reduceAt(expr.func, targetId),
-        reduceAt(expr.arg, targetId),
-        expr.id,
-        expr.fromSubstitution,
-        expr.sourceId
-      );
+  const path = reductionPath(search, search.goal.id);
+  const numbering = { eta };
+  let current = numberRedexes(expr, { val: 1 }, numbering);
+  const steps = [{ expr: current, reducedId: null }];
+  for (const id of path) {
+    current = numberRedexes(reduceAt(current, id), { val: 1 }, numbering);
+    steps.push({ expr: current, reducedId: id });
   }
+  return { path, steps, reason: TERMINATION.NORMAL_FORM, explored };
 }
 
-export function getRedexCount(expr) {
-  let count = 0;
-  function traverse(e) {
-    switch (e.type) {
-      case 'variable':
-        break;
-      case 'abstraction':
-        traverse(e.body);
-        break;
-      case 'application':
-        if (isRedex(e)) count++;
-        traverse(e.func);
-        traverse(e.arg);
-        break;
-    }
-  }
-  traverse(expr);
-  return count;
+/**
+ * Compare the shortest path to normal form with the normal-order one.
+ *
+ * @returns {Object} { shortest, normalOrder, saved } where shortest is the
+ *   shortestNormalization() result, normalOrder the normalize() result, and
+ *   saved how many steps fewer the shortest path takes (null unless both
+ *   reached a normal form)
+ */
+export function compareWithNormalOrder(expr, { maxNodes = 5000, maxSteps = 1000, maxSize = 10000, eta = false } = {}) {
+  const shortest = shortestNormalization(expr, { maxNodes, maxSize, eta });
+  const normalOrder = normalize(expr, { strategy: 'normal', maxSteps, maxSize, eta });
+  const bothFound = shortest.reason === TERMINATION.NORMAL_FORM && normalOrder.reason === TERMINATION.NORMAL_FORM;
+  return {
+    shortest,
+    normalOrder,
+    saved: bothFound ? (normalOrder.steps.length - 1) - shortest.path.length : null
+  };
 }
 
-export function getRedexes(expr) {
-  const redexes = [];
-  function traverse(e) {
-    switch (e.type) {
-      case 'variable':
-        break;
-      case 'abstraction':
-        traverse(e.body);
-        break;
-      case 'application':
-        if (isRedex(e)) {
-          redexes.push({ id: e.id, expr: e });
-        }
-        traverse(e.func);
-        traverse(e.arg);
-        break;
-    }
-  }
-  traverse(expr);
-  return redexes;
+// Quote a string for a Graphviz label or graph name
+function dotString(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
 }
 
-export function toPlainString(expr) {
-  switch (expr.type) {
-    case 'variable':
-      return expr.name;
-    case 'abstraction':
-      return `λ${expr.param}.${toPlainString(expr.body)}`;
-    case 'application': {
-      // Wrap abstractions in parens to ensure correct round-tripping.
-      // Without this, `(λx.x) y` stringifies to `(λx.x y)` which parses as `λx.(x y)`.
-      const funcNeedsParens = expr.func.type === 'abstraction';
-      const argNeedsParens = expr.arg.type === 'abstraction';
-      const funcStr = funcNeedsParens ? `(${toPlainString(expr.func)})` : toPlainString(expr.func);
-      const argStr = argNeedsParens ? `(${toPlainString(expr.arg)})` : toPlainString(expr.arg);
-      return `(${funcStr} ${argStr})`;
-    }
+/**
+ * Render a reduction graph in Graphviz DOT format.
+ *
+ * The input is drawn bold, normal forms with a double border and unexpanded
+ * terms dashed. Edges are labelled with redex IDs (ηN for eta redexes).
+ */
+export function reductionGraphToDot(graph, { name = 'reductions' } = {}) {
+  const lines = [
+    `digraph ${dotString(name)} {`,
+    '  rankdir=LR;',
+    '  node [shape=box, fontname="monospace"];'
+  ];
+  for (const node of graph.nodes) {
+    const attributes = [`label=${dotString(prettyPrint(node.expr))}`];
+    if (node.id === 0) attributes.push('style=bold');
+    if (node.redexCount === 0) attributes.push('peripheries=2');
+    else if (!node.expanded) attributes.push('style=dashed');
+    lines.push(`  n${node.id} [${attributes.join(', ')}];`);
   }
+  for (const edge of graph.edges) {
+    const label = edge.kind === 'eta' ? `η${edge.redexId}` : String(edge.redexId);
+    lines.push(`  n${edge.from} -> n${edge.to} [label=${dotString(label)}];`);
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
 }
 
 // ============================================================================
@@ -437,16 +2078,23 @@ export function toPlainString(expr) {
  * Used to detect when a lambda argument will be discarded.
  */
 export function variableAppearsIn(expr, varName) {
-  switch (expr.type) {
-    case 'variable':
-      return expr.name === varName;
-    case 'abstraction':
-      // Variable is shadowed if it matches the parameter
-      if (expr.param === varName) return false;
-      return variableAppearsIn(expr.body, varName);
-    case 'application':
-      return variableAppearsIn(expr.func, varName) || variableAppearsIn(expr.arg, varName);
+  const stack = [expr];
+  while (stack.length > 0) {
+    const e = stack.pop();
+    switch (e.type) {
+      case 'variable':
+        if (e.name === varName) return true;
+        break;
+      case 'abstraction':
+        // Variable is shadowed if it matches the parameter
+        if (e.param !== varName) stack.push(e.body);
+        break;
+      case 'application':
+        stack.push(e.arg, e.func);
+        break;
+    }
   }
+  return false;
 }
 
 /**
@@ -466,8 +2114,10 @@ export function isArgumentUsed(redexExpr) {
  */
 export function findVariableUses(expr, varName) {
   const uses = [];
+  const stack = [expr];
 
-  function traverse(e) {
+  while (stack.length > 0) {
+    const e = stack.pop();
     switch (e.type) {
       case 'variable':
         if (e.name === varName) {
@@ -477,26 +2127,26 @@ export function findVariableUses(expr, varName) {
       case 'abstraction':
         // Stop if variable is shadowed
         if (e.param !== varName) {
-          traverse(e.body);
+          stack.push(e.body);
         }
         break;
       case 'application':
-        traverse(e.func);
-        traverse(e.arg);
+        stack.push(e.arg, e.func);
         break;
     }
   }
 
-  traverse(expr);
   return uses;
 }
 
 /**
  * For a redex, get the parameter uses in the lambda body.
  * These are the Variable nodes that will be replaced during beta reduction.
+ * For an eta redex λx.f x this is the trailing x that disappears.
  * Returns an empty array if the redex is not valid or the variable is not used.
  */
 export function getParameterUses(redexExpr) {
+  if (isEtaRedex(redexExpr)) return [redexExpr.body.arg];
   if (!isRedex(redexExpr)) return [];
   const lambda = redexExpr.func;
   return findVariableUses(lambda.body, lambda.param);
@@ -509,22 +2159,47 @@ export function getParameterUses(redexExpr) {
  */
 export function getFullLinkingInfo(beforeExpr, afterExpr, reducedId) {
   const redex = getRedex(beforeExpr, reducedId);
-  const sourceArg = redex ? redex.arg : null;
-  const wasUsed = redex ? isArgumentUsed(redex) : false;
+  const kind = redex ? redexKind(redex) : 'beta';
+  const sourceArg = redex && kind === 'beta' ? redex.arg : null;
+  const wasUsed = redex ? kind === 'eta' || isArgumentUsed(redex) : false;
   const parameterUses = redex ? getParameterUses(redex) : [];
   const substitutions = getSubstitutions(afterExpr);
   const substitutedNodes = substitutions.get(reducedId) || [];
 
   return {
+    kind,               // 'beta' or 'eta'
     sourceArg,
     parameterUses,      // Variable nodes in lambda body (blue boxes)
     substitutedNodes,   // Substituted expressions in result (red boxes)
     sourceId: reducedId,
     hasSubstitutions: substitutedNodes.length > 0,
-    wasUsed
+    wasUsed,
+    alphaRenames: getAlphaRenames(afterExpr, reducedId)  // Binders renamed to avoid capture
   };
 }
 
+// A renamed binder as linking info describes it
+function alphaRename(binder) {
+  const { from, to, captured, variable } = binder.renaming;
+  return { binder, from, to, captured, variable };
+}
+
+/**
+ * Get the binders substitution renamed for a redex (alpha conversion), in
+ * pre-order. Each is { binder, from, to, captured, variable }: the renamed
+ * Abstraction, its old and new parameter, the free variable of the argument
+ * it would have captured, and the parameter the argument replaced.
+ */
+export function getAlphaRenames(expr, reducedId) {
+  const renames = [];
+  forEachNode(expr, (e) => {
+    if (e.type === 'abstraction' && e.renaming !== null && e.renaming.sourceId === reducedId) {
+      renames.push(alphaRename(e));
+    }
+  });
+  return renames;
+}
+
 // ============================================================================
 // Linking Logic - for tracing substitutions across reduction steps
 // ============================================================================
@@ -535,8 +2210,12 @@ export function getFullLinkingInfo(beforeExpr, afterExpr, reducedId) {
  */
 export function getSubstitutions(expr) {
   const substitutions = new Map();
+  // Pending nodes, each with whether it lies inside a substituted subtree
+  const stack = [[expr, false]];
+
+  while (stack.length > 0) {
+    let [e, inSubstitution] = stack.pop();
 
-  function traverse(e, inSubstitution = false) {
     // If this node starts a substitution (not already inside one)
     if (e.fromSubstitution && !inSubstitution) {
       const sourceId = e.sourceId;
@@ -552,16 +2231,14 @@ export function getSubstitutions(expr) {
       case 'variable':
         break;
       case 'abstraction':
-        traverse(e.body, inSubstitution);
+        stack.push([e.body, inSubstitution]);
         break;
       case 'application':
-        traverse(e.func, inSubstitution);
-        traverse(e.arg, inSubstitution);
+        stack.push([e.arg, inSubstitution], [e.func, inSubstitution]);
         break;
     }
   }
 
-  traverse(expr);
   return substitutions;
 }
 
@@ -570,41 +2247,35 @@ export function getSubstitutions(expr) {
  * Returns null if the redex is not found.
  */
 export function getRedexArg(expr, redexId) {
-  function find(e) {
-    switch (e.type) {
-      case 'variable':
-        return null;
-      case 'abstraction':
-        return find(e.body);
-      case 'application':
-        if (e.id === redexId && isRedex(e)) {
-          return e.arg;
-        }
-        return find(e.func) || find(e.arg);
-    }
-  }
-  return find(expr);
+  const redex = getRedex(expr, redexId);
+  return redex && redex.type === 'application' ? redex.arg : null;
 }
 
 /**
- * Get the full redex expression (the application) for a specific redex ID.
+ * Get the full redex expression for a specific redex ID: the application
+ * for a beta redex, the abstraction for a numbered eta redex.
  * Returns null if the redex is not found.
  */
 export function getRedex(expr, redexId) {
-  function find(e) {
+  const stack = [expr];
+  while (stack.length > 0) {
+    const e = stack.pop();
     switch (e.type) {
-      case 'variable':
-        return null;
       case 'abstraction':
-        return find(e.body);
+        if (e.id === redexId && isEtaRedex(e)) {
+          return e;
+        }
+        stack.push(e.body);
+        break;
       case 'application':
         if (e.id === redexId && isRedex(e)) {
           return e;
         }
-        return find(e.func) || find(e.arg);
+        stack.push(e.arg, e.func);
+        break;
     }
   }
-  return find(expr);
+  return null;
 }
 
 /**
@@ -615,16 +2286,18 @@ export function getRedex(expr, redexId) {
  * @param {Object} beforeExpr - Expression before reduction (with redex IDs)
  * @param {Object} afterExpr - Expression after reduction (with substitution marks)
  * @param {number} reducedId - The redex ID that was reduced
- * @returns {Object} Linking info: { sourceArg, substitutedNodes, wasUsed }
+ * @returns {Object} Linking info: { kind, sourceArg, substitutedNodes, wasUsed }
  */
 export function getLinkingInfo(beforeExpr, afterExpr, reducedId) {
   const redex = getRedex(beforeExpr, reducedId);
-  const sourceArg = redex ? redex.arg : null;
-  const wasUsed = redex ? isArgumentUsed(redex) : false;
+  const kind = redex ? redexKind(redex) : 'beta';
+  const sourceArg = redex && kind === 'beta' ? redex.arg : null;
+  const wasUsed = redex ? kind === 'eta' || isArgumentUsed(redex) : false;
   const substitutions = getSubstitutions(afterExpr);
   const substitutedNodes = substitutions.get(reducedId) || [];
 
   return {
+    kind,  // 'beta' or 'eta' (eta steps have no source argument)
     sourceArg,
     substitutedNodes,
     sourceId: reducedId,
@@ -656,6 +2329,203 @@ export function buildLinkingChain(steps) {
   });
 }
 
+// ============================================================================
+// Reduction Sessions
+// ============================================================================
+
+/**
+ * The history of an interactive reduction, kept as a tree of steps: going
+ * back and reducing a different redex starts a new branch instead of
+ * throwing the old steps away.
+ *
+ * Each step is a plain object
+ *   { id, stepNum, parent, children, activeChild, expr, reducedId, kind,
+ *     linkingInfo, discardedArg, stats, reducedFrom }
+ * where stepNum is the depth in the tree (0 for the start) and activeChild
+ * the child redo() goes to. Steps made by reduce() carry what performStep
+ * returns; addStep() records any other change (an eta expansion, a switch to
+ * combinators, ...) with fields of the caller's choosing. UIs may keep
+ * fields of their own on the steps.
+ *
+ * The active branch runs from the start to `current`.
+ */
+export class ReductionSession {
+  #nextId = 0;
+  #bookmarks = new Map();
+
+  /**
+   * @param {Object} expr - Starting expression; it is numbered, with marks cleared
+   * @param {Object} options - Numbering options ({ eta }). The object is read
+   *   at every step, so a UI can pass its settings and change them later.
+   */
+  constructor(expr, options = {}) {
+    this.options = options;
+    this.root = this.#makeStep(null, numberRedexes(clearSubstitutionMarks(expr), { val: 1 }, options), { kind: 'start' });
+    this.current = this.root;
+  }
+
+  #makeStep(parent, expr, fields) {
+    const step = {
+      id: this.#nextId++,
+      stepNum: parent === null ? 0 : parent.stepNum + 1,
+      parent,
+      children: [],
+      activeChild: null,
+      expr,
+      reducedId: null,
+      kind: null,
+      linkingInfo: null,
+      discardedArg: null,
+      stats: null,
+      reducedFrom: null,  // the parent's expr when reduce() made this step
+      ...fields
+    };
+    if (parent !== null) {
+      parent.children.push(step);
+    }
+    return step;
+  }
+
+  // Make `step`, a child of the current step, the current step
+  #enter(step) {
+    this.current.activeChild = step;
+    this.current = step;
+    return step;
+  }
+
+  /** The steps of the active branch, from the start to the current step. */
+  get steps() {
+    const steps = [];
+    for (let step = this.current; step !== null; step = step.parent) {
+      steps.push(step);
+    }
+    return steps.reverse();
+  }
+
+  get canUndo() {
+    return this.current.parent !== null;
+  }
+
+  get canRedo() {
+    return this.current.activeChild !== null;
+  }
+
+  /**
+   * Reduce a redex of the current step with performStep and move to the
+   * result. Reducing a redex that was reduced from this step before goes back
+   * to that step rather than making a copy of it.
+   * @returns {Object|null} The new current step, or null if there is no such redex
+   */
+  reduce(redexId) {
+    const from = this.current;
+    const existing = from.children.find(child => child.reducedFrom === from.expr && child.reducedId === redexId);
+    if (existing) {
+      return this.#enter(existing);
+    }
+    const result = performStep(from.expr, redexId, this.options);
+    if (result === null) {
+      return null;
+    }
+    return this.#enter(this.#makeStep(from, result.expr, {
+      reducedId: redexId,
+      kind: result.linkingInfo.kind,
+      linkingInfo: result.linkingInfo,
+      discardedArg: result.discardedArg,
+      stats: result.stats,
+      reducedFrom: from.expr
+    }));
+  }
+
+  /** Record a step that did not come from reduce(), e.g. an eta expansion. */
+  addStep(expr, fields = {}) {
+    return this.#enter(this.#makeStep(this.current, expr, fields));
+  }
+
+  /** Replace the current step's expression, e.g. when it is renumbered. */
+  replaceCurrent(expr) {
+    this.current.expr = expr;
+    return this.current;
+  }
+
+  /** Go back one step; the step left stays available to redo(). Null at the start. */
+  undo() {
+    if (!this.canUndo) {
+      return null;
+    }
+    this.current = this.current.parent;
+    return this.current;
+  }
+
+  /** Go forward again along the active branch. Null if there is nothing to redo. */
+  redo() {
+    if (!this.canRedo) {
+      return null;
+    }
+    this.current = this.current.activeChild;
+    return this.current;
+  }
+
+  /**
+   * Go back to step stepNum of the active branch. The steps after it can still
+   * be redone; reducing another redex there starts a new branch.
+   */
+  branchFrom(stepNum) {
+    const step = this.steps[stepNum];
+    if (!Number.isInteger(stepNum) || step === undefined) {
+      throw new RangeError(`No step ${stepNum} on this branch (steps 0-${this.current.stepNum})`);
+    }
+    return this.goTo(step);
+  }
+
+  /** Make any step of the tree the current one; its branch becomes the active branch. */
+  goTo(step) {
+    let root = step;
+    while (root.parent !== null) {
+      root = root.parent;
+    }
+    if (root !== this.root) {
+      throw new Error('The step belongs to another session');
+    }
+    for (let at = step; at.parent !== null; at = at.parent) {
+      at.parent.activeChild = at;
+    }
+    this.current = step;
+    return step;
+  }
+
+  /** Name a step (default: the current one). An existing bookmark of that name moves. */
+  bookmark(name, step = this.current) {
+    const key = String(name).trim();
+    if (key === '') {
+      throw new Error('A bookmark needs a name');
+    }
+    this.#bookmarks.set(key, step);
+    return step;
+  }
+
+  goToBookmark(name) {
+    const step = this.#bookmarks.get(String(name).trim());
+    if (step === undefined) {
+      throw new Error(`No bookmark named '${name}'`);
+    }
+    return this.goTo(step);
+  }
+
+  removeBookmark(name) {
+    return this.#bookmarks.delete(String(name).trim());
+  }
+
+  /** Bookmarks as [{ name, step }], in the order they were made. */
+  get bookmarks() {
+    return [...this.#bookmarks].map(([name, step]) => ({ name, step }));
+  }
+
+  /** buildLinkingChain for the active branch. */
+  linkingChain() {
+    return buildLinkingChain(this.steps);
+  }
+}
+
 // ============================================================================
 // Example Expressions
 // ============================================================================
@@ -696,6 +2566,11 @@ export const EXAMPLES = [
     description: 'Add 2 + 2 in Church numerals',
     expr: '(\\m.\\n.\\f.\\x.m f (n f x)) (\\f.\\x.f (f x)) (\\f.\\x.f (f x)) s z'
   },
+  {
+    name: 'Church Multiplication',
+    description: 'Multiply 2 × 3 using numeral literals',
+    expr: '(\\m.\\n.\\f.m (n f)) 2 3'
+  },
   {
     name: 'Omega',
     description: 'Self-application - infinite loop (careful!)',
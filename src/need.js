@@ -0,0 +1,250 @@
+// ============================================================================
+// Call-by-Need Evaluation - Lazy Reduction with Shared Thunks
+// ============================================================================
+//
+// Call-by-need reduces in the same order as call-by-name (leftmost-outermost,
+// never under lambdas or inside arguments, stopping at weak head normal
+// form), but a beta step does not copy its argument into every use. The
+// argument becomes one Thunk node shared by all uses; when evaluation needs
+// its value, the thunk is reduced in place and every use sees the result.
+//
+// Terms are therefore graphs, not trees. Steps mutate thunks, so keep a
+// snapshot() of any term you want to show later.
+//
+// As in the kernel, traversals are generators driven by run() or loops over
+// an explicit stack, so deeply nested terms do not overflow the call stack.
+
+import {
+  Variable,
+  Abstraction,
+  Application,
+  Thunk,
+  substitute,
+  prettyPrint,
+  normalize,
+  TERMINATION,
+  run,
+} from './kernel.js';
+
+// The term a chain of thunks currently stands for
+function deref(expr) {
+  while (expr.type === 'thunk') {
+    expr = expr.expr;
+  }
+  return expr;
+}
+
+/**
+ * Perform one call-by-need step. Thunks inside expr are updated in place.
+ *
+ * @param {Object} expr - Term, possibly containing thunks
+ * @param {Object} labels - Counter for new thunk labels ({ val: 1 } gives t1, t2, ...)
+ * @returns {Object|null} { expr, created, updated } or null when expr is in
+ *   weak head normal form. created is the thunk a beta step made for its
+ *   argument (null if the argument was a variable or already a thunk);
+ *   updated is the innermost thunk the step happened inside (null for a
+ *   step outside any thunk).
+ */
+export function needStep(expr, labels = { val: 1 }) {
+  const info = { created: null, updated: null };
+
+  function* step(e) {
+    switch (e.type) {
+      case 'variable':
+      case 'abstraction':
+        return null;
+      case 'thunk': {
+        const inner = yield step(e.expr);
+        if (inner === null) return null;
+        e.expr = inner;
+        if (info.updated === null) info.updated = e;
+        return e;
+      }
+      case 'application': {
+        const func = deref(e.func);
+        if (func.type === 'abstraction') {
+          let shared = e.arg;
+          if (shared.type !== 'variable' && shared.type !== 'thunk') {
+            shared = new Thunk(e.arg, `t${labels.val++}`);
+            info.created = shared;
+          }
+          return substitute(func.body, func.param, shared);
+        }
+        const reduced = yield step(e.func);
+        return reduced === null ? null : new Application(reduced, e.arg);
+      }
+    }
+  }
+
+  const result = run(step(expr));
+  return result === null ? null : { expr: result, ...info };
+}
+
+/**
+ * Copy a term, keeping its sharing: each thunk is copied once and the copy
+ * is shared wherever the original was.
+ */
+export function snapshot(expr, copies = new Map()) {
+  function* copy(e) {
+    switch (e.type) {
+      case 'variable':
+        return e.clone();
+      case 'abstraction':
+        return new Abstraction(e.param, yield copy(e.body), e.fromSubstitution, e.sourceId);
+      case 'application':
+        return new Application(yield copy(e.func), yield copy(e.arg), null, e.fromSubstitution, e.sourceId);
+      case 'thunk': {
+        if (!copies.has(e)) {
+          const thunk = new Thunk(null, e.label);
+          copies.set(e, thunk);
+          thunk.expr = yield copy(e.expr);
+        }
+        return copies.get(e);
+      }
+    }
+  }
+  return run(copy(expr));
+}
+
+/**
+ * Replace every thunk by a copy of its contents, giving a plain lambda term.
+ */
+export function expandThunks(expr) {
+  function* expand(e) {
+    switch (e.type) {
+      case 'variable':
+        return new Variable(e.name);
+      case 'abstraction':
+        return new Abstraction(e.param, yield expand(e.body));
+      case 'application':
+        return new Application(yield expand(e.func), yield expand(e.arg));
+      case 'thunk':
+        return yield expand(e.expr);
+    }
+  }
+  return run(expand(expr));
+}
+
+/**
+ * The distinct thunks reachable from expr, in order of first appearance
+ * (a thunk's contents are searched right after it).
+ */
+export function collectThunks(expr) {
+  const thunks = [];
+  const seen = new Set();
+  const pending = [expr];
+  while (pending.length > 0) {
+    const e = pending.pop();
+    switch (e.type) {
+      case 'abstraction':
+        pending.push(e.body);
+        break;
+      case 'application':
+        pending.push(e.arg, e.func);
+        break;
+      case 'thunk':
+        if (!seen.has(e)) {
+          seen.add(e);
+          thunks.push(e);
+          pending.push(e.expr);
+        }
+        break;
+    }
+  }
+  return thunks;
+}
+
+/**
+ * Print a term with its thunks as labelled bindings: t1 t1 where t1 = λa.a
+ */
+export function toSharedString(expr) {
+  const thunks = collectThunks(expr);
+  if (thunks.length === 0) {
+    return prettyPrint(expr);
+  }
+  const bindings = thunks.map(thunk => `${thunk.label} = ${prettyPrint(thunk.expr)}`);
+  return `${prettyPrint(expr)} where ${bindings.join(', ')}`;
+}
+
+/**
+ * Count AST nodes, counting the contents of each thunk once.
+ */
+export function sharedSize(expr) {
+  let size = 0;
+  const seen = new Set();
+  const pending = [expr];
+  while (pending.length > 0) {
+    const e = pending.pop();
+    size++;
+    switch (e.type) {
+      case 'abstraction':
+        pending.push(e.body);
+        break;
+      case 'application':
+        pending.push(e.arg, e.func);
+        break;
+      case 'thunk':
+        if (!seen.has(e)) {
+          seen.add(e);
+          pending.push(e.expr);
+        }
+        break;
+    }
+  }
+  return size;
+}
+
+/**
+ * Evaluate with call-by-need until weak head normal form.
+ *
+ * @param {Object} expr - Plain lambda term
+ * @param {Object} options - { maxSteps = 1000, maxSize = 10000 }
+ * @returns {Object} { expr, steps, reason }
+ *   steps starts with the input and holds { expr, created, updated } per
+ *   step, where expr is a snapshot and created/updated are thunk labels (or
+ *   null). reason is TERMINATION.NORMAL_FORM (weak head normal form),
+ *   FUEL_EXHAUSTED or SIZE_LIMIT (measured with sharedSize).
+ */
+export function evaluateByNeed(expr, { maxSteps = 1000, maxSize = 10000 } = {}) {
+  const labels = { val: 1 };
+  let current = expr;
+  const steps = [{ expr: snapshot(current), created: null, updated: null }];
+
+  while (true) {
+    if (steps.length - 1 >= maxSteps) {
+      return { expr: current, steps, reason: TERMINATION.FUEL_EXHAUSTED };
+    }
+    const next = needStep(current, labels);
+    if (next === null) {
+      return { expr: current, steps, reason: TERMINATION.NORMAL_FORM };
+    }
+    current = next.expr;
+    steps.push({
+      expr: snapshot(current),
+      created: next.created && next.created.label,
+      updated: next.updated && next.updated.label
+    });
+    if (sharedSize(current) > maxSize) {
+      return { expr: current, steps, reason: TERMINATION.SIZE_LIMIT };
+    }
+  }
+}
+
+/**
+ * Contrast sharing with copying: run call-by-need and call-by-name (the
+ * kernel's 'cbn' strategy, same order but copying arguments) on one term.
+ *
+ * @returns {Object} { need, name, saved } where need is the evaluateByNeed()
+ *   result, name the normalize() result, and saved how many fewer steps
+ *   call-by-need took (null unless both finished)
+ */
+export function compareWithCallByName(expr, { maxSteps = 1000, maxSize = 10000 } = {}) {
+  const need = evaluateByNeed(expr, { maxSteps, maxSize });
+  const name = normalize(expr, { strategy: 'cbn', maxSteps, maxSize });
+  const bothFinished = need.reason === TERMINATION.NORMAL_FORM && name.reason === TERMINATION.NORMAL_FORM;
+  return {
+    need,
+    name,
+    saved: bothFinished ? (name.steps.length - 1) - (need.steps.length - 1) : null
+  };
+}
@@ -0,0 +1,422 @@
+// ============================================================================
+// JSON Interchange - Saving and Loading Terms and Reduction Sessions
+// ============================================================================
+//
+// toPlainString round-trips a term's structure but drops what reduction adds
+// to it: redex IDs, substitution marks and renamed binders. This format keeps
+// them, so a worked reduction can be saved and reopened with its highlighting.
+//
+// Terms are stored as a flat table of nodes in which children come before
+// their parents and refer to them by index. A subtree shared by several
+// terms (reduction shares everything it leaves unchanged) is stored once,
+// and no recursion is needed to read or write very deep terms.
+//
+// A session is its start expression plus the redex chosen at every step,
+// with each step's term and whatever fields the UI kept on it (metadata).
+
+import {
+  Variable,
+  Abstraction,
+  Application,
+  Thunk,
+  ReductionSession,
+  getRedex,
+  getFullLinkingInfo,
+  getRedexCount,
+  termSize,
+} from './kernel.js';
+
+export const TERM_FORMAT = 'lambda-term';
+export const SESSION_FORMAT = 'lambda-session';
+export const FORMAT_VERSION = 1;
+
+/**
+ * Malformed input to deserializeTerm or deserializeSession. path names the
+ * offending field (e.g. 'steps[3].redex'), or is null for the whole document.
+ */
+export class SerializationError extends Error {
+  constructor(message, path = null) {
+    super(path === null ? message : `${path}: ${message}`);
+    this.name = 'SerializationError';
+    this.path = path;
+  }
+}
+
+// Step fields the session rebuilds itself; everything else is UI metadata.
+// discardedArg is not among them: a UI may keep it as a string.
+const STEP_STRUCTURE = new Set([
+  'id', 'stepNum', 'parent', 'children', 'activeChild', 'expr',
+  'reducedId', 'kind', 'linkingInfo', 'stats', 'reducedFrom'
+]);
+
+// Field names that would replace the step's prototype or shadow its class
+// instead of adding a field
+const UNSAFE_FIELDS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Session options a document may hold, all true or false. Others are neither
+// saved nor read, so a file cannot change a caller's unrelated settings.
+const SESSION_OPTIONS = ['eta', 'combinators'];
+
+// ============================================================================
+// Writing
+// ============================================================================
+
+// Collects the nodes of one or more terms into a table, children first
+class NodeTable {
+  nodes = [];
+  #index = new Map();
+
+  add(expr) {
+    const known = this.#index.get(expr);
+    if (known !== undefined) {
+      return known;
+    }
+
+    // Post-order without recursion; a node is written once its children are
+    const pending = [{ node: expr, visited: false }];
+    const open = new Set();
+    while (pending.length > 0) {
+      const top = pending[pending.length - 1];
+      const { node } = top;
+      if (this.#index.has(node)) {
+        pending.pop();
+        continue;
+      }
+      if (!top.visited) {
+        if (open.has(node)) {
+          throw new SerializationError('Cyclic terms cannot be saved');
+        }
+        top.visited = true;
+        open.add(node);
+        for (const child of children(node).reverse()) {
+          if (!this.#index.has(child)) {
+            pending.push({ node: child, visited: false });
+          }
+        }
+        continue;
+      }
+      pending.pop();
+      open.delete(node);
+      this.#index.set(node, this.nodes.length);
+      this.nodes.push(this.#encode(node));
+    }
+    return this.#index.get(expr);
+  }
+
+  #encode(node) {
+    const at = child => this.#index.get(child);
+    let encoded;
+    switch (node.type) {
+      case 'variable':
+        encoded = { type: 'variable', name: node.name };
+        break;
+      case 'abstraction':
+        encoded = { type: 'abstraction', param: node.param, body: at(node.body) };
+        if (node.id !== null) encoded.id = node.id;
+        if (node.renaming !== null) {
+          const { from, to, captured, variable, sourceId } = node.renaming;
+          encoded.renaming = { from, to, captured, variable, sourceId };
+        }
+        break;
+      case 'application':
+        encoded = { type: 'application', func: at(node.func), arg: at(node.arg) };
+        if (node.id !== null) encoded.id = node.id;
+        break;
+      case 'thunk':
+        return { type: 'thunk', label: node.label, expr: at(node.expr) };
+    }
+    if (node.fromSubstitution) encoded.fromSubstitution = true;
+    if (node.sourceId !== null) encoded.sourceId = node.sourceId;
+    return encoded;
+  }
+}
+
+function children(node) {
+  switch (node.type) {
+    case 'variable':
+      return [];
+    case 'abstraction':
+      return [node.body];
+    case 'application':
+      return [node.func, node.arg];
+    case 'thunk':
+      return [node.expr];
+  }
+}
+
+// JSON with one node or step per line: readable, and diffs stay small
+function formatDocument(doc) {
+  const fields = Object.entries(doc).map(([key, value]) => {
+    const text = Array.isArray(value) && value.length > 0
+      ? `[\n${value.map(item => `    ${JSON.stringify(item)}`).join(',\n')}\n  ]`
+      : JSON.stringify(value);
+    return `  ${JSON.stringify(key)}: ${text}`;
+  });
+  return `{\n${fields.join(',\n')}\n}\n`;
+}
+
+/**
+ * Write a term as JSON, keeping redex IDs, substitution marks and renamed
+ * binders (source spans and program origins are not kept).
+ * @returns {string}
+ */
+export function serializeTerm(expr) {
+  const table = new NodeTable();
+  const root = table.add(expr);
+  return formatDocument({ format: TERM_FORMAT, version: FORMAT_VERSION, root, nodes: table.nodes });
+}
+
+// The UI fields of a step that JSON can hold as they are
+function stepMetadata(step) {
+  const data = {};
+  for (const [key, value] of Object.entries(step)) {
+    if (STEP_STRUCTURE.has(key) || (key === 'discardedArg' && value === null)) continue;
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+      data[key] = value;
+    }
+  }
+  return data;
+}
+
+/**
+ * Write a ReductionSession as JSON: every branch, the current step, the
+ * bookmarks and the session's options. Steps keep their fields of type
+ * string, number, boolean or null, so a UI's own notes survive a round trip.
+ *
+ * @param {ReductionSession} session
+ * @param {Object} metadata - Anything JSON can hold, e.g. { name, savedAt };
+ *   deserializeSession returns it unchanged
+ * @returns {string}
+ */
+export function serializeSession(session, metadata = {}) {
+  const table = new NodeTable();
+  const order = [];
+  const index = new Map();
+  const pending = [session.root];
+  while (pending.length > 0) {
+    const step = pending.pop();
+    index.set(step, order.length);
+    order.push(step);
+    for (let i = step.children.length - 1; i >= 0; i--) {
+      pending.push(step.children[i]);
+    }
+  }
+
+  const steps = order.map(step => {
+    const saved = { parent: step.parent === null ? null : index.get(step.parent), term: table.add(step.expr) };
+    if (step.reducedId !== null) saved.redex = step.reducedId;
+    if (step.kind !== null) saved.kind = step.kind;
+    // A step reduced from a term that was renumbered afterwards
+    if (step.reducedFrom !== null && step.reducedFrom !== step.parent.expr) saved.from = table.add(step.reducedFrom);
+    if (step.activeChild !== null) saved.activeChild = index.get(step.activeChild);
+    const data = stepMetadata(step);
+    if (Object.keys(data).length > 0) saved.data = data;
+    return saved;
+  });
+
+  return formatDocument({
+    format: SESSION_FORMAT,
+    version: FORMAT_VERSION,
+    metadata,
+    options: Object.fromEntries(SESSION_OPTIONS.filter(key => key in session.options).map(key => [key, session.options[key]])),
+    current: index.get(session.current),
+    bookmarks: session.bookmarks.map(({ name, step }) => ({ name, step: index.get(step) })),
+    steps,
+    nodes: table.nodes
+  });
+}
+
+// ============================================================================
+// Reading
+// ============================================================================
+
+const describeValue = value => value === undefined ? 'nothing' : JSON.stringify(value);
+
+function expect(condition, message, path) {
+  if (!condition) {
+    throw new SerializationError(message, path);
+  }
+}
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isIndex = (value, limit) => Number.isInteger(value) && value >= 0 && value < limit;
+const isName = value => typeof value === 'string' && value !== '';
+
+function readDocument(input, format) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch (e) {
+      throw new SerializationError(`Not valid JSON (${e.message})`);
+    }
+  }
+  expect(isObject(doc), `Expected a JSON object, got ${describeValue(doc)}`, null);
+  expect(doc.format === format, `Expected '${format}', got ${describeValue(doc.format)}`, 'format');
+  expect(Number.isInteger(doc.version) && doc.version >= 1, `Expected a version number, got ${describeValue(doc.version)}`, 'version');
+  expect(doc.version <= FORMAT_VERSION, `Version ${doc.version} is newer than this program reads (${FORMAT_VERSION})`, 'version');
+  expect(Array.isArray(doc.nodes), `Expected an array of nodes, got ${describeValue(doc.nodes)}`, 'nodes');
+  return doc;
+}
+
+// Build the node table; each node's children are earlier entries
+function readNodes(entries) {
+  const nodes = [];
+  entries.forEach((entry, i) => {
+    const path = `nodes[${i}]`;
+    const child = (key) => {
+      expect(isIndex(entry[key], i), `Expected the index of an earlier node, got ${describeValue(entry[key])}`, `${path}.${key}`);
+      return nodes[entry[key]];
+    };
+    const optional = (key, check, what) => {
+      if (entry[key] === undefined) return null;
+      expect(check(entry[key]), `Expected ${what}, got ${describeValue(entry[key])}`, `${path}.${key}`);
+      return entry[key];
+    };
+    const redexId = () => optional('id', value => Number.isInteger(value) && value > 0, 'a positive redex ID');
+    expect(isObject(entry), `Expected a node object, got ${describeValue(entry)}`, path);
+
+    const fromSubstitution = optional('fromSubstitution', value => typeof value === 'boolean', 'true or false') ?? false;
+    const sourceId = optional('sourceId', Number.isInteger, 'a redex ID');
+    let node;
+    switch (entry.type) {
+      case 'variable':
+        expect(isName(entry.name), `Expected a variable name, got ${describeValue(entry.name)}`, `${path}.name`);
+        node = new Variable(entry.name, fromSubstitution, sourceId);
+        break;
+      case 'abstraction': {
+        expect(isName(entry.param), `Expected a parameter name, got ${describeValue(entry.param)}`, `${path}.param`);
+        const renaming = optional('renaming', value => isObject(value) &&
+          ['from', 'to', 'captured', 'variable'].every(key => isName(value[key])) &&
+          (value.sourceId === null || Number.isInteger(value.sourceId)),
+          'a renaming { from, to, captured, variable, sourceId }');
+        node = new Abstraction(entry.param, child('body'), fromSubstitution, sourceId, redexId(),
+          renaming && { from: renaming.from, to: renaming.to, captured: renaming.captured, variable: renaming.variable, sourceId: renaming.sourceId });
+        break;
+      }
+      case 'application':
+        node = new Application(child('func'), child('arg'), redexId(), fromSubstitution, sourceId);
+        break;
+      case 'thunk':
+        expect(isName(entry.label), `Expected a thunk label, got ${describeValue(entry.label)}`, `${path}.label`);
+        node = new Thunk(child('expr'), entry.label);
+        break;
+      default:
+        throw new SerializationError(`Unknown node type ${describeValue(entry.type)}`, `${path}.type`);
+    }
+    nodes.push(node);
+  });
+  return nodes;
+}
+
+/**
+ * Read a term written by serializeTerm.
+ * @param {string|Object} input - The JSON text, or the parsed document
+ * @throws {SerializationError} If the input is not a valid term document
+ */
+export function deserializeTerm(input) {
+  const doc = readDocument(input, TERM_FORMAT);
+  const nodes = readNodes(doc.nodes);
+  expect(isIndex(doc.root, nodes.length), `Expected the index of a node, got ${describeValue(doc.root)}`, 'root');
+  return nodes[doc.root];
+}
+
+/**
+ * Read a session written by serializeSession. Reduction steps get their
+ * linking info back, so the highlighting is the same as before saving.
+ *
+ * @param {string|Object} input - The JSON text, or the parsed document
+ * @param {Object} options - The session's options object, e.g. a UI's own
+ *   settings; the saved eta and combinators options are copied into it
+ *   (default: a new object)
+ * @returns {{ session: ReductionSession, metadata: Object }}
+ * @throws {SerializationError} If the input is not a valid session document,
+ *   e.g. a step reduces a redex its parent does not have or an option is unknown
+ */
+export function deserializeSession(input, { options = {} } = {}) {
+  const doc = readDocument(input, SESSION_FORMAT);
+  const nodes = readNodes(doc.nodes);
+  const term = (value, path) => {
+    expect(isIndex(value, nodes.length), `Expected the index of a node, got ${describeValue(value)}`, path);
+    return nodes[value];
+  };
+
+  expect(doc.metadata === undefined || isObject(doc.metadata), `Expected an object, got ${describeValue(doc.metadata)}`, 'metadata');
+  expect(isObject(doc.options), `Expected an object, got ${describeValue(doc.options)}`, 'options');
+  for (const [key, value] of Object.entries(doc.options)) {
+    expect(SESSION_OPTIONS.includes(key), `Unknown option (expected one of: ${SESSION_OPTIONS.join(', ')})`, `options.${key}`);
+    expect(typeof value === 'boolean', `Expected true or false, got ${describeValue(value)}`, `options.${key}`);
+  }
+  expect(Array.isArray(doc.steps) && doc.steps.length > 0, `Expected a non-empty array of steps, got ${describeValue(doc.steps)}`, 'steps');
+
+  const [first, ...rest] = doc.steps;
+  expect(isObject(first) && first.parent === null, 'The first step is the start and has parent null', 'steps[0]');
+  const session = new ReductionSession(term(first.term, 'steps[0].term'), Object.assign(options, doc.options));
+  session.replaceCurrent(nodes[first.term]);
+  const steps = [session.root];
+
+  rest.forEach((saved, i) => {
+    const path = `steps[${i + 1}]`;
+    expect(isObject(saved), `Expected a step object, got ${describeValue(saved)}`, path);
+    expect(isIndex(saved.parent, i + 1), `Expected the index of an earlier step, got ${describeValue(saved.parent)}`, `${path}.parent`);
+    expect(saved.kind === undefined || typeof saved.kind === 'string', `Expected a string, got ${describeValue(saved.kind)}`, `${path}.kind`);
+    expect(saved.redex === undefined || (Number.isInteger(saved.redex) && saved.redex > 0), `Expected a positive redex ID, got ${describeValue(saved.redex)}`, `${path}.redex`);
+
+    const parent = steps[saved.parent];
+    const expr = term(saved.term, `${path}.term`);
+    const fields = { kind: saved.kind ?? null };
+    if (saved.redex !== undefined) {
+      fields.reducedId = saved.redex;
+      // Lambda steps get what performStep gave them; other kinds (combinator
+      // rules, ...) only keep the ID
+      if (saved.kind === 'beta' || saved.kind === 'eta') {
+        const from = saved.from === undefined ? parent.expr : term(saved.from, `${path}.from`);
+        const redex = getRedex(from, saved.redex);
+        expect(redex !== null, `Step ${saved.parent} has no redex ${saved.redex}`, `${path}.redex`);
+        const linkingInfo = getFullLinkingInfo(from, expr, saved.redex);
+        Object.assign(fields, {
+          linkingInfo,
+          discardedArg: linkingInfo.wasUsed ? null : linkingInfo.sourceArg,
+          stats: { size: termSize(expr), redexCount: getRedexCount(expr) },
+          reducedFrom: from
+        });
+      }
+    }
+    session.goTo(parent);
+    steps.push(session.addStep(expr, fields));
+  });
+
+  // UI fields, branch pointers, bookmarks and the current step
+  doc.steps.forEach((saved, i) => {
+    const path = `steps[${i}]`;
+    if (saved.data !== undefined) {
+      expect(isObject(saved.data), `Expected an object, got ${describeValue(saved.data)}`, `${path}.data`);
+      for (const [key, value] of Object.entries(saved.data)) {
+        expect(!STEP_STRUCTURE.has(key), `'${key}' is kept by the session itself`, `${path}.data.${key}`);
+        expect(!UNSAFE_FIELDS.has(key), `'${key}' cannot be a step field`, `${path}.data.${key}`);
+        expect(value === null || ['string', 'number', 'boolean'].includes(typeof value),
+          `Expected a string, number, boolean or null, got ${describeValue(value)}`, `${path}.data.${key}`);
+        steps[i][key] = value;
+      }
+    }
+    steps[i].activeChild = null;
+    if (saved.activeChild !== undefined) {
+      const child = steps[saved.activeChild];
+      expect(child !== undefined && child.parent === steps[i], `Expected the index of a child step, got ${describeValue(saved.activeChild)}`, `${path}.activeChild`);
+      steps[i].activeChild = child;
+    }
+  });
+
+  const bookmarks = doc.bookmarks ?? [];
+  expect(Array.isArray(bookmarks), `Expected an array, got ${describeValue(bookmarks)}`, 'bookmarks');
+  bookmarks.forEach((bookmark, i) => {
+    expect(isObject(bookmark) && typeof bookmark.name === 'string' && bookmark.name.trim() !== '',
+      `Expected { name, step } with a name, got ${describeValue(bookmark)}`, `bookmarks[${i}]`);
+    expect(isIndex(bookmark.step, steps.length), `Expected the index of a step, got ${describeValue(bookmark.step)}`, `bookmarks[${i}].step`);
+    session.bookmark(bookmark.name, steps[bookmark.step]);
+  });
+
+  expect(isIndex(doc.current, steps.length), `Expected the index of a step, got ${describeValue(doc.current)}`, 'current');
+  session.goTo(steps[doc.current]);
+  return { session, metadata: doc.metadata ?? {} };
+}
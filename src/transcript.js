@@ -0,0 +1,315 @@
+// ============================================================================
+// Transcripts - A Reduction History as LaTeX, Markdown or Standalone HTML
+// ============================================================================
+//
+// A transcript lists the steps of one branch, each with how it was made.
+// LaTeX and HTML show the marks the interactive renderers show: subterms a
+// step substituted, the uses of the parameter the next step replaces, the
+// redex it contracts and binders renamed to avoid capture. They come from
+// the fromSubstitution / sourceId marks and redex IDs on each step's term,
+// and from the next step's linking info. Markdown has no colours, so it
+// gives each numbered step's term in plain text with the same notes.
+
+import { readFileSync } from 'fs';
+import {
+  parse,
+  prettyPrint,
+  clearSubstitutionMarks,
+  needsParens,
+  childPositions,
+  getRedex,
+  getParameterUses,
+  run,
+} from './kernel.js';
+
+export const TRANSCRIPT_FORMATS = ['latex', 'markdown', 'html'];
+
+// The web UI's stylesheet, embedded in HTML transcripts
+const STYLESHEET = new URL('../docs/style.css', import.meta.url);
+
+// ============================================================================
+// Steps
+// ============================================================================
+
+// What one step did, e.g. 'reduced [2]' or 'η-expanded' (null for the start)
+function describeStep(step) {
+  switch (step.kind) {
+    case 'start': return null;
+    case 'beta': return `reduced [${step.reducedId}]`;
+    case 'eta': return `η-reduced [${step.reducedId}]`;
+    case 'eta-expand': return 'η-expanded';
+    case 'combinator': return `reduced [${step.reducedId}]${step.rule ? `: ${step.rule}` : ''}`;
+    case 'to-combinators': return 'compiled to combinators';
+    case 'to-lambda': return 'combinators → λ';
+    case undefined:
+    case null:
+      return step.reducedId == null ? null : `reduced [${step.reducedId}]`;
+    default: return step.kind;
+  }
+}
+
+// The parameter uses the next step replaces, as nodes of step.expr
+function parameterUsesFor(step, next) {
+  if (next === undefined || next.reducedId == null) return new Set();
+  if (next.linkingInfo) return new Set(next.linkingInfo.parameterUses);
+  if (next.kind !== undefined && next.kind !== null && next.kind !== 'beta' && next.kind !== 'eta') return new Set();
+  const redex = getRedex(step.expr, next.reducedId);
+  return new Set(redex === null ? [] : getParameterUses(redex));
+}
+
+// Everything a format needs to show step i of steps
+function describeSteps(steps) {
+  return steps.map((step, i) => {
+    const next = steps[i + 1];
+    const discarded = step.discardedArg ?? null;
+    return {
+      label: (step.stepNum ?? i) === 0 ? 'Start' : `Step ${step.stepNum ?? i}`,
+      number: step.stepNum ?? i,
+      expr: step.expr,
+      action: describeStep(step),
+      // The web UI keeps discarded arguments as strings
+      discarded: discarded === null ? null : typeof discarded === 'string' ? parse(discarded) : clearSubstitutionMarks(discarded),
+      renames: step.linkingInfo?.alphaRenames ?? [],
+      nextRedex: next?.reducedId ?? null,
+      parameterUses: parameterUsesFor(step, next),
+    };
+  });
+}
+
+// ============================================================================
+// Marked Terms
+// ============================================================================
+
+// Lay a term out like prettyPrint (stack-safe, through run), letting `markup` decorate each part:
+//   name(text), parameter(name), thunk(label), lambda(params, body) with
+//   params as [{ text, renamed }], space, paren(text, depth),
+//   substituted(inner), redex(inner) and argument(inner) for the redex
+//   the next step contracts and its argument.
+function renderMarked(expr, markup, { nextRedex = null, parameterUses = new Set() } = {}) {
+  function* layout(term, depth, position, inSubstitution) {
+    if (term.fromSubstitution && !inSubstitution) {
+      return markup.substituted(yield layout(term, depth, position, true));
+    }
+    let text = needsParens(term, position)
+      ? markup.paren('(', depth) + (yield layoutTerm(term, depth, 'top', inSubstitution)) + markup.paren(')', depth)
+      : yield layoutTerm(term, depth, position, inSubstitution);
+    if (nextRedex !== null && term.id === nextRedex && term.type !== 'variable') {
+      text = markup.redex(text);
+    }
+    return text;
+  }
+
+  function* layoutTerm(term, depth, position, inSubstitution) {
+    switch (term.type) {
+      case 'variable':
+        return parameterUses.has(term) ? markup.parameter(markup.name(term.name)) : markup.name(term.name);
+      case 'thunk':
+        return markup.thunk(term.label);
+      case 'abstraction': {
+        // λx y.body, unless a substitution, renaming or redex starts at an inner lambda
+        const lambdas = [term];
+        let body = term.body;
+        while (body.type === 'abstraction' && body.fromSubstitution === term.fromSubstitution &&
+          (nextRedex === null || body.id !== nextRedex)) {
+          lambdas.push(body);
+          body = body.body;
+        }
+        const params = lambdas.map(lambda => ({ text: markup.name(lambda.param), renamed: lambda.renaming !== null }));
+        return markup.lambda(params, yield layout(body, depth, 'top', inSubstitution));
+      }
+      case 'application': {
+        const children = childPositions(position);
+        const func = yield layout(term.func, depth + 1, children.func, inSubstitution);
+        let arg = yield layout(term.arg, depth + 1, children.arg, inSubstitution);
+        if (nextRedex !== null && term.id === nextRedex) arg = markup.argument(arg);
+        return func + markup.space + arg;
+      }
+    }
+  }
+
+  return run(layout(expr, 0, 'top', false));
+}
+
+// ============================================================================
+// LaTeX
+// ============================================================================
+
+const LATEX_SPECIALS = { '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', '$': '\\$', '&': '\\&', '#': '\\#', '%': '\\%', '_': '\\_', '^': '\\^{}', '~': '\\~{}' };
+const LATEX_SYMBOLS = { 'λ': '$\\lambda$', 'η': '$\\eta$', 'α': '$\\alpha$', '→': '$\\to$' };
+
+function latexText(text) {
+  return text.replace(/[\\{}$&#%_^~ληα→]/g, char => LATEX_SPECIALS[char] ?? LATEX_SYMBOLS[char]);
+}
+
+// Terms are set in math mode
+const LATEX_MARKUP = {
+  name: name => `\\mathit{${name.replace(/_/g, '\\_')}}`,
+  parameter: text => `\\textcolor{parameter}{${text}}`,
+  thunk: label => `\\mathsf{${label}}`,
+  lambda: (params, body) => `\\lambda ${params.map(({ text, renamed }) => renamed ? `\\textcolor{renamed}{${text}}` : text).join('\\,')}.${body}`,
+  space: '\\ ',
+  paren: text => text,
+  substituted: text => `\\textcolor{substituted}{${text}}`,
+  redex: text => `\\underline{${text}}`,
+  argument: text => text,
+};
+
+const latexTerm = (expr, marks) => `$${renderMarked(expr, LATEX_MARKUP, marks)}$`;
+
+function toLatex(steps, title) {
+  const items = steps.map(step => {
+    const notes = [];
+    if (step.action !== null) notes.push(latexText(step.action));
+    if (step.discarded !== null) notes.push(`discarded ${latexTerm(step.discarded)}`);
+    for (const { from, to, captured, variable } of step.renames) {
+      notes.push(`$\\alpha$: renamed $\\lambda ${LATEX_MARKUP.name(from)}$ to $\\lambda ${LATEX_MARKUP.name(to)}$ so the free ` +
+        `$${LATEX_MARKUP.name(captured)}$ in the argument for $${LATEX_MARKUP.name(variable)}$ is not captured`);
+    }
+    const line = `  \\item[${step.label}] ${latexTerm(step.expr, step)}`;
+    return notes.length === 0 ? line : `${line}\n    \\hfill {\\small ${notes.join('; ')}}`;
+  });
+  return [
+    '\\documentclass{article}',
+    '\\usepackage[utf8]{inputenc}',
+    '\\usepackage{xcolor}',
+    '% Substituted subterms, the parameter uses the next step replaces, renamed binders',
+    '\\definecolor{substituted}{HTML}{B22222}',
+    '\\definecolor{parameter}{HTML}{1E60A0}',
+    '\\definecolor{renamed}{HTML}{2E8B57}',
+    '\\begin{document}',
+    `\\section*{${latexText(title)}}`,
+    'The redex each step contracts is underlined in the step before it.',
+    '\\begin{description}',
+    ...items,
+    '\\end{description}',
+    '\\end{document}',
+    ''
+  ].join('\n');
+}
+
+// ============================================================================
+// Markdown
+// ============================================================================
+
+// A code span that holds any text, however many backticks it contains
+function codeSpan(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) ?? []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return longest > 0 || text.startsWith(' ') ? `${fence} ${text} ${fence}` : `${fence}${text}${fence}`;
+}
+
+function toMarkdown(steps, title) {
+  const plain = expr => codeSpan(prettyPrint(clearSubstitutionMarks(expr)));
+  const items = steps.map(step => {
+    const notes = [];
+    if (step.action !== null) notes.push(step.action);
+    if (step.discarded !== null) notes.push(`discarded ${plain(step.discarded)}`);
+    for (const { from, to, captured, variable } of step.renames) {
+      notes.push(`α: renamed λ${from} to λ${to} so the free ${captured} in the argument for ${variable} is not captured`);
+    }
+    return `${step.number}. ${plain(step.expr)}${notes.length > 0 ? ` — ${notes.join('; ')}` : ''}`;
+  });
+  return `# ${title}\n\n${items.join('\n')}\n`;
+}
+
+// ============================================================================
+// HTML
+// ============================================================================
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// The boxes and rainbow parentheses of the web UI, with its class names
+const HTML_MARKUP = {
+  name: escapeHtml,
+  parameter: text => `<span class="param-use-box">${text}</span>`,
+  thunk: label => `<span class="thunk-label">${escapeHtml(label)}</span>`,
+  lambda: (params, body) => {
+    const binders = params.map(({ text, renamed }) => renamed ? `<span class="renamed-binder">${text}</span>` : text);
+    return `λ${binders.join(' ')}.${body}`;
+  },
+  space: ' ',
+  paren: (text, depth) => `<span class="paren depth-${depth % 7}">${text}</span>`,
+  substituted: text => `<span class="substitution-box">${text}</span>`,
+  redex: text => text,
+  argument: text => `<span class="arg source-highlight">${text}</span>`,
+};
+
+// The stylesheet is laid out for the app's scrolling conversation; a
+// transcript is one long page
+const TRANSCRIPT_CSS = `
+body { height: auto; display: block; }
+.conversation { overflow: visible; }
+.message { break-inside: avoid; }
+`;
+
+function toHtml(steps, title, stylesheet) {
+  const messages = steps.map(step => {
+    const header = [`<span class="step-badge">${step.label}</span>`];
+    if (step.action !== null) {
+      header.push(`<span class="reduction-info${step.action.startsWith('η') ? ' eta-info' : ''}">${escapeHtml(step.action)}</span>`);
+    }
+    if (step.discarded !== null) {
+      header.push(`<span class="discarded-arg"><span class="discarded-label">discarded:</span> <code>${escapeHtml(prettyPrint(step.discarded))}</code></span>`);
+    }
+    for (const { from, to, captured, variable } of step.renames) {
+      const note = `Renamed so the free ${captured} in the argument for ${variable} is not captured`;
+      header.push(`<span class="reduction-info alpha-info" title="${escapeHtml(note)}">α: λ${escapeHtml(from)} → λ${escapeHtml(to)}</span>`);
+    }
+    return [
+      '    <div class="message">',
+      `      <div class="message-header">${header.join('')}</div>`,
+      `      <div class="expression-content"><pre class="expression-pre">${renderMarked(step.expr, HTML_MARKUP, step)}</pre></div>`,
+      '    </div>'
+    ].join('\n');
+  });
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '  <meta charset="UTF-8">',
+    `  <title>${escapeHtml(title)}</title>`,
+    `  <style>\n${stylesheet}${TRANSCRIPT_CSS}  </style>`,
+    '</head>',
+    '<body>',
+    `  <div class="header"><h1>${escapeHtml(title)}</h1></div>`,
+    '  <div class="conversation">',
+    ...messages,
+    '  </div>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * Write a reduction history as a document for handouts.
+ *
+ * @param {Array} steps - Steps in order, e.g. session.steps or the steps of
+ *   normalize(): { expr, reducedId } with kind, stepNum, linkingInfo and
+ *   discardedArg used when present
+ * @param {string} format - 'latex', 'markdown' or 'html'
+ * @param {Object} options - { title } (default: 'Reduction of <first term>')
+ *   and, for HTML, { stylesheet } (default: docs/style.css)
+ * @returns {string} A complete LaTeX document, Markdown text or HTML page
+ */
+export function exportTranscript(steps, format, { title = null, stylesheet = null } = {}) {
+  if (!TRANSCRIPT_FORMATS.includes(format)) {
+    throw new Error(`Unknown transcript format '${format}' (expected one of: ${TRANSCRIPT_FORMATS.join(', ')})`);
+  }
+  if (steps.length === 0) {
+    throw new Error('A transcript needs at least one step');
+  }
+  const heading = title ?? `Reduction of ${prettyPrint(clearSubstitutionMarks(steps[0].expr))}`;
+  const described = describeSteps(steps);
+  switch (format) {
+    case 'latex': return toLatex(described, heading);
+    case 'markdown': return toMarkdown(described, heading);
+    case 'html': return toHtml(described, heading, stylesheet ?? readFileSync(STYLESHEET, 'utf8'));
+  }
+}
@@ -0,0 +1,277 @@
+// ============================================================================
+// Type Inference - Hindley-Milner (Algorithm W) for the kernel's AST
+// ============================================================================
+//
+// The AST has no `let`, so every lambda-bound variable is monomorphic: this
+// is the simply typed fragment of Hindley-Milner, and why self-application
+// (x x, and with it Omega and Y) has no type.
+
+import { run } from './kernel.js';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+// Type nodes:
+//   { kind: 'var', id }            - type variable, printed a, b, c, ...
+//   { kind: 'const', name }        - opaque type of a free term variable
+//   { kind: 'fn', from, to }       - function type from -> to
+
+export const TYPE_ERRORS = {
+  MISMATCH: 'type-mismatch',
+  INFINITE_TYPE: 'infinite-type',
+};
+
+const typeVar = (id) => ({ kind: 'var', id });
+const typeConst = (name) => ({ kind: 'const', name });
+const fnType = (from, to) => ({ kind: 'fn', from, to });
+
+// Free term variables get a type constant named after them: f -> F, succ -> Succ.
+// Names that differ only in case would share a constant, so later ones are numbered: a -> A, A -> A2
+function constantNamer() {
+  const names = new Map();
+  const taken = new Set();
+  return variableName => {
+    if (!names.has(variableName)) {
+      const base = variableName[0].toUpperCase() + variableName.slice(1);
+      let name = base;
+      for (let n = 2; taken.has(name); n++) name = `${base}${n}`;
+      names.set(variableName, name);
+      taken.add(name);
+    }
+    return names.get(variableName);
+  };
+}
+
+function typeVarName(index) {
+  const letter = String.fromCharCode(97 + (index % 26));
+  return index < 26 ? letter : `${letter}${Math.floor(index / 26)}`;
+}
+
+/**
+ * Print a type with its type variables renamed a, b, c, ... in order of
+ * first appearance. Arrows associate to the right: a → b → a.
+ * Pass a shared `names` map to keep names consistent across several types.
+ */
+export function typeToString(type, names = new Map()) {
+  function* print(type) {
+    switch (type.kind) {
+      case 'var':
+        if (!names.has(type.id)) {
+          names.set(type.id, typeVarName(names.size));
+        }
+        return names.get(type.id);
+      case 'const':
+        return type.name;
+      case 'fn': {
+        const from = yield print(type.from);
+        const to = yield print(type.to);
+        return type.from.kind === 'fn' ? `(${from}) → ${to}` : `${from} → ${to}`;
+      }
+    }
+  }
+  return run(print(type));
+}
+
+// ============================================================================
+// Substitutions
+// ============================================================================
+
+// A substitution maps type variable ids to types. Substitutions are kept
+// idempotent: no id in the domain occurs in any type in the range.
+// Types of deep terms are deep too, so the traversals below go through run().
+
+function* substIn(subst, type) {
+  switch (type.kind) {
+    case 'var':
+      return subst.has(type.id) ? subst.get(type.id) : type;
+    case 'const':
+      return type;
+    case 'fn':
+      return fnType(yield substIn(subst, type.from), yield substIn(subst, type.to));
+  }
+}
+
+function applySubst(subst, type) {
+  // Most types in a substitution are leaves, which need no traversal
+  if (type.kind === 'var') {
+    return subst.has(type.id) ? subst.get(type.id) : type;
+  }
+  return type.kind === 'fn' ? run(substIn(subst, type)) : type;
+}
+
+// compose(s2, s1) applies s1 first, then s2
+function compose(s2, s1) {
+  const result = new Map();
+  for (const [id, type] of s1) {
+    result.set(id, applySubst(s2, type));
+  }
+  for (const [id, type] of s2) {
+    if (!result.has(id)) {
+      result.set(id, type);
+    }
+  }
+  return result;
+}
+
+function occursIn(id, type) {
+  const pending = [type];
+  while (pending.length > 0) {
+    const t = pending.pop();
+    if (t.kind === 'var' && t.id === id) {
+      return true;
+    }
+    if (t.kind === 'fn') {
+      pending.push(t.to, t.from);
+    }
+  }
+  return false;
+}
+
+// Raised by unify; inferType adds the application being typed (node) and
+// the substitution in force (subst) before turning it into an error result
+class UnificationError extends Error {
+  constructor(code, left, right) {
+    super(code);
+    this.code = code;
+    this.left = left;
+    this.right = right;
+    this.node = null;
+    this.subst = new Map();
+  }
+}
+
+// Most general unifier of two types
+function* unifier(left, right) {
+  if (left.kind === 'var' && right.kind === 'var' && left.id === right.id) {
+    return new Map();
+  }
+  if (left.kind === 'var') {
+    return bindVar(left, right);
+  }
+  if (right.kind === 'var') {
+    return bindVar(right, left);
+  }
+  if (left.kind === 'const' && right.kind === 'const' && left.name === right.name) {
+    return new Map();
+  }
+  if (left.kind === 'fn' && right.kind === 'fn') {
+    const s1 = yield unifier(left.from, right.from);
+    const s2 = yield unifier(applySubst(s1, left.to), applySubst(s1, right.to));
+    return compose(s2, s1);
+  }
+  throw new UnificationError(TYPE_ERRORS.MISMATCH, left, right);
+}
+
+function unify(left, right) {
+  return run(unifier(left, right));
+}
+
+function bindVar(variable, type) {
+  if (occursIn(variable.id, type)) {
+    throw new UnificationError(TYPE_ERRORS.INFINITE_TYPE, variable, type);
+  }
+  return new Map([[variable.id, type]]);
+}
+
+// ============================================================================
+// Algorithm W
+// ============================================================================
+
+/**
+ * Infer the principal type of a term.
+ *
+ * Returns { ok: true, type, subtermTypes } or { ok: false, error, subtermTypes }.
+ * subtermTypes maps each AST node to its type (under the final substitution;
+ * on failure only the nodes typed before the error are present).
+ * error = { code, message, expr, left, right }: expr is the application
+ * whose function and argument types could not be unified, left/right the
+ * clashing types as strings (code is one of TYPE_ERRORS). Free variables are typed as constants, so
+ * `f x` with both free fails: F is not a function type.
+ */
+export function inferType(expr) {
+  let nextId = 0;
+  const fresh = () => typeVar(nextId++);
+  const constantName = constantNamer();
+  const recorded = [];
+
+  // W(env, e) = [substitution, type], a generator driven by run() so deep
+  // terms do not overflow the stack
+  function* infer(env, e) {
+    let result;
+    switch (e.type) {
+      case 'variable':
+        result = [new Map(), env.has(e.name) ? env.get(e.name) : typeConst(constantName(e.name))];
+        break;
+
+      case 'abstraction': {
+        const paramType = fresh();
+        const bodyEnv = new Map(env);
+        bodyEnv.set(e.param, paramType);
+        const [s1, bodyType] = yield infer(bodyEnv, e.body);
+        result = [s1, fnType(applySubst(s1, paramType), bodyType)];
+        break;
+      }
+
+      case 'application': {
+        const [s1, funcType] = yield infer(env, e.func);
+        const argEnv = new Map([...env].map(([name, type]) => [name, applySubst(s1, type)]));
+        const [s2, argType] = yield infer(argEnv, e.arg);
+        const resultType = fresh();
+        let s3;
+        try {
+          s3 = unify(applySubst(s2, funcType), fnType(argType, resultType));
+        } catch (err) {
+          if (err instanceof UnificationError && err.node === null) {
+            err.node = e;
+            err.subst = compose(s2, s1);
+          }
+          throw err;
+        }
+        result = [compose(s3, compose(s2, s1)), applySubst(s3, resultType)];
+        break;
+      }
+    }
+    recorded.push([e, result[1]]);
+    return result;
+  }
+
+  // Apply the final substitution to every recorded subterm type
+  const collect = (subst) => {
+    const subtermTypes = new Map();
+    for (const [node, type] of recorded) {
+      subtermTypes.set(node, applySubst(subst, type));
+    }
+    return subtermTypes;
+  };
+
+  try {
+    const [subst, type] = run(infer(new Map(), expr));
+    return { ok: true, type, subtermTypes: collect(subst) };
+  } catch (err) {
+    if (!(err instanceof UnificationError)) {
+      throw err;
+    }
+    return { ok: false, error: describeFailure(err), subtermTypes: collect(err.subst) };
+  }
+}
+
+function describeFailure(err) {
+  const names = new Map();
+  const left = typeToString(applySubst(err.subst, err.left), names);
+  const right = typeToString(applySubst(err.subst, err.right), names);
+
+  const message = err.code === TYPE_ERRORS.INFINITE_TYPE
+    ? `Cannot construct the infinite type ${left} = ${right}`
+    : `Cannot match ${left} with ${right}`;
+
+  return { code: err.code, message, expr: err.node, left, right };
+}
+
+/**
+ * The principal type as a string, or null if the term has no type.
+ */
+export function typeString(expr) {
+  const result = inferType(expr);
+  return result.ok ? typeToString(result.type) : null;
+}
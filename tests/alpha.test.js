@@ -0,0 +1,132 @@
+// Tests for alpha-equivalence and de Bruijn conversion
+// Run with: node tests/alpha.test.js
+
+import fc from 'fast-check';
+import assert from 'assert';
+import {
+  parse,
+  toPlainString,
+  numberRedexes,
+  reduceAt,
+  freeVariables,
+  toDeBruijn,
+  fromDeBruijn,
+  deBruijnToString,
+  alphaEquivalent,
+  Variable,
+  Abstraction,
+  Application,
+} from '../src/kernel.js';
+
+// Generate a random AST over a small alphabet so that shadowing and capture happen often
+const nameArb = fc.constantFrom('x', 'y', 'z', "x'");
+
+function astArb(maxDepth) {
+  const variableArb = nameArb.map(name => new Variable(name));
+  if (maxDepth <= 0) {
+    return variableArb;
+  }
+  return fc.oneof(
+    variableArb,
+    fc.tuple(nameArb, astArb(maxDepth - 1)).map(([param, body]) => new Abstraction(param, body)),
+    fc.tuple(astArb(maxDepth - 1), astArb(maxDepth - 1)).map(([func, arg]) => new Application(func, arg))
+  );
+}
+
+console.log('Testing alpha-equivalence and de Bruijn indices...\n');
+
+// ============================================================================
+// Test 1: Conversion to nameless form
+// ============================================================================
+console.log('Test 1: toDeBruijn');
+{
+  const cases = [
+    ['\\x.x', 'λ.0'],
+    ['\\x.\\y.x', 'λ.λ.1'],
+    ['\\x.\\y.x y', 'λ.λ.(1 0)'],
+    ['\\x.\\x.x', 'λ.λ.0'],
+    ['\\x.x y', 'λ.(0 y)'],
+    ['(\\x.x x) (\\x.x x)', '((λ.(0 0)) (λ.(0 0)))'],
+  ];
+
+  for (const [input, expected] of cases) {
+    assert.strictEqual(deBruijnToString(toDeBruijn(parse(input))), expected, `Nameless form of ${input}`);
+    console.log(`  "${input}" -> "${expected}"`);
+  }
+
+  const term = toDeBruijn(parse('\\f.f free'));
+  assert.strictEqual(term.type, 'lambda', 'Abstraction becomes lambda');
+  assert.strictEqual(term.hint, 'f', 'Parameter name kept as hint');
+  assert.deepStrictEqual(term.body.arg, { type: 'free', name: 'free' }, 'Free variable keeps its name');
+
+  console.log('  ✓ toDeBruijn test passed\n');
+}
+
+// ============================================================================
+// Test 2: alphaEquivalent
+// ============================================================================
+console.log('Test 2: alphaEquivalent');
+{
+  assert(alphaEquivalent(parse('\\x.x'), parse('\\y.y')), 'Identity under renaming');
+  assert(alphaEquivalent(parse('\\x.\\y.x'), parse('\\a.\\b.a')), 'K under renaming');
+  assert(!alphaEquivalent(parse('\\x.\\y.x'), parse('\\x.\\y.y')), 'K is not KI');
+  assert(!alphaEquivalent(parse('\\x.y'), parse('\\x.z')), 'Free variables must match');
+  assert(!alphaEquivalent(parse('\\x.x'), parse('\\x.y')), 'Bound is not free');
+
+  // Capture-avoiding renaming produces primed names that are still equivalent
+  const expr = numberRedexes(parse('(\\x.\\y.x) y'));
+  const reduced = reduceAt(expr, 1);
+  assert.strictEqual(toPlainString(reduced), "λy'.y", 'Binder was renamed');
+  assert(alphaEquivalent(reduced, parse('\\z.y')), 'Renamed result is λz.y');
+
+  console.log('  ✓ alphaEquivalent test passed\n');
+}
+
+// ============================================================================
+// Test 3: Back from nameless form
+// ============================================================================
+console.log('Test 3: fromDeBruijn');
+{
+  // Original names are reused when they are safe
+  assert.strictEqual(toPlainString(fromDeBruijn(toDeBruijn(parse('\\f.\\x.f x')))), 'λf.λx.(f x)', 'Names restored');
+
+  // Shadowing binders are renamed apart
+  assert.strictEqual(toPlainString(fromDeBruijn(toDeBruijn(parse('\\x.\\x.x')))), "λx.λx'.x'", 'Shadowing removed');
+
+  // Free variables are never captured
+  assert.strictEqual(toPlainString(fromDeBruijn(toDeBruijn(parse('\\y.x')), ['x'])), "λx'.x", 'Capture avoided');
+
+  // Naming hints by depth
+  const named = fromDeBruijn(toDeBruijn(parse('\\a.\\b.\\c.a c')), ['f', 'g', 'h']);
+  assert.strictEqual(toPlainString(named), 'λf.λg.λh.(f h)', 'Names taken from hint');
+
+  assert.throws(() => fromDeBruijn({ type: 'index', index: 0 }), /Unbound de Bruijn index/, 'Unbound index throws');
+
+  console.log('  ✓ fromDeBruijn test passed\n');
+}
+
+// ============================================================================
+// Test 4: Round-trip properties
+// ============================================================================
+console.log('Test 4: Round-trip properties');
+{
+  const result = fc.check(
+    fc.property(astArb(5), (ast) => {
+      const back = fromDeBruijn(toDeBruijn(ast));
+      const sameFree = [...freeVariables(ast)].sort().join() === [...freeVariables(back)].sort().join();
+      return alphaEquivalent(ast, back) && sameFree;
+    }),
+    { numRuns: 1000 }
+  );
+
+  if (result.failed) {
+    console.log('  FAILED!');
+    console.log('  Counterexample:', toPlainString(result.counterexample[0]));
+    process.exit(1);
+  }
+
+  console.log(`  Passed ${result.numRuns} tests`);
+  console.log('  ✓ Round-trip test passed\n');
+}
+
+console.log('All tests passed! ✓');
@@ -0,0 +1,118 @@
+// Tests for Church literals in the parser and readback decoders
+// Run with: node tests/church.test.js
+
+import assert from 'assert';
+import {
+  parse,
+  toPlainString,
+  normalize,
+  churchNumeral,
+  churchBoolean,
+  decodeChurchNumeral,
+  decodeChurchBoolean,
+  decodePair,
+  describeChurchValue,
+  MAX_NUMERAL,
+  LambdaSyntaxError,
+  SYNTAX_ERROR_CODES,
+} from '../src/kernel.js';
+
+// Helper to parse with literal sugar and normalize
+function evaluate(exprString) {
+  return normalize(parse(exprString, { literals: true })).expr;
+}
+
+console.log('Testing Church literals and decoders...\n');
+
+// ============================================================================
+// Test 1: Literal sugar in the parser
+// ============================================================================
+console.log('Test 1: Parser literals');
+{
+  const literals = { literals: true };
+  assert.strictEqual(toPlainString(parse('3', literals)), 'λf.λx.(f (f (f x)))', '3 desugars');
+  assert.strictEqual(toPlainString(parse('0', literals)), 'λf.λx.x', '0 desugars');
+  assert.strictEqual(toPlainString(parse('true', literals)), 'λx.λy.x', 'true desugars');
+  assert.strictEqual(toPlainString(parse('false', literals)), 'λx.λy.y', 'false desugars');
+  assert.strictEqual(toPlainString(parse('f 2 truex', literals)), '((f (λf.λx.(f (f x)))) truex)', 'Literals inside applications');
+
+  // Sugar is opt-in
+  assert.strictEqual(toPlainString(parse('true')), 'true', 'true is a variable by default');
+  assert.throws(() => parse('3'), /Unexpected character/, 'Digits are rejected by default');
+  assert.throws(() => parse('3x', literals), /Expected a number literal/, 'Digits followed by letters');
+
+  // Literals are capped so a long run of digits cannot exhaust memory
+  assert.strictEqual(decodeChurchNumeral(parse(String(MAX_NUMERAL), literals)), MAX_NUMERAL, 'The maximum itself parses');
+  for (const input of [`f ${MAX_NUMERAL + 1}`, 'f 99999999999999999999']) {
+    assert.throws(() => parse(input, literals), (error) => {
+      assert(error instanceof LambdaSyntaxError);
+      assert.strictEqual(error.code, SYNTAX_ERROR_CODES.INVALID_NUMBER);
+      assert.strictEqual(error.offset, 2, 'Points at the literal');
+      assert.strictEqual(error.end, input.length);
+      assert.match(error.message, /too large/);
+      assert.match(error.hint, new RegExp(`up to ${MAX_NUMERAL}`));
+      return true;
+    }, `${input} is rejected`);
+  }
+
+  console.log('  ✓ Parser literals test passed\n');
+}
+
+// ============================================================================
+// Test 2: Numeral and boolean decoders
+// ============================================================================
+console.log('Test 2: Numeral and boolean decoders');
+{
+  for (const n of [0, 1, 2, 7]) {
+    assert.strictEqual(decodeChurchNumeral(churchNumeral(n)), n, `Round-trip ${n}`);
+  }
+  assert.strictEqual(decodeChurchNumeral(parse('\\s.\\z.s (s z)')), 2, 'Any names');
+  assert.strictEqual(decodeChurchNumeral(parse('\\f.\\x.f (g x)')), null, 'Foreign function');
+  assert.strictEqual(decodeChurchNumeral(parse('\\f.\\f.f x')), null, 'Shadowed binder');
+  assert.strictEqual(decodeChurchNumeral(parse('\\x.x')), null, 'Identity is no numeral');
+
+  assert.strictEqual(decodeChurchBoolean(churchBoolean(true)), true, 'TRUE');
+  assert.strictEqual(decodeChurchBoolean(churchBoolean(false)), false, 'FALSE');
+  assert.strictEqual(decodeChurchBoolean(parse('\\a.\\b.a b')), null, 'Not a boolean');
+
+  console.log('  ✓ Decoder test passed\n');
+}
+
+// ============================================================================
+// Test 3: Pairs
+// ============================================================================
+console.log('Test 3: decodePair');
+{
+  const pair = decodePair(evaluate('(\\x.\\y.\\f.f x y) 1 true'));
+  assert(pair, 'Pair recognised');
+  assert.strictEqual(decodeChurchNumeral(pair.first), 1, 'First element');
+  assert.strictEqual(decodeChurchBoolean(pair.second), true, 'Second element');
+  assert.strictEqual(decodePair(parse('\\f.f f b')), null, 'Selector used inside an element');
+
+  console.log('  ✓ decodePair test passed\n');
+}
+
+// ============================================================================
+// Test 4: Describing results of computations
+// ============================================================================
+console.log('Test 4: describeChurchValue');
+{
+  const cases = [
+    ['(\\m.\\n.\\f.m (n f)) 2 3', '6'],
+    ['(\\m.\\n.\\f.\\x.m f (n f x)) 2 3', '5'],
+    ['(\\p.\\q.p q p) true false', '0 / false'],
+    ['(\\p.\\q.p p q) false true', 'true'],
+    ['(\\x.\\y.\\f.f x y) 2 false', 'pair(2, 0 / false)'],
+    ['(\\m.\\n.\\f.m (n f)) 2 3 s z', '6 (s applied 6 times to z)'],
+    ['f x', null],
+  ];
+
+  for (const [input, expected] of cases) {
+    assert.strictEqual(describeChurchValue(evaluate(input)), expected, `Value of ${input}`);
+    console.log(`  "${input}" = ${expected}`);
+  }
+
+  console.log('  ✓ describeChurchValue test passed\n');
+}
+
+console.log('All tests passed! ✓');
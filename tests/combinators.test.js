@@ -0,0 +1,162 @@
+// Tests for bracket abstraction and combinator rewriting
+// Run with: node tests/combinators.test.js
+
+import fc from 'fast-check';
+import assert from 'assert';
+import {
+  parse,
+  prettyPrint,
+  normalize,
+  alphaEquivalent,
+  clearSubstitutionMarks,
+  TERMINATION,
+  Variable,
+  Abstraction,
+  Application,
+} from '../src/kernel.js';
+import {
+  toSKI,
+  combinatorsToLambda,
+  isCombinatorRedex,
+  isCombinatorTerm,
+  numberCombinatorRedexes,
+  reduceCombinatorAt,
+  getCombinatorRedexes,
+  selectCombinatorRedex,
+  normalizeCombinators,
+} from '../src/combinators.js';
+
+// Normal form of a term in either calculus, as a lambda term
+function lambdaNormalForm(expr, options = {}) {
+  const result = normalize(combinatorsToLambda(expr), { maxSteps: 2000, ...options });
+  return result.reason === TERMINATION.NORMAL_FORM ? result.expr : null;
+}
+
+console.log('Testing combinatory logic...\n');
+
+// ============================================================================
+// Test 1: Rewrite rules
+// ============================================================================
+console.log('Test 1: Rewrite rules');
+{
+  const cases = [
+    ['I a', 'a'],
+    ['K a b', 'a'],
+    ['S a b c', 'a c (b c)'],
+    ['B a b c', 'a (b c)'],
+    ['C a b c', 'a c b'],
+  ];
+  for (const [input, expected] of cases) {
+    const numbered = numberCombinatorRedexes(parse(input));
+    assert.strictEqual(prettyPrint(reduceCombinatorAt(numbered, 1)), expected, `${input} → ${expected}`);
+    console.log(`  ${input} → ${expected}`);
+  }
+
+  // Only exact arity is a redex; extra arguments wrap the redex
+  assert.strictEqual(isCombinatorRedex(parse('K a')), false, 'K needs two arguments');
+  assert.strictEqual(isCombinatorRedex(parse('K a b c')), false, 'The redex is K a b');
+  assert.strictEqual(isCombinatorRedex(parse('K a b c').func), true);
+  assert.strictEqual(isCombinatorRedex(parse('x a b')), false, 'Variables are not combinators');
+
+  // Moved arguments are marked as substituted by the redex
+  const reduced = reduceCombinatorAt(numberCombinatorRedexes(parse('S a b c')), 1);
+  assert.strictEqual(reduced.func.arg.fromSubstitution, true);
+  assert.strictEqual(reduced.func.arg.sourceId, 1);
+  assert.notStrictEqual(reduced.func.arg, reduced.arg.arg, 'The duplicated argument is copied');
+  console.log('  ✓ Rewrite rules test passed\n');
+}
+
+// ============================================================================
+// Test 2: Numbering and leftmost-outermost selection
+// ============================================================================
+console.log('Test 2: Redex numbering');
+{
+  const numbered = numberCombinatorRedexes(parse('K (I a) (I b)'));
+  const redexes = getCombinatorRedexes(numbered);
+  assert.deepStrictEqual(redexes.map(r => [r.id, r.kind]), [[1, 'K'], [2, 'I'], [3, 'I']]);
+  assert.strictEqual(selectCombinatorRedex(numbered), 1, 'Outermost first');
+  assert.strictEqual(prettyPrint(reduceCombinatorAt(numbered, 2)), 'K a (I b)', 'Any redex can be chosen');
+
+  const result = normalizeCombinators(parse('S K K x'));
+  assert.deepStrictEqual(result.steps.map(s => prettyPrint(s.expr)), ['S K K x', 'K x (K x)', 'x']);
+  assert.strictEqual(result.reason, TERMINATION.NORMAL_FORM);
+
+  const loop = normalizeCombinators(parse('S I I (S I I)'), { maxSteps: 50 });
+  assert.notStrictEqual(loop.reason, TERMINATION.NORMAL_FORM, 'Omega in combinators does not terminate');
+  console.log('  ✓ Redex numbering test passed\n');
+}
+
+// ============================================================================
+// Test 3: Bracket abstraction
+// ============================================================================
+console.log('Test 3: toSKI');
+{
+  const cases = [
+    ['\\x.x', 'I', 'I'],
+    ['\\x.y', 'K y', 'K y'],
+    ['\\x y.y x', 'S (K (S I)) (S (K K) I)', 'C I'],
+    ['\\f x.f (f x)', 'S (S (K S) (S (K K) I)) (S (S (K S) (S (K K) I)) (K I))', 'S B I'],
+    ['\\x.x x', 'S I I', 'S I I'],
+  ];
+  for (const [input, plain, optimized] of cases) {
+    const expr = parse(input);
+    assert.strictEqual(prettyPrint(toSKI(expr)), plain, `toSKI ${input}`);
+    assert.strictEqual(prettyPrint(toSKI(expr, { optimize: true })), optimized, `optimized ${input}`);
+    assert(isCombinatorTerm(toSKI(expr)), 'No lambda left');
+    console.log(`  ${input} = ${plain} = ${optimized}`);
+  }
+
+  // A bound S is renamed, a free one is rejected
+  assert.strictEqual(prettyPrint(toSKI(parse('\\S.S k'))), 'S I (K k)');
+  assert.throws(() => toSKI(parse('\\x.S x')), /Free variable S clashes/);
+  console.log('  ✓ toSKI test passed\n');
+}
+
+// ============================================================================
+// Test 4: Both calculi compute the same normal forms (property-based)
+// ============================================================================
+console.log('Test 4: Translation preserves meaning');
+{
+  const names = ['x', 'y', 'z'];
+  const termArb = fc.letrec(tie => ({
+    term: fc.oneof(
+      { depthSize: 'small', withCrossShrink: true },
+      fc.constantFrom(...names).map(name => new Variable(name)),
+      fc.tuple(fc.constantFrom(...names), tie('term')).map(([param, body]) => new Abstraction(param, body)),
+      fc.tuple(tie('term'), tie('term')).map(([func, arg]) => new Application(func, arg))
+    ),
+  })).term;
+
+  const result = fc.check(
+    fc.property(termArb, fc.boolean(), (expr, optimize) => {
+      const expected = lambdaNormalForm(expr, { eta: true });
+      if (expected === null) return true;
+
+      // Reading the translation back gives the same term up to beta (and eta when optimized)
+      const translated = toSKI(expr, { optimize });
+      const readBack = lambdaNormalForm(translated, { eta: true });
+      if (readBack === null || !alphaEquivalent(readBack, expected)) return false;
+
+      // Rewriting the combinators first does not change the lambda reading
+      const rewritten = normalizeCombinators(translated, { maxSteps: 500 });
+      if (rewritten.reason !== TERMINATION.NORMAL_FORM) return true;
+      const afterRewrite = lambdaNormalForm(clearSubstitutionMarks(rewritten.expr), { eta: true });
+      return afterRewrite !== null && alphaEquivalent(afterRewrite, expected);
+    }),
+    { numRuns: 200 }
+  );
+
+  if (result.failed) {
+    console.log('  FAILED!');
+    console.log('  Counterexample:', result.counterexample);
+    process.exit(1);
+  }
+  console.log(`  Passed ${result.numRuns} tests`);
+
+  // Without optimization the translation is exact up to beta
+  const plus = parse('(\\m n f x.m f (n f x)) (\\f x.f (f x)) (\\f x.f x)');
+  assert(alphaEquivalent(lambdaNormalForm(toSKI(plus)), lambdaNormalForm(plus)), '2 + 1 = 3 in both calculi');
+  console.log('  ✓ Translation test passed\n');
+}
+
+console.log('All tests passed! ✓');
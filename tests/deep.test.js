@@ -0,0 +1,161 @@
+// Regression tests for very deep terms: the kernel must not overflow the call stack
+// Run with: node tests/deep.test.js
+
+import assert from 'assert';
+import {
+  parse,
+  parseWithDiagnostics,
+  prettyPrint,
+  toPlainString,
+  numberRedexes,
+  reduceAt,
+  freeVariables,
+  substitute,
+  getSubstitutions,
+  getRedexCount,
+  getRedex,
+  selectRedex,
+  termSize,
+  alphaEquivalent,
+  decodeChurchNumeral,
+  normalize,
+  Variable,
+  Application,
+  TERMINATION,
+} from '../src/kernel.js';
+import { inferType, typeToString } from '../src/types.js';
+import { toSKI, isCombinatorTerm, combinatorsToLambda, normalizeCombinators } from '../src/combinators.js';
+import { evaluateByNeed, expandThunks, collectThunks, sharedSize } from '../src/need.js';
+
+// Deep enough that plain recursion overflows Node's default stack many times over
+const DEPTH = 200000;
+
+// λf x.f (f (... (f x))) written with explicit parentheses, DEPTH levels deep
+const numeralSource = `\\f x.${'f ('.repeat(DEPTH)}x${')'.repeat(DEPTH)}`;
+const NUMERAL_SIZE = 2 * DEPTH + 3;
+
+console.log(`Testing terms ${DEPTH} levels deep...\n`);
+
+// ============================================================================
+// Test 1: Parsing
+// ============================================================================
+console.log('Test 1: Deeply nested input parses');
+const numeral = parse(numeralSource);
+{
+  assert.strictEqual(decodeChurchNumeral(numeral), DEPTH);
+  assert.strictEqual(termSize(numeral), NUMERAL_SIZE);
+
+  const lambdas = parse(`${'\\x.'.repeat(DEPTH)}x`);
+  assert.strictEqual(termSize(lambdas), DEPTH + 1);
+
+  const parens = parse(`${'('.repeat(DEPTH)}y${')'.repeat(DEPTH)}`);
+  assert.strictEqual(parens.type, 'variable');
+
+  // Recovery mode reports an error at the bottom of the nesting
+  const { errors } = parseWithDiagnostics(`${'('.repeat(DEPTH)}y #${')'.repeat(DEPTH)}`);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].offset, DEPTH + 2);
+  console.log('  ✓ Parsing test passed\n');
+}
+
+// ============================================================================
+// Test 2: Printing
+// ============================================================================
+console.log('Test 2: Deep terms print and round-trip');
+{
+  const pretty = prettyPrint(numeral);
+  assert(pretty.startsWith('λf x.f (f (f'));
+  assert.strictEqual(pretty.length, 4 * DEPTH + 4);
+  assert(alphaEquivalent(parse(pretty), numeral), 'prettyPrint round-trips');
+  const plain = toPlainString(numeral);
+  assert(plain.startsWith('λf.λx.(f (f (f'));
+  assert.strictEqual(plain.length, 4 * DEPTH + 7);
+  assert.strictEqual(prettyPrint(parse(`${'\\x.'.repeat(DEPTH)}x`), { collapse: false }).length, 3 * DEPTH + 1);
+  console.log('  ✓ Printing test passed\n');
+}
+
+// ============================================================================
+// Test 3: Reduction
+// ============================================================================
+console.log('Test 3: Deep terms reduce');
+{
+  // The deep numeral is the argument: it is copied into the body twice
+  const expr = numberRedexes(parse(`(\\n.n n) (${numeralSource})`));
+  assert.strictEqual(getRedexCount(expr), 1);
+  assert.strictEqual(getRedex(expr, 1), expr);
+  const reduced = reduceAt(expr, 1);
+  assert.strictEqual(termSize(reduced), 2 * NUMERAL_SIZE + 1);
+  assert.strictEqual(getSubstitutions(reduced).get(1).length, 2, 'Both copies are marked as substituted');
+  assert.strictEqual(getRedexCount(reduced), 1, 'N N is a redex again');
+  assert.strictEqual(decodeChurchNumeral(reduced.arg), DEPTH);
+
+  // Substitution under the deep numeral body: replace the free variable at the bottom
+  const open = parse(`${'f ('.repeat(DEPTH)}x${')'.repeat(DEPTH)}`);
+  assert.deepStrictEqual([...freeVariables(open)].sort(), ['f', 'x']);
+  const replaced = substitute(open, 'x', new Variable('z'));
+  assert.deepStrictEqual([...freeVariables(replaced)].sort(), ['f', 'z']);
+
+  // A redex at the very bottom is found by every strategy that looks inside arguments
+  const bottom = numberRedexes(parse(`${'f ('.repeat(DEPTH)}(\\a.a) x${')'.repeat(DEPTH)}`));
+  assert.strictEqual(selectRedex(bottom, 'normal'), 1);
+  assert.strictEqual(selectRedex(bottom, 'applicative'), 1);
+  assert.strictEqual(selectRedex(bottom, 'cbn'), null);
+  console.log('  ✓ Reduction test passed\n');
+}
+
+// ============================================================================
+// Test 4: Normalization
+// ============================================================================
+console.log('Test 4: Normalizing through a deep term');
+{
+  // n (λz.z) a first substitutes λz.z for every f in the numeral
+  const result = normalize(parse(`(${numeralSource}) (\\z.z) a`), { maxSteps: 1, maxSize: Infinity });
+  assert.strictEqual(result.reason, TERMINATION.FUEL_EXHAUSTED);
+  assert.strictEqual(termSize(result.expr), NUMERAL_SIZE + DEPTH + 1);
+
+  // Huge Omega grows every step
+  const omega = normalize(parse('(\\x.x x x x) (\\x.x x x x)'), { maxSteps: 60, maxSize: Infinity });
+  assert.strictEqual(omega.reason, TERMINATION.FUEL_EXHAUSTED);
+  assert(termSize(omega.expr) > 1000);
+  assert(prettyPrint(omega.expr).startsWith('(λx.x x x x) (λx.x x x x)'));
+  console.log('  ✓ Normalization test passed\n');
+}
+
+// ============================================================================
+// Test 5: The other modules
+// ============================================================================
+console.log('Test 5: Types, combinators and call-by-need on deep terms');
+{
+  // Type inference and bracket abstraction do work quadratic in the depth
+  // (composing substitutions, finding free variables), so this test uses
+  // shallower terms, still far past the depth where recursion overflowed
+  const typed = inferType(parse('5000', { literals: true }));
+  assert.strictEqual(typed.ok, true);
+  assert.strictEqual(typeToString(typed.type), '(a → a) → a → a');
+  assert.strictEqual(typed.subtermTypes.size, 2 * 5000 + 3, 'Every subterm is typed');
+
+  const SHALLOWER = 10000;
+  const shallower = parse(String(SHALLOWER), { literals: true });
+  for (const [optimize, size] of [[false, 16 * SHALLOWER + 3], [true, 4 * SHALLOWER - 3]]) {
+    const ski = toSKI(shallower, { optimize });
+    assert(isCombinatorTerm(ski), `toSKI ${optimize ? 'with' : 'without'} optimize leaves no lambda`);
+    assert.strictEqual(termSize(ski), size);
+    assert(!isCombinatorTerm(combinatorsToLambda(ski)), 'Back to lambdas');
+  }
+  // K n z rewrites to the deep numeral
+  const rewritten = normalizeCombinators(new Application(new Application(new Variable('K'), shallower), new Variable('z')), { maxSize: Infinity });
+  assert.strictEqual(rewritten.reason, TERMINATION.NORMAL_FORM);
+  assert.strictEqual(decodeChurchNumeral(rewritten.expr), SHALLOWER);
+
+  // n n shares one thunk for the numeral, used at every level of the result
+  const lazy = evaluateByNeed(new Application(parse('\\n.n n'), shallower), { maxSize: Infinity });
+  assert.strictEqual(lazy.reason, TERMINATION.NORMAL_FORM);
+  assert.strictEqual(lazy.steps.length, 3);
+  assert.strictEqual(collectThunks(lazy.expr).length, 1);
+  assert.strictEqual(sharedSize(lazy.expr), 4 * SHALLOWER + 5);
+  const kept = evaluateByNeed(new Application(parse('\\n g.n'), shallower), { maxSize: Infinity });
+  assert.strictEqual(decodeChurchNumeral(expandThunks(kept.expr).body), SHALLOWER, 'Expanding the thunk gives the numeral back');
+  console.log('  ✓ Other modules test passed\n');
+}
+
+console.log('All tests passed! ✓');
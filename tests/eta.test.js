@@ -0,0 +1,134 @@
+// Tests for eta reduction and eta expansion
+// Run with: node tests/eta.test.js
+
+import assert from 'assert';
+import {
+  parse,
+  numberRedexes,
+  reduceAt,
+  toPlainString,
+  isEtaRedex,
+  getRedexCount,
+  getRedexes,
+  getRedex,
+  getFullLinkingInfo,
+  getLinkingInfo,
+  selectRedex,
+  step,
+  normalize,
+  etaExpand,
+  etaExpandAt,
+  alphaEquivalent,
+  TERMINATION,
+} from '../src/kernel.js';
+
+// Helper to set up an expression with eta redexes numbered
+function setup(exprString) {
+  return numberRedexes(parse(exprString), { val: 1 }, { eta: true });
+}
+
+console.log('Testing eta reduction and expansion...\n');
+
+// ============================================================================
+// Test 1: Eta redex detection
+// ============================================================================
+console.log('Test 1: isEtaRedex');
+{
+  assert(isEtaRedex(parse('\\x.f x')), 'λx.f x is an eta redex');
+  assert(isEtaRedex(parse('\\x.(\\y.y) x')), 'λx.(λy.y) x is an eta redex');
+  assert(!isEtaRedex(parse('\\x.x x')), 'x is free in the function');
+  assert(!isEtaRedex(parse('\\x.f y')), 'Argument is not the parameter');
+  assert(!isEtaRedex(parse('\\x.x')), 'Body is not an application');
+  assert(!isEtaRedex(parse('f x')), 'Not an abstraction');
+
+  console.log('  ✓ isEtaRedex test passed\n');
+}
+
+// ============================================================================
+// Test 2: Numbering alongside beta redexes
+// ============================================================================
+console.log('Test 2: Numbering');
+{
+  // Without the option, eta redexes are not numbered
+  const plain = numberRedexes(parse('\\x.(\\y.y) x'));
+  assert.strictEqual(plain.id, null, 'Eta redex not numbered by default');
+  assert.strictEqual(getRedexCount(plain), 1, 'Only the beta redex');
+
+  // With the option, numbering is pre-order across both kinds
+  const expr = setup('\\x.(\\y.y) x');
+  assert.strictEqual(getRedexCount(expr), 2, 'Beta and eta redex');
+  const redexes = getRedexes(expr);
+  assert.deepStrictEqual(redexes.map(r => [r.id, r.kind]), [[1, 'eta'], [2, 'beta']], 'Kinds and order');
+
+  console.log('  ✓ Numbering test passed\n');
+}
+
+// ============================================================================
+// Test 3: Eta reduction through reduceAt
+// ============================================================================
+console.log('Test 3: reduceAt on eta redexes');
+{
+  // The "Eta Expansion" example: (λx.(λy.y) x) arg
+  const expr0 = setup('(\\x.(\\y.y) x) arg');
+  assert.strictEqual(getRedex(expr0, 2).type, 'abstraction', 'Redex [2] is the eta redex');
+
+  const expr1 = numberRedexes(reduceAt(expr0, 2), { val: 1 }, { eta: true });
+  assert.strictEqual(toPlainString(expr1), '((λy.y) arg)', 'Eta step removes the wrapper');
+
+  const info = getFullLinkingInfo(expr0, expr1, 2);
+  assert.strictEqual(info.kind, 'eta', 'Linking info marks eta steps');
+  assert.strictEqual(info.sourceArg, null, 'Eta steps have no source argument');
+  assert.strictEqual(info.parameterUses.length, 1, 'The dropped variable');
+  assert.strictEqual(info.wasUsed, true, 'Nothing is discarded');
+
+  const betaInfo = getLinkingInfo(expr0, reduceAt(expr0, 1), 1);
+  assert.strictEqual(betaInfo.kind, 'beta', 'Beta steps are marked as beta');
+
+  console.log('  ✓ reduceAt test passed\n');
+}
+
+// ============================================================================
+// Test 4: Strategies and normalization with eta
+// ============================================================================
+console.log('Test 4: Strategies with eta');
+{
+  const expr = setup('\\x.(\\y.y) x');
+  assert.strictEqual(selectRedex(expr, 'normal'), 1, 'Normal order takes the outer eta redex');
+  assert.strictEqual(selectRedex(expr, 'applicative'), 2, 'Applicative order takes the inner beta redex');
+  assert.strictEqual(selectRedex(expr, 'cbn'), null, 'Weak strategies leave lambdas alone');
+
+  const result = step(expr, 'normal', { eta: true });
+  assert.strictEqual(result.kind, 'eta', 'step reports the kind');
+  assert.strictEqual(toPlainString(result.expr), 'λy.y', 'Eta step result');
+
+  const beta = normalize(parse('\\z.(\\f.\\x.f x) g z'));
+  assert.strictEqual(toPlainString(beta.expr), 'λz.(g z)', 'Beta normal form');
+  const betaEta = normalize(parse('\\z.(\\f.\\x.f x) g z'), { eta: true });
+  assert.strictEqual(betaEta.reason, TERMINATION.NORMAL_FORM, 'Terminates');
+  assert.strictEqual(toPlainString(betaEta.expr), 'g', 'Beta-eta normal form');
+
+  console.log('  ✓ Strategies test passed\n');
+}
+
+// ============================================================================
+// Test 5: Eta expansion
+// ============================================================================
+console.log('Test 5: Eta expansion');
+{
+  assert.strictEqual(toPlainString(etaExpand(parse('f'))), 'λx.(f x)', 'Simple expansion');
+  assert.strictEqual(toPlainString(etaExpand(parse('f x'))), "λx'.((f x) x')", 'Fresh parameter');
+
+  const expr = parse('g (h y)');
+  const expanded = etaExpandAt(expr, expr.arg);
+  assert.strictEqual(toPlainString(expanded), '(g (λx.((h y) x)))', 'Expansion of a subterm');
+  assert.strictEqual(expanded.func, expr.func, 'Untouched subterms are shared');
+  assert.strictEqual(etaExpandAt(expr, parse('h')), expr, 'Unknown target leaves expr unchanged');
+
+  // Expansion followed by reduction is the identity
+  const back = reduceAt(setup(toPlainString(etaExpand(parse('f')))), 1);
+  assert(alphaEquivalent(back, parse('f')), 'Eta reduction undoes expansion');
+
+  console.log('  ✓ Eta expansion test passed\n');
+}
+
+console.log('All tests passed! ✓');
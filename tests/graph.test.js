@@ -0,0 +1,157 @@
+// Tests for reduction graph exploration and DOT export
+// Run with: node tests/graph.test.js
+
+import fc from 'fast-check';
+import assert from 'assert';
+import {
+  parse,
+  prettyPrint,
+  reduceAt,
+  numberRedexes,
+  clearSubstitutionMarks,
+  normalize,
+  alphaEquivalent,
+  exploreReductionGraph,
+  reductionGraphToDot,
+  Variable,
+  Abstraction,
+  Application,
+} from '../src/kernel.js';
+
+console.log('Testing reduction graphs...\n');
+
+// ============================================================================
+// Test 1: Every choice is explored and alpha-equivalent terms are merged
+// ============================================================================
+console.log('Test 1: Diamond of independent redexes');
+{
+  const graph = exploreReductionGraph(parse('((\\x.x) ((\\a.a) p)) ((\\y.y) q)'));
+  assert.strictEqual(graph.nodes.length, 6, 'Six distinct terms');
+  assert.strictEqual(graph.edges.length, 9, 'One edge per redex choice');
+  assert.strictEqual(graph.complete, true);
+
+  const normalForms = graph.nodes.filter(node => node.redexCount === 0);
+  assert.deepStrictEqual(normalForms.map(node => prettyPrint(node.expr)), ['p q'], 'All paths meet');
+  assert.strictEqual(normalForms[0].depth, 3);
+
+  // Redexes 1 and 2 of the start term give the same term
+  const fromStart = graph.edges.filter(edge => edge.from === 0);
+  assert.deepStrictEqual(fromStart.map(edge => [edge.redexId, edge.to]), [[1, 1], [2, 1], [3, 2]]);
+
+  // Renamed copies of a term are one node
+  const renamed = exploreReductionGraph(parse('(\\f.f (\\x.x) (\\y.y)) (\\a b.a)'));
+  assert(renamed.nodes.every((node, i) =>
+    renamed.nodes.every((other, j) => i === j || !alphaEquivalent(node.expr, other.expr))), 'No alpha-equivalent duplicates');
+  console.log('  ✓ Diamond test passed\n');
+}
+
+// ============================================================================
+// Test 2: Loops and limits
+// ============================================================================
+console.log('Test 2: Loops and limits');
+{
+  const omega = exploreReductionGraph(parse('(\\x.x x) (\\x.x x)'));
+  assert.strictEqual(omega.nodes.length, 1, 'Omega reduces to itself');
+  assert.deepStrictEqual(omega.edges.map(edge => [edge.from, edge.to]), [[0, 0]]);
+  assert.strictEqual(omega.complete, true, 'The loop is fully explored');
+
+  const growing = exploreReductionGraph(parse('(\\x.x x x) (\\x.x x x)'), { maxDepth: 3 });
+  assert.strictEqual(growing.complete, false, 'Depth limit reached');
+  assert(growing.nodes.every(node => node.depth <= 3));
+  assert(growing.nodes.some(node => !node.expanded && node.redexCount > 0), 'Frontier left unexpanded');
+
+  const capped = exploreReductionGraph(parse('(\\x.x x x) (\\x.x x x)'), { maxNodes: 4 });
+  assert.strictEqual(capped.nodes.length, 4);
+  assert.strictEqual(capped.complete, false, 'Node limit reached');
+  assert(capped.edges.every(edge => edge.to < 4), 'Edges only to kept nodes');
+  console.log('  ✓ Loops and limits test passed\n');
+}
+
+// ============================================================================
+// Test 3: Parent links give shortest paths
+// ============================================================================
+console.log('Test 3: Paths back to the start');
+{
+  const expr = parse('(\\x.x x) ((\\a.a) b)');
+  const graph = exploreReductionGraph(expr);
+  for (const node of graph.nodes) {
+    const path = [];
+    for (let n = node; n.parent !== null; n = graph.nodes[n.parent]) path.unshift(n.via);
+    assert.strictEqual(path.length, node.depth, 'Depth is the path length');
+
+    let current = graph.nodes[0].expr;
+    for (const id of path) {
+      current = numberRedexes(clearSubstitutionMarks(reduceAt(current, id)));
+    }
+    assert(alphaEquivalent(current, node.expr), 'Replaying the path reaches the node');
+  }
+
+  // Normal order copies the argument redex and takes 3 steps; reducing the
+  // argument first takes 2
+  const [normalForm] = graph.nodes.filter(node => node.redexCount === 0);
+  assert.strictEqual(normalForm.depth, 2);
+  assert.strictEqual(normalize(expr).steps.length - 1, 3);
+  console.log('  ✓ Paths test passed\n');
+}
+
+// ============================================================================
+// Test 4: DOT export
+// ============================================================================
+console.log('Test 4: Graphviz DOT');
+{
+  const dot = reductionGraphToDot(exploreReductionGraph(parse('(\\x.x) ((\\y.y) z)')));
+  assert(dot.startsWith('digraph "reductions" {\n'), 'Named digraph');
+  assert(dot.includes('n0 [label="(λx.x) ((λy.y) z)", style=bold];'), 'Start node is bold');
+  assert(dot.includes('[label="z", peripheries=2]'), 'Normal form has a double border');
+  assert(dot.includes('n0 -> n1 [label="1"];'), 'Edges are labelled with redex IDs');
+  assert(dot.trimEnd().endsWith('}'));
+
+  const eta = reductionGraphToDot(exploreReductionGraph(parse('\\x.f x'), { eta: true }), { name: 'eta' });
+  assert(eta.includes('digraph "eta" {'));
+  const spaced = reductionGraphToDot(exploreReductionGraph(parse('x')), { name: 'my "graph" {1}' });
+  assert(spaced.startsWith('digraph "my \\"graph\\" {1}" {\n'), 'Any name is quoted');
+  assert(eta.includes('[label="η1"]'), 'Eta edges are marked');
+
+  const partial = reductionGraphToDot(exploreReductionGraph(parse('(\\x.x x x) (\\x.x x x)'), { maxDepth: 1 }));
+  assert(partial.includes('style=dashed'), 'Unexplored terms are dashed');
+  console.log('  ✓ DOT test passed\n');
+}
+
+// ============================================================================
+// Test 5: Every edge is a real reduction (property-based)
+// ============================================================================
+console.log('Test 5: Edges match reduceAt');
+{
+  const names = ['x', 'y', 'z'];
+  const termArb = fc.letrec(tie => ({
+    term: fc.oneof(
+      { depthSize: 'small', withCrossShrink: true },
+      fc.constantFrom(...names).map(name => new Variable(name)),
+      fc.tuple(fc.constantFrom(...names), tie('term')).map(([param, body]) => new Abstraction(param, body)),
+      fc.tuple(tie('term'), tie('term')).map(([func, arg]) => new Application(func, arg))
+    ),
+  })).term;
+
+  const result = fc.check(
+    fc.property(termArb, (expr) => {
+      const graph = exploreReductionGraph(expr, { maxDepth: 4, maxNodes: 50 });
+      const edgesOk = graph.edges.every(edge =>
+        alphaEquivalent(reduceAt(graph.nodes[edge.from].expr, edge.redexId), graph.nodes[edge.to].expr));
+      // An expanded node has one edge per redex unless the node limit cut some off
+      const countsOk = !graph.complete || graph.nodes.every(node =>
+        !node.expanded || graph.edges.filter(edge => edge.from === node.id).length === node.redexCount);
+      return edgesOk && countsOk;
+    }),
+    { numRuns: 200 }
+  );
+
+  if (result.failed) {
+    console.log('  FAILED!');
+    console.log('  Counterexample:', result.counterexample);
+    process.exit(1);
+  }
+  console.log(`  Passed ${result.numRuns} tests`);
+  console.log('  ✓ Edge property test passed\n');
+}
+
+console.log('All tests passed! ✓');
@@ -17,6 +17,9 @@ import {
   findVariableUses,
   getParameterUses,
   getRedex,
+  getAlphaRenames,
+  performStep,
+  prettyPrint,
 } from '../src/kernel.js';
 
 // Helper to perform a reduction step
@@ -343,4 +346,42 @@ console.log('Test 10: getFullLinkingInfo');
   console.log('  ✓ getFullLinkingInfo test passed\n');
 }
 
+// ============================================================================
+// Test 11: Alpha-renamed binders
+// ============================================================================
+console.log('Test 11: Binders renamed to avoid capture');
+{
+  // The free y of the argument would be captured by λy
+  const expr0 = setup('(\\x.\\y.x y) y');
+  const expr1 = reduceStep(expr0, 1);
+  assert.strictEqual(prettyPrint(expr1), "λy'.y y'");
+
+  const { alphaRenames } = getFullLinkingInfo(expr0, expr1, 1);
+  assert.strictEqual(alphaRenames.length, 1, 'One binder was renamed');
+  const [rename] = alphaRenames;
+  assert.strictEqual(rename.binder, expr1, 'The binder is the renamed abstraction in the result');
+  assert.strictEqual(rename.from, 'y');
+  assert.strictEqual(rename.to, "y'");
+  assert.strictEqual(rename.captured, 'y', 'The free variable that would have been captured');
+  assert.strictEqual(rename.variable, 'x', 'The parameter the argument replaced');
+  assert.deepStrictEqual(getAlphaRenames(expr1, 2), [], 'Renamings belong to their redex');
+
+  // Renaming the body can force an inner renaming too
+  const nested = performStep(setup("(\\x.\\y.\\y'.x y y') y"), 1);
+  assert.strictEqual(prettyPrint(nested.expr), "λy' y''.y y' y''");
+  assert.deepStrictEqual(nested.linkingInfo.alphaRenames.map(({ from, to }) => [from, to]), [['y', "y'"], ["y'", "y''"]]);
+  assert.strictEqual(nested.linkingInfo.alphaRenames[1].binder, nested.expr.body);
+
+  // No capture, no renaming; marks go with the next step
+  assert.deepStrictEqual(getFullLinkingInfo(setup('(\\x.x) y'), reduceStep(setup('(\\x.x) y'), 1), 1).alphaRenames, []);
+  assert.strictEqual(clearSubstitutionMarks(expr1).renaming, null);
+  const later = performStep(setup('(\\a.a) ((\\x.\\y.x) y)'), 2);
+  assert.strictEqual(later.linkingInfo.alphaRenames.length, 1);
+  const after = performStep(later.expr, 1);
+  assert.strictEqual(after.expr.renaming, null, 'The renaming is only shown on its own step');
+  assert.deepStrictEqual(after.linkingInfo.alphaRenames, []);
+
+  console.log('  ✓ Alpha renaming test passed\n');
+}
+
 console.log('All tests passed! ✓');
@@ -0,0 +1,159 @@
+// Tests for call-by-need evaluation with shared thunks
+// Run with: node tests/need.test.js
+
+import fc from 'fast-check';
+import assert from 'assert';
+import { parse, normalize, prettyPrint, toDeBruijn, deBruijnToString, Variable, Abstraction, Application, TERMINATION } from '../src/kernel.js';
+import { needStep, evaluateByNeed, expandThunks, collectThunks, toSharedString, sharedSize, snapshot, compareWithCallByName } from '../src/need.js';
+
+const alphaKey = expr => deBruijnToString(toDeBruijn(expr));
+
+console.log('Testing call-by-need evaluation...\n');
+
+// ============================================================================
+// Test 1: Substitution shares one node
+// ============================================================================
+console.log('Test 1: Arguments are shared, not copied');
+{
+  // Triple Substitution: the argument is used three times
+  const step = needStep(parse('(\\x.x x x) (\\a.a)'));
+  const [thunk] = collectThunks(step.expr);
+  assert.strictEqual(step.created, thunk);
+  assert.strictEqual(collectThunks(step.expr).length, 1, 'One thunk for three uses');
+  assert.strictEqual(step.expr.func.func, thunk);
+  assert.strictEqual(step.expr.func.arg, thunk);
+  assert.strictEqual(step.expr.arg, thunk);
+  assert.strictEqual(toSharedString(step.expr), 't1 t1 t1 where t1 = λa.a');
+  assert.strictEqual(sharedSize(step.expr), 7, 'λa.a is counted once');
+
+  // Variables are passed along as they are
+  const plain = needStep(parse('(\\x.x x) y'));
+  assert.strictEqual(plain.created, null);
+  assert.strictEqual(toSharedString(plain.expr), 'y y');
+  console.log(`  ${toSharedString(step.expr)}`);
+  console.log('  ✓ Sharing test passed\n');
+}
+
+// ============================================================================
+// Test 2: Forcing a thunk updates every use
+// ============================================================================
+console.log('Test 2: Forcing updates all uses');
+{
+  const { steps, reason } = evaluateByNeed(parse('(\\x.x x) ((\\a.a) b)'));
+  assert.strictEqual(reason, TERMINATION.NORMAL_FORM);
+  assert.deepStrictEqual(steps.map(step => toSharedString(step.expr)), [
+    '(λx.x x) ((λa.a) b)',
+    't1 t1 where t1 = (λa.a) b',
+    't1 t1 where t1 = b',
+  ]);
+  assert.deepStrictEqual(steps.map(({ created, updated }) => [created, updated]), [[null, null], ['t1', null], [null, 't1']]);
+
+  // Both uses see the forced value, where copying leaves the second one unevaluated
+  const final = steps[2].expr;
+  assert.strictEqual(final.func, final.arg);
+  assert.strictEqual(prettyPrint(expandThunks(final)), 'b b');
+  const { need, name, saved } = compareWithCallByName(parse('(\\x.x x) ((\\a.a) b)'));
+  assert.strictEqual(need.steps.length - 1, 2);
+  assert.strictEqual(prettyPrint(name.expr), 'b ((λa.a) b)');
+  assert.strictEqual(saved, 0);
+  console.log('  ✓ Forcing test passed\n');
+}
+
+// ============================================================================
+// Test 3: Snapshots keep sharing and do not change afterwards
+// ============================================================================
+console.log('Test 3: Snapshots');
+{
+  const start = needStep(parse('(\\x.x x) ((\\a.a) b)')).expr;
+  const copy = snapshot(start);
+  assert.strictEqual(copy.func, copy.arg, 'The copy shares its thunk too');
+  assert.notStrictEqual(copy.func, start.func);
+
+  needStep(start);
+  assert.strictEqual(toSharedString(start), 't1 t1 where t1 = b', 'The original was forced in place');
+  assert.strictEqual(toSharedString(copy), 't1 t1 where t1 = (λa.a) b', 'The snapshot was not');
+  console.log('  ✓ Snapshot test passed\n');
+}
+
+// ============================================================================
+// Test 4: Sharing against copying
+// ============================================================================
+console.log('Test 4: Call-by-need and call-by-name step counts');
+{
+  const cases = [
+    // [input, call-by-need steps, call-by-name steps]
+    ['(\\x.x x) (\\a.a)', 2, 2],                 // Multiple Substitution
+    ['(\\x.x x x) (\\a.a)', 3, 3],               // Triple Substitution
+    ['(\\f.f (f y)) ((\\a.a) (\\b.b))', 4, 5],   // the shared redex is reduced once
+    ['(\\x.\\y.x) keep ((\\a.a a) (\\a.a a))', 2, 2], // a discarded argument is never forced
+  ];
+  for (const [input, needSteps, nameSteps] of cases) {
+    const { need, name, saved } = compareWithCallByName(parse(input));
+    assert.strictEqual(need.steps.length - 1, needSteps, `call-by-need steps for ${input}`);
+    assert.strictEqual(name.steps.length - 1, nameSteps, `call-by-name steps for ${input}`);
+    assert.strictEqual(saved, nameSteps - needSteps);
+    console.log(`  ${input}: need ${needSteps}, name ${nameSteps}`);
+  }
+
+  // Forcing inside a thunk that is itself inside a thunk
+  const { steps } = evaluateByNeed(parse('(\\f.f (f y)) ((\\a.a) (\\b.b))'));
+  assert.strictEqual(toSharedString(steps[3].expr), 't3 where t3 = t1 y, t1 = t2, t2 = λb.b');
+  assert.strictEqual(steps[4].updated, 't3');
+  console.log('  ✓ Step count test passed\n');
+}
+
+// ============================================================================
+// Test 5: Limits
+// ============================================================================
+console.log('Test 5: Limits');
+{
+  const omega = evaluateByNeed(parse('(\\x.x x) (\\x.x x)'), { maxSteps: 20 });
+  assert.strictEqual(omega.reason, TERMINATION.FUEL_EXHAUSTED);
+  assert.strictEqual(omega.steps.length, 21);
+  assert.strictEqual(toSharedString(omega.expr), 't1 t1 where t1 = λx.x x', 'Omega stays the same size when shared');
+
+  const growing = evaluateByNeed(parse('(\\x.x x x) (\\x.x x x)'), { maxSize: 50 });
+  assert.strictEqual(growing.reason, TERMINATION.SIZE_LIMIT);
+  console.log('  ✓ Limits test passed\n');
+}
+
+// ============================================================================
+// Test 6: Call-by-need agrees with call-by-name (property-based)
+// ============================================================================
+console.log('Test 6: Readback matches call-by-name');
+{
+  const names = ['x', 'y', 'z'];
+  const termArb = fc.letrec(tie => ({
+    term: fc.oneof(
+      { depthSize: 'small', withCrossShrink: true },
+      fc.constantFrom(...names).map(name => new Variable(name)),
+      fc.tuple(fc.constantFrom(...names), tie('term')).map(([param, body]) => new Abstraction(param, body)),
+      fc.tuple(tie('term'), tie('term')).map(([func, arg]) => new Application(func, arg))
+    ),
+  })).term;
+
+  const result = fc.check(
+    fc.property(termArb, (expr) => {
+      const { need, name } = compareWithCallByName(expr, { maxSteps: 200, maxSize: 2000 });
+      if (name.reason !== TERMINATION.NORMAL_FORM || need.reason !== TERMINATION.NORMAL_FORM) return true;
+      // Sharing never takes more steps
+      if (need.steps.length > name.steps.length) return false;
+      // Both results are beta-equal: compare their normal forms when they have one
+      const left = normalize(expandThunks(need.expr), { maxSteps: 500, maxSize: 2000 });
+      const right = normalize(name.expr, { maxSteps: 500, maxSize: 2000 });
+      if (left.reason !== TERMINATION.NORMAL_FORM || right.reason !== TERMINATION.NORMAL_FORM) return true;
+      return alphaKey(left.expr) === alphaKey(right.expr);
+    }),
+    { numRuns: 300 }
+  );
+
+  if (result.failed) {
+    console.log('  FAILED!');
+    console.log('  Counterexample:', result.counterexample);
+    process.exit(1);
+  }
+  console.log(`  Passed ${result.numRuns} tests`);
+  console.log('  ✓ Readback test passed\n');
+}
+
+console.log('All tests passed! ✓');
@@ -0,0 +1,90 @@
+// Tests for automatic normalization - fuel, cycles and size limits
+// Run with: node tests/normalize.test.js
+
+import assert from 'assert';
+import {
+  parse,
+  toPlainString,
+  normalize,
+  termSize,
+  buildLinkingChain,
+  TERMINATION,
+} from '../src/kernel.js';
+
+console.log('Testing normalization...\n');
+
+// ============================================================================
+// Test 1: Terminating expressions reach normal form
+// ============================================================================
+console.log('Test 1: Normal form');
+{
+  const result = normalize(parse('(\\m.\\n.\\f.\\x.m f (n f x)) (\\f.\\x.f (f x)) (\\f.\\x.f (f x)) s z'));
+  assert.strictEqual(result.reason, TERMINATION.NORMAL_FORM, 'Addition terminates');
+  assert.strictEqual(toPlainString(result.expr), '(s (s (s (s z))))', '2 + 2 = 4');
+  assert.strictEqual(result.steps[0].reducedId, null, 'First step is the input');
+  assert.strictEqual(result.steps[result.steps.length - 1].expr, result.expr, 'Last step is the result');
+  assert.strictEqual(result.cycleStart, null, 'No cycle');
+
+  // Already normal
+  const normal = normalize(parse('\\x.x'));
+  assert.strictEqual(normal.reason, TERMINATION.NORMAL_FORM, 'Normal input stops at once');
+  assert.strictEqual(normal.steps.length, 1, 'Only the input step');
+
+  console.log('  ✓ Normal form test passed\n');
+}
+
+// ============================================================================
+// Test 2: Omega is detected as a cycle
+// ============================================================================
+console.log('Test 2: Cycle detection');
+{
+  const omega = normalize(parse('(\\x.x x) (\\x.x x)'));
+  assert.strictEqual(omega.reason, TERMINATION.CYCLE, 'Omega cycles');
+  assert.strictEqual(omega.cycleStart, 0, 'Omega repeats the input');
+  assert.strictEqual(omega.steps.length, 2, 'Detected after one step');
+
+  // Alpha-equivalent but differently named
+  const variant = normalize(parse('(\\x.x x) (\\y.y y)'));
+  assert.strictEqual(variant.reason, TERMINATION.CYCLE, 'Omega variant cycles up to renaming');
+  assert.strictEqual(variant.cycleStart, 0, 'Repeats the input up to renaming');
+
+  console.log('  ✓ Cycle detection test passed\n');
+}
+
+// ============================================================================
+// Test 3: Growing terms hit the size limit or run out of fuel
+// ============================================================================
+console.log('Test 3: Size limit and fuel');
+{
+  const bigOmega = '(\\x.x x x) (\\x.x x x)';
+  const sized = normalize(parse(bigOmega), { maxSize: 200 });
+  assert.strictEqual(sized.reason, TERMINATION.SIZE_LIMIT, 'Big Omega hits the size limit');
+  assert(termSize(sized.expr) > 200, 'Result is over the limit');
+
+  const fueled = normalize(parse(bigOmega), { maxSteps: 5 });
+  assert.strictEqual(fueled.reason, TERMINATION.FUEL_EXHAUSTED, 'Big Omega runs out of fuel');
+  assert.strictEqual(fueled.steps.length, 6, 'Input plus five steps');
+
+  const tooBig = normalize(parse('(\\x.x) y'), { maxSize: 2 });
+  assert.strictEqual(tooBig.reason, TERMINATION.SIZE_LIMIT, 'Input larger than maxSize');
+
+  console.log('  ✓ Size limit and fuel test passed\n');
+}
+
+// ============================================================================
+// Test 4: Strategy option and linking chain
+// ============================================================================
+console.log('Test 4: Strategy option');
+{
+  const kOmega = parse('(\\x.\\y.x) keep ((\\x.x x) (\\x.x x))');
+  assert.strictEqual(normalize(kOmega).reason, TERMINATION.NORMAL_FORM, 'Normal order terminates');
+  assert.strictEqual(normalize(kOmega, { strategy: 'applicative' }).reason, TERMINATION.CYCLE, 'Applicative order loops');
+
+  const { steps } = normalize(parse('(\\x.x x) arg'));
+  const chain = buildLinkingChain(steps);
+  assert.strictEqual(chain[1].linkingInfo.substitutedNodes.length, 2, 'Steps feed buildLinkingChain');
+
+  console.log('  ✓ Strategy option test passed\n');
+}
+
+console.log('All tests passed! ✓');
@@ -3,7 +3,18 @@
 
 import fc from 'fast-check';
 import assert from 'assert';
-import { parse, toPlainString, Variable, Abstraction, Application } from '../src/kernel.js';
+import {
+  parse,
+  parseWithDiagnostics,
+  formatSyntaxError,
+  LambdaSyntaxError,
+  SYNTAX_ERROR_CODES,
+  toPlainString,
+  prettyPrint,
+  Variable,
+  Abstraction,
+  Application
+} from '../src/kernel.js';
 
 // ============================================================================
 // AST Generators
@@ -248,4 +259,230 @@ console.log('\nTest 7: Error handling');
   }
 }
 
+// Test 8: Pretty printer round-trip for every layout option
+console.log('\nTest 8: Pretty printer round-trip (AST -> prettyPrint -> AST)');
+{
+  const optionsArb = fc.record({
+    lambda: fc.constantFrom('λ', '\\'),
+    collapse: fc.boolean(),
+  });
+
+  const result = fc.check(
+    fc.property(astArb(5), optionsArb, (ast, options) => {
+      return astEqual(ast, parse(prettyPrint(ast, options)));
+    }),
+    { numRuns: 1000 }
+  );
+
+  if (result.failed) {
+    console.log('  FAILED!');
+    console.log('  Counterexample:', result.counterexample);
+    const [ast, options] = result.counterexample;
+    console.log('  Pretty printed:', prettyPrint(ast, options));
+    process.exit(1);
+  }
+
+  console.log(`  Passed ${result.numRuns} tests`);
+}
+
+// Test 9: Pretty printer never emits more parentheses than toPlainString
+console.log('\nTest 9: Pretty printer output is minimal and stable');
+{
+  const countParens = (str) => str.split('').filter(ch => ch === '(').length;
+
+  const result = fc.check(
+    fc.property(exprStringArb(4), (str) => {
+      const pretty = prettyPrint(parse(str));
+      return prettyPrint(parse(pretty)) === pretty &&
+        countParens(pretty) <= countParens(toPlainString(parse(str)));
+    }),
+    { numRuns: 1000 }
+  );
+
+  if (result.failed) {
+    console.log('  FAILED!');
+    console.log('  Counterexample:', result.counterexample);
+    process.exit(1);
+  }
+
+  console.log(`  Passed ${result.numRuns} tests`);
+
+  const cases = [
+    ['f a b c', 'f a b c'],
+    ['f (a b) c', 'f (a b) c'],
+    ['(λx.x) y', '(λx.x) y'],
+    ['f (λx.x) y', 'f (λx.x) y'],
+    ['f (λx.x)', 'f λx.x'],
+    ['λx.λy.λz.x z (y z)', 'λx y z.x z (y z)'],
+    ['λx.(λy.y) x', 'λx.(λy.y) x'],
+    ['(λx.λy.x) a', '(λx y.x) a'],
+  ];
+
+  for (const [input, expected] of cases) {
+    assert.strictEqual(prettyPrint(parse(input)), expected, `Pretty print failed for: "${input}"`);
+    console.log(`  "${input}" -> "${expected}"`);
+  }
+
+  assert.strictEqual(prettyPrint(parse('λx.λy.x'), { lambda: '\\' }), '\\x y.x');
+  assert.strictEqual(prettyPrint(parse('λx.λy.x'), { collapse: false }), 'λx.λy.x');
+  console.log('  lambda and collapse options respected');
+}
+
+// Test 10: Multi-parameter lambda sugar
+console.log('\nTest 10: Multi-parameter lambdas (\\x y z.body)');
+{
+  const cases = [
+    ['\\x y z.x z (y z)', '\\x.\\y.\\z.x z (y z)'],
+    ['λx y.x', 'λx.λy.x'],
+    ['(\\f  x . f x) g', '(\\f.\\x.f x) g'],
+    ["\\x x'.x'", "\\x.\\x'.x'"],
+  ];
+
+  for (const [sugared, plain] of cases) {
+    assert(astEqual(parse(sugared), parse(plain)), `Sugar mismatch: "${sugared}" vs "${plain}"`);
+    console.log(`  "${sugared}" = "${plain}"`);
+  }
+
+  for (const input of ['\\x y', 'λx y z', '\\x (y).x']) {
+    assert.throws(() => parse(input), `Should have thrown for invalid input: "${input}"`);
+    console.log(`  "${input}" -> correctly throws error`);
+  }
+}
+
+// Test 11: Source spans
+console.log('\nTest 11: Every node carries the span of its source text');
+{
+  const nodesOf = (expr) => {
+    switch (expr.type) {
+      case 'variable': return [expr];
+      case 'abstraction': return [expr, ...nodesOf(expr.body)];
+      case 'application': return [expr, ...nodesOf(expr.func), ...nodesOf(expr.arg)];
+    }
+  };
+
+  const result = fc.check(
+    fc.property(exprStringArb(4), (str) => {
+      const source = `  ${str} `;
+      return nodesOf(parse(source)).every(node =>
+        node.span !== null && astEqual(parse(source.slice(node.span.start, node.span.end)), node));
+    }),
+    { numRuns: 500 }
+  );
+
+  if (result.failed) {
+    console.log('  FAILED!');
+    console.log('  Counterexample:', result.counterexample);
+    process.exit(1);
+  }
+
+  console.log(`  Passed ${result.numRuns} tests`);
+
+  const source = '(\\x y.x) ab';
+  const ast = parse(source);
+  assert.deepStrictEqual(ast.span, { start: 0, end: 11 });
+  assert.deepStrictEqual(ast.func.span, { start: 1, end: 7 }, 'Parens are not part of the lambda');
+  assert.deepStrictEqual(ast.func.body.span, { start: 4, end: 7 }, 'Sugared inner lambda starts at its parameter');
+  assert.deepStrictEqual(ast.arg.span, { start: 9, end: 11 });
+  assert.strictEqual(new Variable('x').span, null, 'Built nodes have no span');
+  console.log('  "(\\x y.x) ab" spans checked');
+}
+
+// Test 12: Structured syntax errors
+console.log('\nTest 12: LambdaSyntaxError carries code, range, expected tokens and hint');
+{
+  const cases = [
+    ['(a b', SYNTAX_ERROR_CODES.UNCLOSED_PAREN, 4, 4, ["')'"]],
+    ['a b)', SYNTAX_ERROR_CODES.UNEXPECTED_CHARACTER, 3, 4, ['end of input']],
+    ['λ.x', SYNTAX_ERROR_CODES.EXPECTED_VARIABLE, 1, 2, ['variable']],
+    ['\\x y', SYNTAX_ERROR_CODES.EXPECTED_DOT, 4, 4, ["'.'", 'variable']],
+    ['', SYNTAX_ERROR_CODES.UNEXPECTED_END, 0, 0, ['variable', "'('", "'λ'"]],
+    ['f (g # h)', SYNTAX_ERROR_CODES.UNEXPECTED_CHARACTER, 5, 6, ["')'", 'variable', "'('", "'λ'"]],
+  ];
+
+  for (const [input, code, offset, end, expected] of cases) {
+    let error = null;
+    try {
+      parse(input);
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof LambdaSyntaxError, `Should throw LambdaSyntaxError for "${input}"`);
+    assert(error instanceof Error);
+    assert.strictEqual(error.code, code, `Code for "${input}"`);
+    assert.strictEqual(error.offset, offset, `Offset for "${input}"`);
+    assert.strictEqual(error.end, end, `End for "${input}"`);
+    assert.deepStrictEqual(error.expected, expected, `Expected tokens for "${input}"`);
+    console.log(`  "${input}" -> ${code} [${offset}, ${end})`);
+  }
+
+  let error = null;
+  try {
+    parse('12ab', { literals: true });
+  } catch (e) {
+    error = e;
+  }
+  assert.strictEqual(error.code, SYNTAX_ERROR_CODES.INVALID_NUMBER);
+  assert.strictEqual(error.end, 4, 'Whole bad literal is covered');
+  assert(error.hint, 'Has a hint');
+
+  try {
+    parse('a\nb )');
+  } catch (e) {
+    error = e;
+  }
+  assert.strictEqual(error.line, 2);
+  assert.strictEqual(error.column, 3);
+  assert.strictEqual(formatSyntaxError('a\nb )', error), 'b )\n  ^');
+  console.log('  line, column and underline formatting');
+}
+
+// Test 13: Error recovery
+console.log('\nTest 13: Recovery reports every error in one pass');
+{
+  const { expr, errors } = parseWithDiagnostics('(\\x y z) # (a');
+  assert.deepStrictEqual(
+    errors.map(e => [e.code, e.offset]),
+    [
+      [SYNTAX_ERROR_CODES.EXPECTED_DOT, 7],
+      [SYNTAX_ERROR_CODES.UNEXPECTED_CHARACTER, 9],
+      [SYNTAX_ERROR_CODES.UNCLOSED_PAREN, 13],
+    ]
+  );
+  assert.strictEqual(expr.type, 'application', 'Best-effort AST is still built');
+  console.log('  "(\\x y z) # (a" -> 3 errors');
+
+  // Valid input: no errors and the same AST as parse()
+  const result = fc.check(
+    fc.property(exprStringArb(4), (str) => {
+      const diagnostics = parseWithDiagnostics(str);
+      return diagnostics.errors.length === 0 && astEqual(diagnostics.expr, parse(str));
+    }),
+    { numRuns: 300 }
+  );
+  assert(!result.failed, 'Valid input parses without diagnostics');
+
+  // Recovery never throws, and its first error is the one parse() throws
+  const noisyArb = fc.array(fc.constantFrom('(', ')', '.', '\\', 'x', 'y', ' ', '#', '1'), { maxLength: 12 })
+    .map(chars => chars.join(''));
+  const recovery = fc.check(
+    fc.property(noisyArb, (str) => {
+      const { errors } = parseWithDiagnostics(str);
+      try {
+        parse(str);
+        return errors.length === 0;
+      } catch (e) {
+        return errors.length > 0 && errors[0].code === e.code && errors[0].offset === e.offset;
+      }
+    }),
+    { numRuns: 1000 }
+  );
+
+  if (recovery.failed) {
+    console.log('  FAILED!');
+    console.log('  Counterexample:', recovery.counterexample);
+    process.exit(1);
+  }
+  console.log(`  Passed ${recovery.numRuns} noisy inputs`);
+}
+
 console.log('\nAll parser tests passed!');
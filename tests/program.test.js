@@ -0,0 +1,163 @@
+// Tests for program files: comments, definitions, imports and origin tracking
+// Run with: node tests/program.test.js
+
+import assert from 'assert';
+import {
+  parse,
+  parseProgram,
+  expandDefinitions,
+  prettyPrint,
+  normalize,
+  describeChurchValue,
+  freeVariables,
+  LambdaSyntaxError,
+  SYNTAX_ERROR_CODES,
+} from '../src/kernel.js';
+
+// In-memory file system for the import loader
+function memoryLoader(files) {
+  return (importPath) => {
+    if (!(importPath in files)) {
+      throw new Error('file not found');
+    }
+    return { file: importPath, source: files[importPath] };
+  };
+}
+
+// Expect parseProgram to throw a LambdaSyntaxError with the given code
+function expectProgramError(source, options, code) {
+  try {
+    parseProgram(source, options);
+  } catch (e) {
+    assert(e instanceof LambdaSyntaxError, `Expected LambdaSyntaxError, got ${e}`);
+    assert.strictEqual(e.code, code);
+    return e;
+  }
+  assert.fail(`Expected ${code} for:\n${source}`);
+}
+
+const CHURCH = `-- Church numerals
+ZERO = \\f x.x
+SUCC = \\n f x.f (n f x)   -- successor
+PLUS = \\m n f x.m f
+    (n f x)
+ONE = SUCC ZERO
+ONE
+`;
+
+console.log('Testing program files...\n');
+
+// ============================================================================
+// Test 1: Comments, definitions and the main expression
+// ============================================================================
+console.log('Test 1: Definitions and main expression');
+{
+  const program = parseProgram(CHURCH);
+  assert.deepStrictEqual([...program.definitions.keys()], ['ZERO', 'SUCC', 'PLUS', 'ONE']);
+  assert.strictEqual(prettyPrint(program.definitions.get('PLUS').expr), 'λm n f x.m f (n f x)', 'Indented line continues the definition');
+  assert.strictEqual(prettyPrint(program.main), 'ONE', 'Main expression as written');
+  assert.strictEqual(freeVariables(program.expr).size, 0, 'Expanded main is closed');
+  assert.strictEqual(describeChurchValue(normalize(program.expr).expr), '1');
+
+  const library = parseProgram('-- just definitions\nI = \\x.x\n\n-- trailing comment');
+  assert.strictEqual(library.main, null, 'No main expression');
+  assert.strictEqual(library.expr, null);
+
+  assert.strictEqual(parseProgram('-- comments only').definitions.size, 0, 'Comments only');
+  assert.strictEqual(prettyPrint(parseProgram('N = 2\nN', { literals: true }).expr), 'λf x.f (f x)', 'Literals option');
+
+  console.log('  ✓ Definitions test passed\n');
+}
+
+// ============================================================================
+// Test 2: Imports through the loader
+// ============================================================================
+console.log('Test 2: Imports');
+{
+  const files = {
+    'church.lam': CHURCH,
+    'main.lam': 'import "church.lam"\nimport "more.lam"\nTHREE = PLUS ONE TWO\nTHREE',
+    'more.lam': 'import "church.lam"   -- cycle-free repeat import\nTWO = SUCC ONE',
+  };
+  const loader = memoryLoader(files);
+  const program = parseProgram(files['main.lam'], { file: 'main.lam', loader });
+
+  assert.deepStrictEqual(program.imports, ['church.lam', 'more.lam'], 'Each file loaded once');
+  assert.strictEqual(program.definitions.get('TWO').file, 'more.lam', 'Definition file recorded');
+  assert.strictEqual(describeChurchValue(normalize(program.expr).expr), '3');
+
+  // Main expression of an imported file is ignored; cycles are harmless
+  const cyclic = parseProgram('import "b.lam"\nA = \\x.x\nB', {
+    file: 'a.lam',
+    loader: memoryLoader({ 'b.lam': 'import "a.lam"\nB = A A\nB', 'a.lam': '' }),
+  });
+  assert.strictEqual(prettyPrint(cyclic.expr), '(λx.x) λx.x', 'Imported file may use importer definitions');
+
+  console.log('  ✓ Imports test passed\n');
+}
+
+// ============================================================================
+// Test 3: Origin tracking
+// ============================================================================
+console.log('Test 3: Origins of expanded subterms');
+{
+  const program = parseProgram('I = \\x.x\nK = \\x y.x\nKI = K I\nKI z');
+  const expr = program.expr;
+
+  assert.strictEqual(expr.origin, null, 'Main expression nodes have no origin');
+  assert.strictEqual(expr.arg.origin, null, 'z written in main');
+  assert.strictEqual(expr.func.origin, 'KI', 'Application K I came from KI');
+  assert.strictEqual(expr.func.func.origin, 'K', 'Innermost definition wins');
+  assert.strictEqual(expr.func.func.body.body.origin, 'K');
+  assert.strictEqual(expr.func.arg.origin, 'I');
+
+  // Origins survive reduction
+  const reduced = normalize(expr).expr;
+  assert.strictEqual(prettyPrint(reduced), 'λx.x');
+  assert.strictEqual(reduced.origin, 'I', 'Result is the I from the definition');
+
+  // Definitions don't capture variables bound at the use site
+  const defs = parseProgram('F = \\f.f y\n').definitions;
+  const used = expandDefinitions(parse('\\y.F y'), defs);
+  assert.strictEqual(prettyPrint(normalize(used).expr), "λy'.y' y", 'Free y stays free');
+
+  console.log('  ✓ Origin test passed\n');
+}
+
+// ============================================================================
+// Test 4: Program errors
+// ============================================================================
+console.log('Test 4: Errors');
+{
+  const recursive = expectProgramError('A = B\nB = \\x.A\nA', {}, SYNTAX_ERROR_CODES.RECURSIVE_DEFINITION);
+  assert.match(recursive.message, /A -> B -> A/, 'Cycle is named');
+
+  const duplicate = expectProgramError('A = x\nA = y', { file: 'x.lam' }, SYNTAX_ERROR_CODES.DUPLICATE_DEFINITION);
+  assert.deepStrictEqual([duplicate.file, duplicate.line, duplicate.column], ['x.lam', 2, 1]);
+
+  expectProgramError('x\nA = y', {}, SYNTAX_ERROR_CODES.MAIN_NOT_LAST);
+  expectProgramError('x\ny', {}, SYNTAX_ERROR_CODES.MAIN_NOT_LAST);
+  expectProgramError('import church.lam', {}, SYNTAX_ERROR_CODES.INVALID_IMPORT);
+  expectProgramError('import "a.lam"', {}, SYNTAX_ERROR_CODES.IMPORT_FAILED);
+
+  const missing = expectProgramError('import "missing.lam"', { loader: memoryLoader({}) }, SYNTAX_ERROR_CODES.IMPORT_FAILED);
+  assert.strictEqual(missing.offset, 8, 'Points at the path');
+  assert.match(missing.message, /file not found/);
+
+  // A loader that does not return { file, source } is reported like a failed import
+  const nothing = expectProgramError('import "a.lam"', { loader: () => undefined }, SYNTAX_ERROR_CODES.IMPORT_FAILED);
+  assert.strictEqual(nothing.offset, 8);
+  assert.match(nothing.message, /Cannot import "a.lam": the loader returned nothing, not \{ file, source \}/);
+  const noSource = expectProgramError('import "a.lam"', { loader: () => ({ file: 'a.lam' }) }, SYNTAX_ERROR_CODES.IMPORT_FAILED);
+  assert.match(noSource.message, /returned \{"file":"a.lam"\}/);
+
+  // Term syntax errors carry the file and a position in that file
+  const nested = expectProgramError('import "bad.lam"', {
+    loader: memoryLoader({ 'bad.lam': '-- fine\nOK = \\x.x\nBAD = (x' }),
+  }, SYNTAX_ERROR_CODES.UNCLOSED_PAREN);
+  assert.deepStrictEqual([nested.file, nested.line, nested.column], ['bad.lam', 3, 9]);
+
+  console.log('  ✓ Errors test passed\n');
+}
+
+console.log('All tests passed! ✓');
@@ -0,0 +1,297 @@
+// Tests for the JSON interchange format - terms and reduction sessions
+// Run with: node tests/serialize.test.js
+
+import fc from 'fast-check';
+import assert from 'assert';
+import {
+  parse,
+  prettyPrint,
+  numberRedexes,
+  performStep,
+  getRedexes,
+  etaExpand,
+  churchNumeral,
+  ReductionSession,
+  Variable,
+  Abstraction,
+  Application,
+  Thunk,
+} from '../src/kernel.js';
+import {
+  serializeTerm,
+  deserializeTerm,
+  serializeSession,
+  deserializeSession,
+  SerializationError,
+  FORMAT_VERSION,
+} from '../src/serialize.js';
+
+// Names, IDs, marks and renamings of every node, as one string
+function describe(expr) {
+  const marks = e => `${e.fromSubstitution ? '*' : ''}${e.sourceId ?? ''}`;
+  switch (expr.type) {
+    case 'variable':
+      return `${expr.name}${marks(expr)}`;
+    case 'abstraction': {
+      const renamed = expr.renaming ? `{${expr.renaming.from}>${expr.renaming.to}/${expr.renaming.captured}/${expr.renaming.variable}}` : '';
+      return `(λ${expr.param}${renamed}#${expr.id ?? ''}${marks(expr)}.${describe(expr.body)})`;
+    }
+    case 'application':
+      return `(${describe(expr.func)} ${describe(expr.arg)}#${expr.id ?? ''}${marks(expr)})`;
+    case 'thunk':
+      return `[${expr.label}=${describe(expr.expr)}]`;
+  }
+}
+
+const roundTrip = expr => deserializeTerm(serializeTerm(expr));
+
+// The error deserializing `doc` throws
+function errorFor(deserialize, doc) {
+  try {
+    deserialize(doc);
+  } catch (e) {
+    assert.ok(e instanceof SerializationError, `Expected a SerializationError, got ${e}`);
+    return e;
+  }
+  assert.fail('Expected the document to be rejected');
+}
+
+console.log('Testing the JSON interchange format...\n');
+
+// ============================================================================
+// Test 1: Terms keep IDs, marks and renamings
+// ============================================================================
+console.log('Test 1: Term round trip');
+{
+  // (λx.λy.x y) y renames λy, then reduces; the result is marked throughout
+  const before = numberRedexes(parse('(\\x.\\y.x y) y ((\\a.a) b)'));
+  const { expr } = performStep(before, 1);
+  const restored = roundTrip(expr);
+  assert.strictEqual(describe(restored), describe(expr));
+  assert.strictEqual(restored.func.renaming.to, "y'");
+  assert.strictEqual(restored.arg.id, 2);
+  assert.strictEqual(restored.func.fromSubstitution, false);
+
+  const doc = JSON.parse(serializeTerm(expr));
+  assert.strictEqual(doc.format, 'lambda-term');
+  assert.strictEqual(doc.version, FORMAT_VERSION);
+  assert.ok(doc.nodes.every((node, i) => ['body', 'func', 'arg'].every(key => node[key] === undefined || node[key] < i)),
+    'Children come before their parents');
+
+  // Shared subtrees are written once
+  const shared = parse('\\f.f f');
+  assert.strictEqual(JSON.parse(serializeTerm(new Application(shared, shared))).nodes.length, 5);
+  const twice = roundTrip(new Application(shared, shared));
+  assert.strictEqual(twice.func, twice.arg);
+
+  // Thunks too
+  const thunk = new Thunk(new Variable('a'), 't1');
+  const lazy = roundTrip(new Application(thunk, thunk));
+  assert.strictEqual(lazy.func, lazy.arg);
+  assert.strictEqual(describe(lazy), '([t1=a] [t1=a]#)');
+  console.log('  ✓ Term round trip test passed\n');
+}
+
+// ============================================================================
+// Test 2: Sessions keep branches, bookmarks and highlighting
+// ============================================================================
+console.log('Test 2: Session round trip');
+{
+  const session = new ReductionSession(parse('(\\x.x x) ((\\y.y) b)'));
+  session.reduce(1);
+  session.bookmark('copied');
+  session.reduce(1);
+  session.branchFrom(0);
+  session.reduce(2);
+  const expanded = session.addStep(etaExpand(session.current.expr), { kind: 'eta-expand', note: 'by hand' });
+  session.undo();
+
+  const { session: loaded, metadata } = deserializeSession(serializeSession(session, { name: 'demo' }));
+  assert.deepStrictEqual(metadata, { name: 'demo' });
+  assert.deepStrictEqual(loaded.steps.map(step => describe(step.expr)), session.steps.map(step => describe(step.expr)));
+  assert.strictEqual(loaded.current.stepNum, 1);
+  assert.strictEqual(loaded.root.children.length, 2);
+
+  // The eta expansion can be redone, with its note
+  const redone = loaded.redo();
+  assert.strictEqual(redone.kind, 'eta-expand');
+  assert.strictEqual(redone.note, 'by hand');
+  assert.strictEqual(describe(redone.expr), describe(expanded.expr));
+
+  // The first branch, with the linking info the UIs highlight from
+  const copied = loaded.goToBookmark('copied');
+  const original = session.goToBookmark('copied');
+  assert.strictEqual(copied.kind, 'beta');
+  assert.strictEqual(copied.reducedId, 1);
+  assert.strictEqual(copied.linkingInfo.substitutedNodes.length, original.linkingInfo.substitutedNodes.length);
+  assert.strictEqual(copied.linkingInfo.parameterUses.length, 2);
+  assert.strictEqual(copied.linkingInfo.parameterUses[0], loaded.root.expr.func.body.func, 'Parameter uses are nodes of the parent');
+  assert.deepStrictEqual(copied.stats, original.stats);
+  assert.strictEqual(loaded.redo().stepNum, 2);
+
+  // Reducing again reuses the saved steps
+  loaded.branchFrom(0);
+  assert.strictEqual(loaded.reduce(1), copied);
+  console.log('  ✓ Session round trip test passed\n');
+}
+
+// ============================================================================
+// Test 3: Discarded arguments, eta steps and renumbered steps
+// ============================================================================
+console.log('Test 3: Special steps');
+{
+  const options = { eta: false };
+  const session = new ReductionSession(parse('(\\x.\\z.f z) a'), options);
+  const first = session.reduce(1);
+  assert.strictEqual(prettyPrint(first.discardedArg), 'a');
+
+  // Turning eta on renumbers the step that was just made
+  options.eta = true;
+  session.replaceCurrent(numberRedexes(first.expr, { val: 1 }, options));
+  const eta = session.reduce(1);
+
+  const { session: loaded } = deserializeSession(serializeSession(session));
+  assert.strictEqual(loaded.options.eta, true);
+  const [, loadedFirst, loadedEta] = loaded.steps;
+  assert.strictEqual(prettyPrint(loadedFirst.discardedArg), 'a');
+  assert.strictEqual(loadedEta.kind, 'eta');
+  assert.strictEqual(loadedEta.linkingInfo.kind, 'eta');
+  assert.strictEqual(prettyPrint(loadedEta.expr), 'f');
+  assert.strictEqual(loadedFirst.expr.id, 1, 'The renumbered term is the one saved');
+
+  // Renumbered again after the eta step was made: the step keeps the term it came from
+  options.eta = false;
+  session.undo();
+  session.replaceCurrent(numberRedexes(first.expr, { val: 1 }, options));
+  const doc = JSON.parse(serializeSession(session));
+  assert.notStrictEqual(doc.steps[2].from, undefined);
+  const { session: again } = deserializeSession(doc);
+  const againEta = again.redo();
+  assert.strictEqual(againEta.reducedFrom.id, 1);
+  assert.strictEqual(again.current.parent.expr.id, null);
+  assert.strictEqual(againEta.linkingInfo.kind, 'eta');
+  assert.strictEqual(prettyPrint(eta.expr), prettyPrint(againEta.expr));
+  again.undo();
+  assert.strictEqual(again.reduce(1), null, 'Nothing to reduce without eta');
+  console.log('  ✓ Special steps test passed\n');
+}
+
+// ============================================================================
+// Test 4: Clear errors for malformed input
+// ============================================================================
+console.log('Test 4: Malformed input');
+{
+  const good = JSON.parse(serializeSession(new ReductionSession(parse('(\\x.x) a'))));
+  const edit = change => {
+    const doc = structuredClone(good);
+    change(doc);
+    return doc;
+  };
+  const reduced = new ReductionSession(parse('(\\x.x) a'));
+  reduced.reduce(1);
+  const withStep = JSON.parse(serializeSession(reduced));
+
+  assert.match(errorFor(deserializeSession, '{"format": ').message, /^Not valid JSON/);
+  assert.match(errorFor(deserializeSession, '[1, 2]').message, /Expected a JSON object, got \[1,2\]/);
+  assert.match(errorFor(deserializeSession, JSON.parse(serializeTerm(parse('x')))).message, /^format: Expected 'lambda-session', got "lambda-term"/);
+  assert.match(errorFor(deserializeSession, edit(doc => { doc.version = FORMAT_VERSION + 1; })).message, /^version: Version 2 is newer/);
+
+  const badNode = errorFor(deserializeSession, edit(doc => { doc.nodes[3].func = 7; }));
+  assert.strictEqual(badNode.path, 'nodes[3].func');
+  assert.match(badNode.message, /earlier node, got 7/);
+  assert.strictEqual(errorFor(deserializeSession, edit(doc => { doc.nodes[0].type = 'lambda'; })).path, 'nodes[0].type');
+  assert.strictEqual(errorFor(deserializeSession, edit(doc => { doc.nodes[0].name = ''; })).path, 'nodes[0].name');
+  assert.strictEqual(errorFor(deserializeSession, edit(doc => { doc.nodes[3].id = -1; })).path, 'nodes[3].id');
+  assert.strictEqual(errorFor(deserializeSession, edit(doc => { doc.steps = []; })).path, 'steps');
+  assert.strictEqual(errorFor(deserializeSession, edit(doc => { doc.current = 3; })).path, 'current');
+  assert.strictEqual(errorFor(deserializeSession, edit(doc => { doc.options.eta = 'yes'; })).path, 'options.eta');
+  const unknownOption = errorFor(deserializeSession, edit(doc => { doc.options.strategy = 'bogus'; }));
+  assert.strictEqual(unknownOption.message, 'options.strategy: Unknown option (expected one of: eta, combinators)');
+  const settings = { strategy: 'normal', maxSteps: 50 };
+  errorFor(input => deserializeSession(input, { options: settings }), edit(doc => { doc.options.maxSteps = 1; }));
+  assert.deepStrictEqual(settings, { strategy: 'normal', maxSteps: 50 }, 'A rejected file leaves the settings alone');
+  deserializeSession(serializeSession(new ReductionSession(parse('x'), { eta: true, maxSteps: 1 })), { options: settings });
+  assert.deepStrictEqual(settings, { strategy: 'normal', maxSteps: 50, eta: true }, 'Only the session options are saved and copied');
+  assert.strictEqual(errorFor(deserializeSession, edit(doc => { doc.options.combinators = 1; })).path, 'options.combinators');
+  assert.strictEqual(errorFor(deserializeSession, edit(doc => { doc.bookmarks = [{ name: ' ', step: 0 }]; })).path, 'bookmarks[0]');
+
+  const badRedex = errorFor(deserializeSession, { ...withStep, steps: [withStep.steps[0], { ...withStep.steps[1], redex: 4 }] });
+  assert.strictEqual(badRedex.message, 'steps[1].redex: Step 0 has no redex 4');
+  const badParent = errorFor(deserializeSession, { ...withStep, steps: [withStep.steps[0], { ...withStep.steps[1], parent: 1 }] });
+  assert.strictEqual(badParent.path, 'steps[1].parent');
+  const badData = errorFor(deserializeSession, { ...withStep, steps: [withStep.steps[0], { ...withStep.steps[1], data: { expr: 'x' } }] });
+  assert.strictEqual(badData.path, 'steps[1].data.expr');
+  // JSON.parse makes __proto__ an ordinary key; copying it would swap the step's prototype
+  for (const key of ['__proto__', 'constructor', 'prototype']) {
+    const doc = JSON.parse(JSON.stringify(withStep));
+    doc.steps[1].data = JSON.parse(`{"${key}": null}`);
+    const unsafe = errorFor(deserializeSession, JSON.stringify(doc));
+    assert.strictEqual(unsafe.message, `steps[1].data.${key}: '${key}' cannot be a step field`);
+  }
+
+  assert.strictEqual(errorFor(deserializeTerm, { format: 'lambda-term', version: 1, nodes: [], root: 0 }).path, 'root');
+  const cycle = new Thunk(null, 't1');
+  cycle.expr = cycle;
+  assert.throws(() => serializeTerm(cycle), /Cyclic/);
+  console.log('  ✓ Malformed input test passed\n');
+}
+
+// ============================================================================
+// Test 5: Deep terms
+// ============================================================================
+console.log('Test 5: Very deep terms');
+{
+  const deep = churchNumeral(100000);
+  const restored = roundTrip(deep);
+  let depth = 0;
+  for (let e = restored.body.body; e.type === 'application'; e = e.arg) depth++;
+  assert.strictEqual(depth, 100000);
+  console.log('  ✓ Deep term test passed\n');
+}
+
+// ============================================================================
+// Test 6: Any term and any step round-trips (property-based)
+// ============================================================================
+console.log('Test 6: Round trips preserve every field');
+{
+  const names = ['x', 'y', 'z'];
+  const termArb = fc.letrec(tie => ({
+    term: fc.oneof(
+      { depthSize: 'small', withCrossShrink: true },
+      fc.constantFrom(...names).map(name => new Variable(name)),
+      fc.tuple(fc.constantFrom(...names), tie('term')).map(([param, body]) => new Abstraction(param, body)),
+      fc.tuple(tie('term'), tie('term')).map(([func, arg]) => new Application(func, arg))
+    ),
+  })).term;
+
+  const result = fc.check(
+    fc.property(termArb, fc.boolean(), fc.array(fc.nat(), { maxLength: 4 }), (term, eta, picks) => {
+      const session = new ReductionSession(term, { eta });
+      for (const pick of picks) {
+        const redexes = getRedexes(session.current.expr);
+        if (redexes.length === 0) break;
+        session.reduce(redexes[pick % redexes.length].id);
+      }
+      const { session: loaded } = deserializeSession(serializeSession(session));
+      const before = session.steps;
+      return loaded.steps.length === before.length &&
+        loaded.steps.every((step, i) =>
+          describe(step.expr) === describe(before[i].expr) &&
+          step.reducedId === before[i].reducedId &&
+          (step.linkingInfo?.substitutedNodes.length ?? 0) === (before[i].linkingInfo?.substitutedNodes.length ?? 0) &&
+          (step.linkingInfo?.alphaRenames.length ?? 0) === (before[i].linkingInfo?.alphaRenames.length ?? 0)) &&
+        describe(roundTrip(session.current.expr)) === describe(session.current.expr);
+    }),
+    { numRuns: 300 }
+  );
+
+  if (result.failed) {
+    console.log('  FAILED!');
+    console.log('  Counterexample:', result.counterexample);
+    process.exit(1);
+  }
+  console.log(`  Passed ${result.numRuns} tests`);
+  console.log('  ✓ Round trip property test passed\n');
+}
+
+console.log('All tests passed! ✓');
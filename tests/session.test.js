@@ -0,0 +1,164 @@
+// Tests for ReductionSession - undo, redo, branches and bookmarks
+// Run with: node tests/session.test.js
+
+import assert from 'assert';
+import {
+  parse,
+  prettyPrint,
+  numberRedexes,
+  etaExpand,
+  buildLinkingChain,
+  ReductionSession,
+} from '../src/kernel.js';
+
+// (λx.x) a ((λy.y) b): two redexes, either can go first
+const SOURCE = '(\\x.x) a ((\\y.y) b)';
+
+const printed = steps => steps.map(step => prettyPrint(step.expr));
+
+console.log('Testing ReductionSession...\n');
+
+// ============================================================================
+// Test 1: Reducing builds the active branch
+// ============================================================================
+console.log('Test 1: Steps, linking info and the linking chain');
+{
+  const session = new ReductionSession(parse(SOURCE));
+  assert.strictEqual(session.current, session.root);
+  assert.strictEqual(session.root.stepNum, 0);
+  assert.strictEqual(session.root.expr.func.id, 1, 'The start is numbered');
+
+  const first = session.reduce(1);
+  assert.strictEqual(prettyPrint(first.expr), 'a ((λy.y) b)');
+  assert.strictEqual(first.stepNum, 1);
+  assert.strictEqual(first.parent, session.root);
+  assert.strictEqual(first.kind, 'beta');
+  assert.strictEqual(first.linkingInfo.substitutedNodes.length, 1);
+  assert.deepStrictEqual(first.stats, { size: 6, redexCount: 1 });
+
+  session.reduce(1);
+  assert.deepStrictEqual(printed(session.steps), ['(λx.x) a ((λy.y) b)', 'a ((λy.y) b)', 'a b']);
+  assert.strictEqual(session.reduce(7), null, 'No such redex');
+
+  const chain = session.linkingChain();
+  const expected = buildLinkingChain(session.steps);
+  assert.strictEqual(chain.length, 3);
+  assert.strictEqual(chain[0].linkingInfo, null);
+  assert.deepStrictEqual(chain.map(step => step.linkingInfo?.substitutedNodes), expected.map(step => step.linkingInfo?.substitutedNodes));
+  console.log('  ✓ Active branch test passed\n');
+}
+
+// ============================================================================
+// Test 2: Undo and redo
+// ============================================================================
+console.log('Test 2: Undo and redo');
+{
+  const session = new ReductionSession(parse(SOURCE));
+  assert.strictEqual(session.canUndo, false);
+  assert.strictEqual(session.undo(), null);
+
+  const first = session.reduce(1);
+  const second = session.reduce(1);
+  assert.strictEqual(session.undo(), first);
+  assert.strictEqual(session.undo(), session.root);
+  assert.strictEqual(session.canUndo, false);
+  assert.deepStrictEqual(printed(session.steps), ['(λx.x) a ((λy.y) b)']);
+
+  assert.strictEqual(session.redo(), first);
+  assert.strictEqual(session.redo(), second);
+  assert.strictEqual(session.canRedo, false);
+  assert.strictEqual(session.redo(), null);
+
+  // Reducing the same redex again goes back to the step already made
+  session.undo();
+  assert.strictEqual(session.reduce(1), second);
+  assert.strictEqual(first.children.length, 1);
+  console.log('  ✓ Undo/redo test passed\n');
+}
+
+// ============================================================================
+// Test 3: Branches
+// ============================================================================
+console.log('Test 3: Branching from an earlier step');
+{
+  const session = new ReductionSession(parse(SOURCE));
+  session.reduce(1);
+  const end = session.reduce(1);
+
+  // Back to the start: the old steps can still be redone
+  assert.strictEqual(session.branchFrom(0), session.root);
+  assert.strictEqual(session.canRedo, true);
+
+  // Reducing the other redex starts a second branch
+  const other = session.reduce(2);
+  assert.strictEqual(prettyPrint(other.expr), '(λx.x) a b');
+  assert.strictEqual(session.root.children.length, 2);
+  assert.strictEqual(session.root.activeChild, other);
+  const otherEnd = session.reduce(1);
+  assert.deepStrictEqual(printed(session.steps), ['(λx.x) a ((λy.y) b)', '(λx.x) a b', 'a b']);
+
+  // Switching back to the first branch
+  assert.strictEqual(session.goTo(end), end);
+  assert.deepStrictEqual(printed(session.steps), ['(λx.x) a ((λy.y) b)', 'a ((λy.y) b)', 'a b']);
+  session.branchFrom(0);
+  assert.strictEqual(session.redo(), end.parent, 'Redo follows the branch last visited');
+  assert.notStrictEqual(otherEnd, end);
+
+  assert.throws(() => session.branchFrom(5), RangeError);
+  assert.throws(() => session.branchFrom(-1), RangeError);
+  assert.throws(() => session.goTo(new ReductionSession(parse('x')).root), /another session/);
+  console.log('  ✓ Branching test passed\n');
+}
+
+// ============================================================================
+// Test 4: Bookmarks
+// ============================================================================
+console.log('Test 4: Named bookmarks');
+{
+  const session = new ReductionSession(parse(SOURCE));
+  const first = session.reduce(1);
+  session.bookmark('after identity');
+  session.bookmark('start', session.root);
+  session.reduce(1);
+
+  assert.strictEqual(session.goToBookmark('after identity'), first);
+  assert.strictEqual(session.current, first);
+  assert.strictEqual(session.goToBookmark(' start '), session.root);
+  assert.deepStrictEqual(session.bookmarks.map(({ name, step }) => [name, step.stepNum]), [['after identity', 1], ['start', 0]]);
+
+  session.bookmark('start', first);
+  assert.strictEqual(session.bookmarks.find(({ name }) => name === 'start').step, first, 'Bookmarks move');
+  assert.strictEqual(session.removeBookmark('start'), true);
+  assert.strictEqual(session.removeBookmark('start'), false);
+  assert.throws(() => session.goToBookmark('start'), /No bookmark named 'start'/);
+  assert.throws(() => session.bookmark('  '), /needs a name/);
+  console.log('  ✓ Bookmark test passed\n');
+}
+
+// ============================================================================
+// Test 5: Other steps and changing options
+// ============================================================================
+console.log('Test 5: Recorded steps and eta numbering');
+{
+  const options = { eta: false };
+  const session = new ReductionSession(parse('\\x.f x'), options);
+  assert.strictEqual(session.root.expr.id, null);
+
+  // Turning eta on renumbers the current step
+  options.eta = true;
+  session.replaceCurrent(numberRedexes(session.root.expr, { val: 1 }, options));
+  assert.strictEqual(session.root.expr.id, 1);
+  const eta = session.reduce(1);
+  assert.strictEqual(eta.kind, 'eta');
+  assert.strictEqual(prettyPrint(eta.expr), 'f');
+
+  const expanded = session.addStep(etaExpand(eta.expr), { kind: 'eta-expand' });
+  assert.strictEqual(expanded.kind, 'eta-expand');
+  assert.strictEqual(expanded.reducedId, null);
+  assert.strictEqual(expanded.stepNum, 2);
+  assert.strictEqual(session.linkingChain()[2].linkingInfo, null);
+  assert.strictEqual(session.undo(), eta);
+  console.log('  ✓ Recorded step test passed\n');
+}
+
+console.log('All tests passed! ✓');
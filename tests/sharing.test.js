@@ -0,0 +1,197 @@
+// Tests for memoized free variables and shared subtrees in reduction
+// Run with: node tests/sharing.test.js
+
+import fc from 'fast-check';
+import assert from 'assert';
+import {
+  parse,
+  prettyPrint,
+  freeVariables,
+  freshName,
+  substitute,
+  reduceAt,
+  numberRedexes,
+  clearSubstitutionMarks,
+  getRedexes,
+  termSize,
+  isRedex,
+  isEtaRedex,
+  Variable,
+  Abstraction,
+  Application,
+  Thunk,
+} from '../src/kernel.js';
+
+// Every field reduction is expected to keep, as one string
+function describe(expr) {
+  const marks = e => `${e.fromSubstitution ? '*' : ''}${e.sourceId ?? ''}`;
+  switch (expr.type) {
+    case 'variable':
+      return `${expr.name}${marks(expr)}`;
+    case 'abstraction':
+      return `(λ${expr.param}#${expr.id ?? ''}${marks(expr)}.${describe(expr.body)})`;
+    case 'application':
+      return `(${describe(expr.func)} ${describe(expr.arg)}#${expr.id ?? ''}${marks(expr)})`;
+  }
+}
+
+// Substitution that copies every node it passes, as the kernel used to
+function copyingSubstitute(expr, varName, replacement, mark, sourceId) {
+  switch (expr.type) {
+    case 'variable':
+      return expr.name === varName ? replacement.clone(mark, sourceId) : expr;
+    case 'abstraction': {
+      if (expr.param === varName) return expr;
+      const replFree = freeVariables(replacement);
+      let { param, body } = expr;
+      if (replFree.has(param)) {
+        const avoid = new Set([...replFree, ...freeVariables(body), varName]);
+        param = freshName(param, avoid);
+        body = copyingSubstitute(body, expr.param, new Variable(param), false, null);
+      }
+      return new Abstraction(param, copyingSubstitute(body, varName, replacement, mark, sourceId),
+        expr.fromSubstitution, expr.sourceId, expr.id);
+    }
+    case 'application':
+      return new Application(
+        copyingSubstitute(expr.func, varName, replacement, mark, sourceId),
+        copyingSubstitute(expr.arg, varName, replacement, mark, sourceId),
+        expr.id, expr.fromSubstitution, expr.sourceId);
+  }
+}
+
+function copyingReduceAt(expr, targetId) {
+  switch (expr.type) {
+    case 'variable':
+      return expr;
+    case 'abstraction':
+      if (expr.id === targetId && isEtaRedex(expr)) return expr.body.func;
+      return new Abstraction(expr.param, copyingReduceAt(expr.body, targetId), expr.fromSubstitution, expr.sourceId, expr.id);
+    case 'application':
+      if (expr.id === targetId && isRedex(expr)) {
+        return copyingSubstitute(expr.func.body, expr.func.param, expr.arg, true, targetId);
+      }
+      return new Application(copyingReduceAt(expr.func, targetId), copyingReduceAt(expr.arg, targetId),
+        expr.id, expr.fromSubstitution, expr.sourceId);
+  }
+}
+
+console.log('Testing shared subtrees and cached free variables...\n');
+
+// ============================================================================
+// Test 1: Substitution shares what it does not change
+// ============================================================================
+console.log('Test 1: Substitution shares untouched subtrees');
+{
+  const expr = parse('(\\a.a) x (\\b.b y)');
+  const result = substitute(expr, 'x', new Variable('z'));
+  assert.strictEqual(prettyPrint(result), '(λa.a) z λb.b y');
+  assert.strictEqual(result.func.func, expr.func.func, 'λa.a is shared');
+  assert.strictEqual(result.arg, expr.arg, 'λb.b y is shared');
+  assert.notStrictEqual(result.func.arg, expr.func.arg);
+  assert.strictEqual(result.func.arg.fromSubstitution, true);
+
+  // Nothing to replace: the term itself comes back
+  assert.strictEqual(substitute(expr, 'w', new Variable('z')), expr);
+
+  // A binder that would capture is still renamed, as before
+  assert.strictEqual(prettyPrint(substitute(parse('\\y.z'), 'x', new Variable('y'))), "λy'.z");
+  assert.strictEqual(prettyPrint(substitute(parse('\\y.x y'), 'x', new Variable('y'))), "λy'.y y'");
+  console.log('  ✓ Substitution sharing test passed\n');
+}
+
+// ============================================================================
+// Test 2: reduceAt rebuilds only the path to the redex
+// ============================================================================
+console.log('Test 2: reduceAt shares everything off the path');
+{
+  const expr = numberRedexes(parse('f ((\\a.a) b) (\\c.(\\d.d) c)'));
+  const [first, second] = getRedexes(expr).map(redex => redex.id);
+  const reduced = reduceAt(expr, first);
+  assert.strictEqual(prettyPrint(reduced), 'f b λc.(λd.d) c');
+  assert.strictEqual(reduced.arg, expr.arg, 'The other argument is the same object');
+  assert.strictEqual(reduced.func.func, expr.func.func);
+  assert.deepStrictEqual(reduced.arg.span, expr.arg.span, 'Shared subtrees keep their spans');
+  assert.strictEqual(reduced.func.span, null, 'Rebuilt nodes have none');
+
+  const inner = reduceAt(expr, second);
+  assert.strictEqual(inner.func, expr.func, 'The left half is untouched');
+  assert.strictEqual(reduceAt(expr, 99), expr, 'No redex with that ID: nothing changes');
+  console.log('  ✓ reduceAt sharing test passed\n');
+}
+
+// ============================================================================
+// Test 3: Numbering and clearing marks share unchanged nodes
+// ============================================================================
+console.log('Test 3: numberRedexes and clearSubstitutionMarks share');
+{
+  const numbered = numberRedexes(parse('(\\x.x x) ((\\y.y) z)'));
+  assert.strictEqual(numberRedexes(numbered), numbered, 'Already numbered');
+  assert.strictEqual(clearSubstitutionMarks(numbered), numbered, 'Nothing marked');
+
+  const reduced = reduceAt(numbered, 1);
+  const cleared = clearSubstitutionMarks(reduced);
+  assert.strictEqual(describe(cleared), describe(clearSubstitutionMarks(copyingReduceAt(numbered, 1))));
+  assert.strictEqual(getRedexes(cleared).every(({ expr }) => !expr.fromSubstitution), true);
+  console.log('  ✓ Numbering test passed\n');
+}
+
+// ============================================================================
+// Test 4: Cached free variables
+// ============================================================================
+console.log('Test 4: Free variables and sizes are cached safely');
+{
+  const expr = parse('\\x.x y (\\z.z w)');
+  const free = freeVariables(expr);
+  assert.deepStrictEqual([...free].sort(), ['w', 'y']);
+  free.add('oops');
+  assert.deepStrictEqual([...freeVariables(expr)].sort(), ['w', 'y'], 'Callers get their own Set');
+  assert.strictEqual(termSize(expr), 9);
+
+  // The cache does not show up when terms are compared or printed as JSON
+  assert.deepStrictEqual(expr, parse('\\x.x y (\\z.z w)'));
+  assert.strictEqual(JSON.stringify(expr), JSON.stringify(parse('\\x.x y (\\z.z w)')));
+
+  // Thunk contents can change, so they are never cached
+  const thunk = new Thunk(new Variable('a'), 't1');
+  const withThunk = new Application(new Variable('f'), thunk);
+  assert.deepStrictEqual([...freeVariables(withThunk)].sort(), ['a', 'f']);
+  thunk.expr = new Variable('b');
+  assert.deepStrictEqual([...freeVariables(withThunk)].sort(), ['b', 'f']);
+  console.log('  ✓ Free variable cache test passed\n');
+}
+
+// ============================================================================
+// Test 5: Same results as copying substitution (property-based)
+// ============================================================================
+console.log('Test 5: reduceAt matches copying substitution');
+{
+  const names = ['x', 'y', 'z'];
+  const termArb = fc.letrec(tie => ({
+    term: fc.oneof(
+      { depthSize: 'small', withCrossShrink: true },
+      fc.constantFrom(...names).map(name => new Variable(name)),
+      fc.tuple(fc.constantFrom(...names), tie('term')).map(([param, body]) => new Abstraction(param, body)),
+      fc.tuple(tie('term'), tie('term')).map(([func, arg]) => new Application(func, arg))
+    ),
+  })).term;
+
+  const result = fc.check(
+    fc.property(termArb, fc.boolean(), (term, eta) => {
+      const expr = numberRedexes(term, { val: 1 }, { eta });
+      return getRedexes(expr).every(({ id }) =>
+        describe(reduceAt(expr, id)) === describe(copyingReduceAt(expr, id)));
+    }),
+    { numRuns: 500 }
+  );
+
+  if (result.failed) {
+    console.log('  FAILED!');
+    console.log('  Counterexample:', result.counterexample);
+    process.exit(1);
+  }
+  console.log(`  Passed ${result.numRuns} tests`);
+  console.log('  ✓ Equivalence test passed\n');
+}
+
+console.log('All tests passed! ✓');
@@ -0,0 +1,149 @@
+// Tests for the shortest-path-to-normal-form search
+// Run with: node tests/shortest.test.js
+
+import fc from 'fast-check';
+import assert from 'assert';
+import {
+  parse,
+  prettyPrint,
+  reduceAt,
+  numberRedexes,
+  normalize,
+  alphaEquivalent,
+  shortestNormalization,
+  compareWithNormalOrder,
+  exploreReductionGraph,
+  reductionPath,
+  TERMINATION,
+  Variable,
+  Abstraction,
+  Application,
+} from '../src/kernel.js';
+
+// Follow a path of redex IDs the way a user would, renumbering after each step
+function replay(expr, path) {
+  let current = numberRedexes(expr);
+  for (const id of path) {
+    current = numberRedexes(reduceAt(current, id));
+  }
+  return current;
+}
+
+console.log('Testing shortest normalization...\n');
+
+// ============================================================================
+// Test 1: Shortest paths beat normal order when it copies redexes
+// ============================================================================
+console.log('Test 1: Fewer steps than normal order');
+{
+  const expr = parse('(\\x.x x) ((\\a.a) b)');
+  const result = shortestNormalization(expr);
+  assert.strictEqual(result.reason, TERMINATION.NORMAL_FORM);
+  assert.deepStrictEqual(result.path, [2, 1], 'Reduce the argument first');
+  assert.strictEqual(prettyPrint(replay(expr, result.path)), 'b b');
+  assert.deepStrictEqual(result.steps.map(step => step.reducedId), [null, 2, 1], 'Steps in normalize() shape');
+  assert(alphaEquivalent(result.steps[2].expr, parse('b b')));
+
+  const comparison = compareWithNormalOrder(expr);
+  assert.strictEqual(comparison.normalOrder.steps.length - 1, 3);
+  assert.strictEqual(comparison.saved, 1);
+
+  // Church Pred: normal order is already optimal
+  const pred = compareWithNormalOrder(parse('(\\n.\\f.\\x.n (\\g.\\h.h (g f)) (\\u.x) (\\u.u)) (\\f.\\x.f (f (f x))) s z'));
+  assert.strictEqual(pred.shortest.path.length, 13);
+  assert.strictEqual(pred.saved, 0);
+  console.log('  ✓ Fewer steps test passed\n');
+}
+
+// ============================================================================
+// Test 2: Terms with and without normal forms
+// ============================================================================
+console.log('Test 2: Search outcomes');
+{
+  const already = shortestNormalization(parse('\\x.x'));
+  assert.deepStrictEqual(already.path, [], 'A normal form needs no steps');
+  assert.strictEqual(already.steps.length, 1);
+
+  const omega = shortestNormalization(parse('(\\x.x x) (\\x.x x)'));
+  assert.strictEqual(omega.path, null);
+  assert.strictEqual(omega.reason, TERMINATION.CYCLE, 'Omega only reaches itself');
+  assert.strictEqual(omega.explored, 1);
+
+  const escape = shortestNormalization(parse('(\\x.y) ((\\x.x x) (\\x.x x))'));
+  assert.deepStrictEqual(escape.path, [1], 'Discarding the loop finishes at once');
+
+  const growing = shortestNormalization(parse('(\\x.x x x) (\\x.x x x)'), { maxNodes: 50 });
+  assert.strictEqual(growing.reason, TERMINATION.FUEL_EXHAUSTED, 'Node budget');
+  assert.strictEqual(growing.explored, 50);
+
+  const large = shortestNormalization(parse('(\\x.x x x) (\\x.x x x)'), { maxSize: 30 });
+  assert.strictEqual(large.reason, TERMINATION.SIZE_LIMIT, 'Size limit');
+
+  const comparison = compareWithNormalOrder(parse('(\\x.x x) (\\x.x x)'), { maxSteps: 10 });
+  assert.strictEqual(comparison.saved, null, 'Nothing to compare');
+  console.log('  ✓ Search outcomes test passed\n');
+}
+
+// ============================================================================
+// Test 3: Eta steps count too
+// ============================================================================
+console.log('Test 3: Eta');
+{
+  const expr = parse('\\x.f x');
+  assert.deepStrictEqual(shortestNormalization(expr).path, [], 'A beta normal form');
+  const withEta = shortestNormalization(expr, { eta: true });
+  assert.deepStrictEqual(withEta.path, [1], 'One eta step away from f');
+  assert.strictEqual(prettyPrint(withEta.steps[1].expr), 'f');
+  assert.strictEqual(compareWithNormalOrder(parse('(\\x.f x) ((\\y.y) a)'), { eta: true }).shortest.path.length, 2);
+  console.log('  ✓ Eta test passed\n');
+}
+
+// ============================================================================
+// Test 4: Never longer than any strategy (property-based)
+// ============================================================================
+console.log('Test 4: Shortest paths are valid and minimal');
+{
+  const names = ['x', 'y', 'z'];
+  const termArb = fc.letrec(tie => ({
+    term: fc.oneof(
+      { depthSize: 'small', withCrossShrink: true },
+      fc.constantFrom(...names).map(name => new Variable(name)),
+      fc.tuple(fc.constantFrom(...names), tie('term')).map(([param, body]) => new Abstraction(param, body)),
+      fc.tuple(tie('term'), tie('term')).map(([func, arg]) => new Application(func, arg))
+    ),
+  })).term;
+
+  const result = fc.check(
+    fc.property(termArb, (expr) => {
+      const shortest = shortestNormalization(expr, { maxNodes: 300 });
+      if (shortest.reason !== TERMINATION.NORMAL_FORM) return true;
+
+      // Replaying the path reaches the same normal form as normal order
+      // (normal forms are unique up to renaming)
+      const reached = replay(expr, shortest.path);
+      const normal = normalize(expr, { maxSteps: 200 });
+      if (normal.reason === TERMINATION.NORMAL_FORM && !alphaEquivalent(reached, normal.expr)) return false;
+
+      // No strategy finds a shorter path, and the graph agrees on the distance
+      for (const strategy of ['normal', 'applicative', 'cbv', 'head']) {
+        const run = normalize(expr, { strategy, maxSteps: 200 });
+        if (run.reason === TERMINATION.NORMAL_FORM && run.steps.length - 1 < shortest.path.length &&
+            alphaEquivalent(run.expr, reached)) return false;
+      }
+      const graph = exploreReductionGraph(expr, { maxDepth: shortest.path.length, maxNodes: 300 });
+      const target = graph.nodes.find(node => alphaEquivalent(node.expr, reached));
+      return !target || reductionPath(graph, target.id).length === shortest.path.length;
+    }),
+    { numRuns: 200 }
+  );
+
+  if (result.failed) {
+    console.log('  FAILED!');
+    console.log('  Counterexample:', result.counterexample);
+    process.exit(1);
+  }
+  console.log(`  Passed ${result.numRuns} tests`);
+  console.log('  ✓ Minimality test passed\n');
+}
+
+console.log('All tests passed! ✓');
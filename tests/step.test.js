@@ -0,0 +1,168 @@
+// Tests for performStep - one reduction step with everything the UIs show
+// Run with: node tests/step.test.js
+
+import fc from 'fast-check';
+import assert from 'assert';
+import {
+  parse,
+  prettyPrint,
+  toPlainString,
+  numberRedexes,
+  clearSubstitutionMarks,
+  reduceAt,
+  performStep,
+  getRedexes,
+  getRedexCount,
+  getFullLinkingInfo,
+  getSubstitutions,
+  termSize,
+  Variable,
+  Abstraction,
+  Application,
+} from '../src/kernel.js';
+
+// The separate passes performStep replaces
+function pipelineStep(expr, redexId, options = {}) {
+  const numbered = numberRedexes(clearSubstitutionMarks(expr), { val: 1 }, options);
+  return numberRedexes(reduceAt(numbered, redexId), { val: 1 }, options);
+}
+
+// Names, IDs and marks of every node, as one string
+function describe(expr) {
+  const marks = e => `${e.fromSubstitution ? '*' : ''}${e.sourceId ?? ''}`;
+  switch (expr.type) {
+    case 'variable':
+      return `${expr.name}${marks(expr)}`;
+    case 'abstraction':
+      return `(λ${expr.param}#${expr.id ?? ''}${marks(expr)}.${describe(expr.body)})`;
+    case 'application':
+      return `(${describe(expr.func)} ${describe(expr.arg)}#${expr.id ?? ''}${marks(expr)})`;
+  }
+}
+
+console.log('Testing performStep...\n');
+
+// ============================================================================
+// Test 1: A beta step
+// ============================================================================
+console.log('Test 1: Beta step result, redexes and linking info');
+{
+  const expr = numberRedexes(parse('(\\x.x x) ((\\a.a) b)'));
+  const result = performStep(expr, 1);
+  assert.strictEqual(prettyPrint(result.expr), '(λa.a) b ((λa.a) b)');
+  assert.strictEqual(describe(result.expr), describe(pipelineStep(expr, 1)));
+
+  assert.deepStrictEqual(result.redexes.map(({ id, kind }) => [id, kind]), [[1, 'beta'], [2, 'beta']]);
+  assert.strictEqual(result.redexes[0].expr, result.expr.func, 'Redex nodes are nodes of the result');
+
+  const { linkingInfo } = result;
+  assert.strictEqual(linkingInfo.kind, 'beta');
+  assert.strictEqual(linkingInfo.sourceArg, expr.arg);
+  assert.strictEqual(linkingInfo.parameterUses.length, 2);
+  assert.strictEqual(linkingInfo.parameterUses[0], expr.func.body.func, 'Parameter uses are nodes of expr');
+  assert.deepStrictEqual(linkingInfo.substitutedNodes, getSubstitutions(result.expr).get(1));
+  assert.strictEqual(linkingInfo.hasSubstitutions, true);
+  assert.strictEqual(linkingInfo.wasUsed, true);
+  assert.strictEqual(result.discardedArg, null);
+  assert.deepStrictEqual(result.stats, { size: 9, redexCount: 2 });
+  console.log('  ✓ Beta step test passed\n');
+}
+
+// ============================================================================
+// Test 2: Discarded arguments, eta steps and missing redexes
+// ============================================================================
+console.log('Test 2: Discarded argument, eta step, unknown redex');
+{
+  const expr = numberRedexes(parse('(\\x.y) ((\\a.a) b)'));
+  const result = performStep(expr, 1);
+  assert.strictEqual(prettyPrint(result.expr), 'y');
+  assert.strictEqual(toPlainString(result.discardedArg), '((λa.a) b)');
+  assert.strictEqual(result.linkingInfo.wasUsed, false);
+  assert.strictEqual(result.linkingInfo.hasSubstitutions, false);
+  assert.deepStrictEqual(result.stats, { size: 1, redexCount: 0 });
+
+  const eta = numberRedexes(parse('\\x.f x'), { val: 1 }, { eta: true });
+  const etaResult = performStep(eta, 1, { eta: true });
+  assert.strictEqual(prettyPrint(etaResult.expr), 'f');
+  assert.strictEqual(etaResult.linkingInfo.kind, 'eta');
+  assert.strictEqual(etaResult.linkingInfo.sourceArg, null);
+  assert.strictEqual(etaResult.discardedArg, null);
+
+  assert.strictEqual(performStep(expr, 5), null);
+  console.log('  ✓ Special cases test passed\n');
+}
+
+// ============================================================================
+// Test 3: Marks from the previous step are replaced
+// ============================================================================
+console.log('Test 3: Only the latest step is marked');
+{
+  const first = performStep(numberRedexes(parse('(\\f.f (f z)) (\\a.a)')), 1);
+  assert.strictEqual(first.linkingInfo.substitutedNodes.length, 2);
+  const second = performStep(first.expr, 2);
+  assert.strictEqual(prettyPrint(second.expr), '(λa.a) z');
+  assert.deepStrictEqual([...getSubstitutions(second.expr).keys()], [2], 'Marks from redex 1 are gone');
+  assert.strictEqual(describe(second.expr), describe(pipelineStep(first.expr, 2)));
+
+  // Everything before the redex keeps its node
+  const expr = numberRedexes(parse('(\\p.p) q ((\\a.a) b)'));
+  const later = performStep(expr, 2);
+  assert.strictEqual(later.expr.func, expr.func, 'The unchanged first redex is shared');
+  console.log('  ✓ Mark clearing test passed\n');
+}
+
+// ============================================================================
+// Test 4: Same as the separate passes (property-based)
+// ============================================================================
+console.log('Test 4: performStep matches clear / number / reduce / number');
+{
+  const names = ['x', 'y', 'z'];
+  const termArb = fc.letrec(tie => ({
+    term: fc.oneof(
+      { depthSize: 'small', withCrossShrink: true },
+      fc.constantFrom(...names).map(name => new Variable(name)),
+      fc.tuple(fc.constantFrom(...names), tie('term')).map(([param, body]) => new Abstraction(param, body)),
+      fc.tuple(tie('term'), tie('term')).map(([func, arg]) => new Application(func, arg))
+    ),
+  })).term;
+
+  const result = fc.check(
+    fc.property(termArb, fc.boolean(), fc.nat(), (term, eta, pick) => {
+      const options = { eta };
+      let expr = numberRedexes(term, { val: 1 }, options);
+      // Start from a marked term half of the time
+      const firstRedexes = getRedexes(expr);
+      if (pick % 2 === 1 && firstRedexes.length > 0) {
+        expr = performStep(expr, firstRedexes[pick % firstRedexes.length].id, options).expr;
+      }
+
+      return getRedexes(expr).every(({ id }) => {
+        const { expr: after, redexes, linkingInfo, stats } = performStep(expr, id, options);
+        const full = getFullLinkingInfo(expr, after, id);
+        return describe(after) === describe(pipelineStep(expr, id, options)) &&
+          redexes.length === getRedexes(after).length &&
+          redexes.every((redex, i) => redex.expr === getRedexes(after)[i].expr && redex.id === getRedexes(after)[i].id) &&
+          linkingInfo.sourceArg === full.sourceArg &&
+          linkingInfo.wasUsed === full.wasUsed &&
+          linkingInfo.parameterUses.every((use, i) => use === full.parameterUses[i]) &&
+          linkingInfo.substitutedNodes.length === full.substitutedNodes.length &&
+          linkingInfo.substitutedNodes.every((node, i) => node === full.substitutedNodes[i]) &&
+          linkingInfo.alphaRenames.length === full.alphaRenames.length &&
+          linkingInfo.alphaRenames.every((rename, i) => rename.binder === full.alphaRenames[i].binder && rename.to === full.alphaRenames[i].to) &&
+          stats.size === termSize(after) &&
+          stats.redexCount === getRedexCount(after);
+      });
+    }),
+    { numRuns: 500 }
+  );
+
+  if (result.failed) {
+    console.log('  FAILED!');
+    console.log('  Counterexample:', result.counterexample);
+    process.exit(1);
+  }
+  console.log(`  Passed ${result.numRuns} tests`);
+  console.log('  ✓ Equivalence test passed\n');
+}
+
+console.log('All tests passed! ✓');
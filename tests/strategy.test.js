@@ -0,0 +1,123 @@
+// Tests for reduction strategies - choosing the next redex automatically
+// Run with: node tests/strategy.test.js
+
+import assert from 'assert';
+import {
+  parse,
+  numberRedexes,
+  toPlainString,
+  STRATEGIES,
+  getStrategy,
+  selectRedex,
+  step,
+} from '../src/kernel.js';
+
+// Helper to set up initial expression
+function setup(exprString) {
+  return numberRedexes(parse(exprString));
+}
+
+// Helper to run a strategy until it stops (with a step limit)
+function run(exprString, strategy, limit = 50) {
+  let expr = setup(exprString);
+  for (let i = 0; i < limit; i++) {
+    const next = step(expr, strategy);
+    if (next === null) break;
+    expr = next.expr;
+  }
+  return toPlainString(expr);
+}
+
+console.log('Testing reduction strategies...\n');
+
+// ============================================================================
+// Test 1: Strategy lookup
+// ============================================================================
+console.log('Test 1: Strategy lookup');
+{
+  assert.deepStrictEqual(
+    Object.keys(STRATEGIES),
+    ['normal', 'applicative', 'cbn', 'cbv', 'head'],
+    'All five strategies are available'
+  );
+  assert.strictEqual(getStrategy('cbv'), STRATEGIES.cbv, 'Lookup by name');
+  assert.strictEqual(getStrategy(STRATEGIES.head), STRATEGIES.head, 'Descriptor passes through');
+  assert.throws(() => getStrategy('lazy'), /Unknown reduction strategy/, 'Unknown name throws');
+
+  console.log('  ✓ Strategy lookup test passed\n');
+}
+
+// ============================================================================
+// Test 2: Outermost vs innermost choice
+// (λx.y) ((λa.a) b) - redex [1] is the outer one, [2] the argument
+// ============================================================================
+console.log('Test 2: Outermost vs innermost');
+{
+  const expr = setup('(\\x.y) ((\\a.a) b)');
+  assert.strictEqual(selectRedex(expr, 'normal'), 1, 'Normal order picks outer redex');
+  assert.strictEqual(selectRedex(expr, 'cbn'), 1, 'Call-by-name picks outer redex');
+  assert.strictEqual(selectRedex(expr, 'head'), 1, 'Head reduction picks outer redex');
+  assert.strictEqual(selectRedex(expr, 'applicative'), 2, 'Applicative order picks argument');
+  assert.strictEqual(selectRedex(expr, 'cbv'), 2, 'Call-by-value picks argument');
+
+  console.log('  ✓ Outermost vs innermost test passed\n');
+}
+
+// ============================================================================
+// Test 3: Reduction under lambda
+// ============================================================================
+console.log('Test 3: Reduction under lambda');
+{
+  const expr = setup('\\z.(\\x.x) z');
+  assert.strictEqual(selectRedex(expr, 'normal'), 1, 'Normal order reduces under lambda');
+  assert.strictEqual(selectRedex(expr, 'applicative'), 1, 'Applicative order reduces under lambda');
+  assert.strictEqual(selectRedex(expr, 'head'), 1, 'Head reduction reduces under lambda');
+  assert.strictEqual(selectRedex(expr, 'cbn'), null, 'Call-by-name stops at a lambda');
+  assert.strictEqual(selectRedex(expr, 'cbv'), null, 'Call-by-value stops at a lambda');
+
+  console.log('  ✓ Reduction under lambda test passed\n');
+}
+
+// ============================================================================
+// Test 4: Arguments of stuck applications
+// x ((λa.a) b) - the head is a free variable
+// ============================================================================
+console.log('Test 4: Arguments of stuck applications');
+{
+  const expr = setup('x ((\\a.a) b)');
+  assert.strictEqual(selectRedex(expr, 'normal'), 1, 'Normal order reduces the argument');
+  assert.strictEqual(selectRedex(expr, 'cbv'), 1, 'Call-by-value reduces the argument');
+  assert.strictEqual(selectRedex(expr, 'head'), null, 'Already in head normal form');
+  assert.strictEqual(selectRedex(expr, 'cbn'), null, 'Already in weak head normal form');
+
+  console.log('  ✓ Stuck application test passed\n');
+}
+
+// ============================================================================
+// Test 5: step() runs to the expected results
+// ============================================================================
+console.log('Test 5: step() results');
+{
+  // Normal order escapes the diverging argument, applicative order does not
+  const kOmega = '(\\x.\\y.x) keep ((\\x.x x) (\\x.x x))';
+  assert.strictEqual(run(kOmega, 'normal'), 'keep', 'Normal order discards Omega');
+  assert.strictEqual(run(kOmega, 'cbn'), 'keep', 'Call-by-name discards Omega');
+  assert.notStrictEqual(run(kOmega, 'applicative', 10), 'keep', 'Applicative order loops on Omega');
+
+  // Church addition 2 + 2 applied to s z
+  const add = '(\\m.\\n.\\f.\\x.m f (n f x)) (\\f.\\x.f (f x)) (\\f.\\x.f (f x)) s z';
+  for (const name of Object.keys(STRATEGIES)) {
+    if (name === 'head' || name === 'cbn') continue;
+    assert.strictEqual(run(add, name), '(s (s (s (s z))))', `${name} computes 2 + 2`);
+  }
+
+  // step returns null at normal form and records the reduced redex otherwise
+  assert.strictEqual(step(setup('x y'), 'normal'), null, 'No step in normal form');
+  const result = step(setup('(\\x.x) hello'), 'normal');
+  assert.strictEqual(result.reducedId, 1, 'Reduced redex [1]');
+  assert.strictEqual(toPlainString(result.expr), 'hello', 'Result is hello');
+
+  console.log('  ✓ step() test passed\n');
+}
+
+console.log('All tests passed! ✓');
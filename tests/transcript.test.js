@@ -0,0 +1,155 @@
+// Tests for exportTranscript - reduction histories as LaTeX, Markdown and HTML
+// Run with: node tests/transcript.test.js
+
+import assert from 'assert';
+import { readFileSync } from 'fs';
+import {
+  parse,
+  normalize,
+  etaExpand,
+  ReductionSession,
+} from '../src/kernel.js';
+import { numberCombinatorRedexes, reduceCombinatorAt, COMBINATORS } from '../src/combinators.js';
+import { exportTranscript, TRANSCRIPT_FORMATS } from '../src/transcript.js';
+
+// Renames y to y', then discards an argument
+function reduceAll(source) {
+  const session = new ReductionSession(parse(source));
+  while (session.reduce(1) !== null);
+  return session;
+}
+const SOURCE = '(\\x.\\y.x y) (\\a.y) ((\\k.z) w)';
+
+// The lines of a LaTeX transcript that hold steps
+const latexItems = text => text.split('\n').filter(line => line.trimStart().startsWith('\\item'));
+
+console.log('Testing transcript export...\n');
+
+// ============================================================================
+// Test 1: Markdown
+// ============================================================================
+console.log('Test 1: Markdown lists numbered steps with notes');
+{
+  const { steps } = reduceAll(SOURCE);
+  assert.strictEqual(exportTranscript(steps, 'markdown'), [
+    '# Reduction of (λx y.x y) (λa.y) ((λk.z) w)',
+    '',
+    '0. `(λx y.x y) (λa.y) ((λk.z) w)`',
+    "1. `(λy'.(λa.y) y') ((λk.z) w)` — reduced [1]; α: renamed λy to λy' so the free y in the argument for x is not captured",
+    '2. `(λa.y) ((λk.z) w)` — reduced [1]',
+    '3. `y` — reduced [1]; discarded `(λk.z) w`',
+    ''
+  ].join('\n'));
+
+  const titled = exportTranscript(steps.slice(0, 1), 'markdown', { title: 'Handout 3' });
+  assert.strictEqual(titled, '# Handout 3\n\n0. `(λx y.x y) (λa.y) ((λk.z) w)`\n');
+  console.log('  ✓ Markdown test passed\n');
+}
+
+// ============================================================================
+// Test 2: LaTeX
+// ============================================================================
+console.log('Test 2: LaTeX colours substitutions and underlines redexes');
+{
+  const text = exportTranscript(reduceAll(SOURCE).steps, 'latex', { title: 'Capture & renaming_1' });
+  assert.ok(text.startsWith('\\documentclass{article}\n'));
+  assert.ok(text.includes('\\usepackage{xcolor}'));
+  assert.ok(text.includes('\\section*{Capture \\& renaming\\_1}'), 'Titles are escaped');
+  assert.ok(text.trimEnd().endsWith('\\end{document}'));
+
+  const items = latexItems(text);
+  assert.strictEqual(items.length, 4);
+  // The redex the next step contracts is underlined, with the uses of its parameter
+  assert.strictEqual(items[0],
+    '  \\item[Start] $\\underline{(\\lambda \\mathit{x}\\,\\mathit{y}.\\textcolor{parameter}{\\mathit{x}}\\ \\mathit{y})\\ (\\lambda \\mathit{a}.\\mathit{y})}\\ ((\\lambda \\mathit{k}.\\mathit{z})\\ \\mathit{w})$');
+  // The substituted argument is coloured and the renamed binder marked
+  assert.ok(items[1].includes('\\textcolor{substituted}{(\\lambda \\mathit{a}.\\mathit{y})}'));
+  assert.ok(items[1].includes("\\lambda \\textcolor{renamed}{\\mathit{y'}}."));
+  assert.strictEqual(items[3], '  \\item[Step 3] $\\mathit{y}$', 'Nothing is underlined in the last step');
+  assert.ok(text.includes('\\hfill {\\small reduced [1]; discarded $(\\lambda \\mathit{k}.\\mathit{z})\\ \\mathit{w}$}'));
+  assert.ok(text.includes('$\\alpha$: renamed $\\lambda \\mathit{y}$ to $\\lambda \\mathit{y\'}$'));
+  console.log('  ✓ LaTeX test passed\n');
+}
+
+// ============================================================================
+// Test 3: HTML
+// ============================================================================
+console.log('Test 3: Standalone HTML with the web UI styles and boxes');
+{
+  const { steps } = reduceAll(SOURCE);
+  const page = exportTranscript(steps, 'html');
+  assert.ok(page.startsWith('<!DOCTYPE html>\n'));
+  assert.ok(page.includes(readFileSync(new URL('../docs/style.css', import.meta.url), 'utf8')), 'docs/style.css is embedded');
+  assert.ok(!page.includes('<link'), 'Nothing is loaded from elsewhere');
+  assert.strictEqual((page.match(/<div class="message">/g) ?? []).length, 4);
+
+  assert.ok(page.includes('<span class="step-badge">Start</span>'));
+  assert.ok(page.includes('<span class="param-use-box">x</span>'));
+  assert.ok(page.includes('<span class="arg source-highlight"><span class="paren depth-2">(</span>λa.y<span class="paren depth-2">)</span></span>'));
+  assert.ok(page.includes('<span class="substitution-box"><span class="paren depth-2">(</span>λa.y<span class="paren depth-2">)</span></span>'));
+  assert.ok(page.includes("λ<span class=\"renamed-binder\">y'</span>."));
+  assert.ok(page.includes('<span class="discarded-label">discarded:</span> <code>(λk.z) w</code>'));
+
+  const custom = exportTranscript(steps, 'html', { title: 'a < b & "c"', stylesheet: 'body { color: red; }\n' });
+  assert.ok(custom.includes('<title>a &lt; b &amp; &quot;c&quot;</title>'));
+  assert.ok(custom.includes('body { color: red; }'));
+  assert.ok(!custom.includes('.substitution-box {'));
+  console.log('  ✓ HTML test passed\n');
+}
+
+// ============================================================================
+// Test 4: Other kinds of steps
+// ============================================================================
+console.log('Test 4: normalize() steps, eta, combinators and web-style steps');
+{
+  // Steps without linking info: parameter uses are worked out from the redex
+  const { steps } = normalize(parse('(\\f.f (f z)) (\\a.a)'));
+  const items = latexItems(exportTranscript(steps, 'latex'));
+  assert.strictEqual((items[0].match(/\\textcolor\{parameter\}/g) ?? []).length, 2);
+  assert.ok(items[1].startsWith('  \\item[Step 1] $\\underline{\\textcolor{substituted}{'));
+  assert.strictEqual(exportTranscript(steps, 'markdown').split('\n')[3], '1. `(λa.a) ((λa.a) z)` — reduced [1]');
+
+  const session = new ReductionSession(parse('\\x.f x'), { eta: true });
+  session.reduce(1);
+  session.addStep(etaExpand(session.current.expr), { kind: 'eta-expand' });
+  assert.deepStrictEqual(exportTranscript(session.steps, 'markdown').split('\n').slice(2, 5),
+    ['0. `λx.f x`', '1. `f` — η-reduced [1]', '2. `λx.f x` — η-expanded']);
+  assert.ok(exportTranscript(session.steps, 'latex').includes('\\hfill {\\small $\\eta$-reduced [1]}'));
+
+  const start = numberCombinatorRedexes(parse('S K K x'));
+  const combinatorSteps = [
+    { expr: start, reducedId: null, kind: 'start' },
+    { expr: numberCombinatorRedexes(reduceCombinatorAt(start, 1)), reducedId: 1, kind: 'combinator', rule: COMBINATORS.S.rule }
+  ];
+  assert.strictEqual(exportTranscript(combinatorSteps, 'markdown').split('\n')[3], `1. \`K x (K x)\` — reduced [1]: ${COMBINATORS.S.rule}`);
+
+  // The web UI keeps discarded arguments as text
+  const webSteps = [
+    { expr: parse('(\\x.y) z'), reducedId: null, stepNum: 0 },
+    { expr: parse('y'), reducedId: 1, kind: 'beta', stepNum: 1, discardedArg: 'z' }
+  ];
+  assert.ok(exportTranscript(webSteps, 'html', { stylesheet: '' }).includes('<code>z</code>'));
+
+  assert.deepStrictEqual(TRANSCRIPT_FORMATS, ['latex', 'markdown', 'html']);
+  assert.throws(() => exportTranscript(steps, 'pdf'), /Unknown transcript format 'pdf' \(expected one of: latex, markdown, html\)/);
+  assert.throws(() => exportTranscript([], 'latex'), /at least one step/);
+  console.log('  ✓ Other steps test passed\n');
+}
+
+// ============================================================================
+// Test 5: Deep terms
+// ============================================================================
+console.log('Test 5: Terms nested far deeper than the call stack');
+{
+  const session = new ReductionSession(parse('(\\x.x) 20000', { literals: true }));
+  session.reduce(1);
+  const items = latexItems(exportTranscript(session.steps, 'latex'));
+  assert.strictEqual(items.length, 2);
+  assert.strictEqual((items[1].match(/\\mathit\{f\}/g) ?? []).length, 20001, 'The binder and every use of f');
+  const page = exportTranscript(session.steps, 'html', { stylesheet: '' });
+  assert.strictEqual((page.match(/<div class="message">/g) ?? []).length, 2);
+  assert.ok(page.includes('<span class="substitution-box">λf x.f'));
+  console.log('  ✓ Deep terms test passed\n');
+}
+
+console.log('All tests passed! ✓');
@@ -0,0 +1,141 @@
+// Tests for Hindley-Milner type inference
+// Run with: node tests/types.test.js
+
+import fc from 'fast-check';
+import assert from 'assert';
+import { parse, normalize, Variable, Abstraction, Application } from '../src/kernel.js';
+import { inferType, typeToString, typeString, TYPE_ERRORS } from '../src/types.js';
+
+// Principal type of a term written with literal sugar
+function typeOf(exprString) {
+  return typeString(parse(exprString, { literals: true }));
+}
+
+console.log('Testing type inference...\n');
+
+// ============================================================================
+// Test 1: Principal types of combinators
+// ============================================================================
+console.log('Test 1: Principal types');
+{
+  const cases = [
+    ['\\x.x', 'a → a'],
+    ['\\x y.x', 'a → b → a'],
+    ['\\x y z.x z (y z)', '(a → b → c) → (a → b) → a → c'],
+    ['\\f g x.f (g x)', '(a → b) → (c → a) → c → b'],
+    ['\\f x y.f y x', '(a → b → c) → b → a → c'],
+    ['2', '(a → a) → a → a'],
+    ['(\\m n f.m (n f)) 2 3', '(a → a) → a → a'],
+    ['(\\x.x) (\\y.y)', 'a → a'],
+  ];
+
+  for (const [input, expected] of cases) {
+    assert.strictEqual(typeOf(input), expected, `Type of ${input}`);
+    console.log(`  ${input} : ${expected}`);
+  }
+  console.log('  ✓ Principal types test passed\n');
+}
+
+// ============================================================================
+// Test 2: Untypable terms
+// ============================================================================
+console.log('Test 2: Self-application has no type');
+{
+  for (const input of ['\\x.x x', '(\\x.x x) (\\x.x x)', '\\f.(\\x.f (x x)) (\\x.f (x x))']) {
+    const result = inferType(parse(input));
+    assert.strictEqual(result.ok, false, `${input} is untypable`);
+    assert.strictEqual(result.error.code, TYPE_ERRORS.INFINITE_TYPE);
+    assert.strictEqual(result.error.expr.type, 'application', 'Error points at an application');
+    assert.strictEqual(result.error.expr.func.name, 'x', 'The self-application x x');
+    assert.match(result.error.message, /infinite type a = a → b/);
+    console.log(`  ${input}: ${result.error.message}`);
+  }
+  console.log('  ✓ Untypable terms test passed\n');
+}
+
+// ============================================================================
+// Test 3: Free variables are type constants
+// ============================================================================
+console.log('Test 3: Free variables');
+{
+  assert.strictEqual(typeOf('x'), 'X');
+  assert.strictEqual(typeOf('(\\x.x) succ'), 'Succ');
+  assert.strictEqual(typeOf('\\f.f zero'), '(Zero → a) → a');
+
+  const result = inferType(parse('f x'));
+  assert.strictEqual(result.ok, false, 'A constant is not a function');
+  assert.strictEqual(result.error.code, TYPE_ERRORS.MISMATCH);
+  assert.deepStrictEqual([result.error.left, result.error.right], ['F', 'X → a']);
+
+  assert.strictEqual(inferType(parse('(\\x y.x) a b')).ok, true, 'Constants may be passed around');
+  assert.strictEqual(typeOf('(\\x y.x) a b'), 'A');
+
+  // Names differing only in case are different constants
+  const clash = inferType(parse('\\h.\\k.k (h a) (h A)'));
+  assert.strictEqual(clash.ok, false, 'a and A have different types');
+  assert.deepStrictEqual([clash.error.left, clash.error.right], ['A', 'A2']);
+  assert.strictEqual(typeOf('\\f.f a A'), '(A → A2 → a) → a');
+  const selfClash = inferType(parse('f F'));
+  assert.deepStrictEqual([selfClash.error.left, selfClash.error.right], ['F', 'F2 → a']);
+  console.log('  ✓ Free variables test passed\n');
+}
+
+// ============================================================================
+// Test 4: Subterm types
+// ============================================================================
+console.log('Test 4: Types of subterms');
+{
+  const expr = parse('(\\x.x) (\\y.y)');
+  const { subtermTypes } = inferType(expr);
+  assert.strictEqual(typeToString(subtermTypes.get(expr)), 'a → a');
+  assert.strictEqual(typeToString(subtermTypes.get(expr.func)), '(a → a) → a → a', 'Identity instantiated at a → a');
+  assert.strictEqual(typeToString(subtermTypes.get(expr.func.body)), 'a → a');
+  assert.strictEqual(typeToString(subtermTypes.get(expr.arg)), 'a → a');
+
+  // Partial results for untypable terms
+  const omega = parse('\\x.x x');
+  const failed = inferType(omega);
+  assert(failed.subtermTypes.has(omega.body.func), 'Nodes typed before the error are kept');
+  assert(!failed.subtermTypes.has(omega), 'The failing term itself has no type');
+  console.log('  ✓ Subterm types test passed\n');
+}
+
+// ============================================================================
+// Test 5: Subject reduction (property-based)
+// ============================================================================
+console.log('Test 5: Typed terms normalize and stay typed');
+{
+  // Small closed terms over a fixed set of names
+  const names = ['x', 'y', 'z'];
+  const termArb = fc.letrec(tie => ({
+    term: fc.oneof(
+      { depthSize: 'small', withCrossShrink: true },
+      fc.constantFrom(...names).map(name => new Variable(name)),
+      fc.tuple(fc.constantFrom(...names), tie('term')).map(([param, body]) => new Abstraction(param, body)),
+      fc.tuple(tie('term'), tie('term')).map(([func, arg]) => new Application(func, arg))
+    ),
+  })).term;
+
+  const result = fc.check(
+    fc.property(termArb, (expr) => {
+      const before = inferType(expr);
+      if (!before.ok) return true;
+      // Typed terms are strongly normalizing, so normalize always finishes
+      const after = normalize(expr, { maxSteps: 10000 });
+      // Subject reduction: the normal form is typable too (its principal type
+      // may be more general than the original's, so only typability is compared)
+      return after.reason === 'normal-form' && inferType(after.expr).ok;
+    }),
+    { numRuns: 300 }
+  );
+
+  if (result.failed) {
+    console.log('  FAILED!');
+    console.log('  Counterexample:', result.counterexample);
+    process.exit(1);
+  }
+  console.log(`  Passed ${result.numRuns} tests`);
+  console.log('  ✓ Subject reduction test passed\n');
+}
+
+console.log('All tests passed! ✓');